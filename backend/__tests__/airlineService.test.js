@@ -0,0 +1,14 @@
+// Alliance filtering from the airline directory
+
+const airlineService = require('../services/airlineService');
+
+test('an itinerary matches an alliance only when every carrier is a member', () => {
+    expect(airlineService.allInAlliance(['SQ', 'LH'], 'star')).toBe(true);
+    expect(airlineService.allInAlliance(['SQ', 'BA'], 'star')).toBe(false);
+    expect(airlineService.allInAlliance(['EK'], 'star')).toBe(false);
+});
+
+test('SAS flies with SkyTeam since September 2024', () => {
+    expect(airlineService.allInAlliance(['SK', 'KL'], 'skyteam')).toBe(true);
+    expect(airlineService.allInAlliance(['SK'], 'star')).toBe(false);
+});
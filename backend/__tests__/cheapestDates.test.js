@@ -0,0 +1,98 @@
+// Cheapest dates: upstream failures must not be cached
+
+const amadeusService = require('../services/amadeusService');
+const cacheService = require('../services/cacheService');
+const flightController = require('../controllers/flightController');
+const mockResponse = require('./helpers/mockResponse');
+
+// Next month, so every day of it can be searched
+const nextMonth = () => {
+    const date = new Date();
+    date.setUTCDate(1);
+    date.setUTCMonth(date.getUTCMonth() + 1);
+    return date.toISOString().slice(0, 7);
+};
+
+const cheapestDates = async (month) => {
+    const res = mockResponse();
+    await flightController.getCheapestDates({ query: { origin: 'SIN', destination: 'BKK', month } }, res);
+    return res;
+};
+
+beforeEach(() => {
+    cacheService.clear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    // The sampled fallback finds no offers
+    jest.spyOn(amadeusService, 'searchFlightOffers').mockResolvedValue({ success: true, data: [], dictionaries: {} });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+test('a failed flight dates search falls back to sampling and is asked again next time', async () => {
+    const month = nextMonth();
+    jest.spyOn(amadeusService, 'searchFlightDates')
+        .mockResolvedValueOnce({ success: false, error: 'Service unavailable' })
+        .mockResolvedValueOnce({
+            success: true,
+            data: [{ departureDate: `${month}-10`, price: { total: '88.00' } }],
+            meta: { currency: 'USD' }
+        });
+
+    const failed = await cheapestDates(month);
+    const retried = await cheapestDates(month);
+
+    expect(failed.statusCode).toBe(200);
+    expect(failed.body.data.source).toBe('sampled');
+    expect(retried.body.data.source).toBe('flight-dates');
+    expect(retried.body.data.cheapest).toMatchObject({ date: `${month}-10`, price: 88 });
+    expect(amadeusService.searchFlightDates).toHaveBeenCalledTimes(2);
+});
+
+test('sampled round trips are priced at both ends of the duration range', async () => {
+    const month = nextMonth();
+    jest.spyOn(amadeusService, 'searchFlightDates').mockResolvedValue({ success: false, error: 'Service unavailable' });
+
+    const dayMs = 24 * 60 * 60 * 1000;
+    amadeusService.searchFlightOffers.mockImplementation(async ({ departureDate, returnDate }) => {
+        const tripLength = (Date.parse(returnDate) - Date.parse(departureDate)) / dayMs;
+        return {
+            success: true,
+            dictionaries: {},
+            data: [{
+                id: '1',
+                itineraries: [{
+                    duration: 'PT2H',
+                    segments: [{
+                        id: '1',
+                        carrierCode: 'SQ',
+                        number: '706',
+                        departure: { iataCode: 'SIN', at: `${departureDate}T10:00:00` },
+                        arrival: { iataCode: 'BKK', at: `${departureDate}T11:00:00` },
+                        duration: 'PT2H'
+                    }]
+                }],
+                // The longer trip is the cheaper one
+                price: { total: tripLength === 10 ? '200.00' : '300.00', base: '150.00', grandTotal: '200.00', currency: 'USD' },
+                travelerPricings: []
+            }]
+        };
+    });
+
+    const res = mockResponse();
+    await flightController.getCheapestDates({ query: { origin: 'SIN', destination: 'BKK', month, duration: '3,10' } }, res);
+
+    const requestedLengths = amadeusService.searchFlightOffers.mock.calls
+        .map(([params]) => (Date.parse(params.returnDate) - Date.parse(params.departureDate)) / dayMs);
+    expect(new Set(requestedLengths)).toEqual(new Set([3, 10]));
+
+    const pricedDays = res.body.data.days.filter(day => day.price !== null);
+    expect(pricedDays.length).toBe(res.body.meta.sampledDays);
+    pricedDays.forEach(day => {
+        expect(day.price).toBe(200);
+        expect(Date.parse(day.returnDate) - Date.parse(day.date)).toBe(10 * dayMs);
+    });
+    expect(res.body.meta.searchParams).toMatchObject({ originLocationCode: 'SIN', tripLengths: [3, 10] });
+});
@@ -0,0 +1,66 @@
+// Amadeus dictionaries reach the flight search: the SDK keeps them on response.result
+
+const mockSdk = {
+    shopping: { flightOffersSearch: { get: jest.fn(), post: jest.fn() } }
+};
+jest.mock('amadeus', () => jest.fn(() => mockSdk));
+
+const amadeusService = require('../services/amadeusService');
+const airlineService = require('../services/airlineService');
+const cacheService = require('../services/cacheService');
+const flightController = require('../controllers/flightController');
+const mockResponse = require('./helpers/mockResponse');
+
+const rawOffer = {
+    id: '1',
+    source: 'GDS',
+    numberOfBookableSeats: 4,
+    itineraries: [{
+        duration: 'PT2H',
+        segments: [{
+            id: '1',
+            carrierCode: '9Z',
+            number: '101',
+            departure: { iataCode: 'SIN', at: '2026-12-01T10:00:00' },
+            arrival: { iataCode: 'BKK', at: '2026-12-01T11:00:00' },
+            duration: 'PT2H'
+        }]
+    }],
+    price: { total: '120.00', base: '100.00', grandTotal: '120.00', currency: 'USD' },
+    travelerPricings: []
+};
+
+// Shaped like the SDK's Response: parsed body on result, its data attribute on data
+const sdkResponse = (body) => ({ result: body, data: body.data });
+
+beforeEach(() => {
+    cacheService.clear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const body = { data: [rawOffer], dictionaries: { carriers: { '9Z': 'ZED SKY AIRWAYS' } } };
+    mockSdk.shopping.flightOffersSearch.get.mockResolvedValue(sdkResponse(body));
+    mockSdk.shopping.flightOffersSearch.post.mockResolvedValue(sdkResponse(body));
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+test('searchFlightOffers and searchFlightOffersMultiCity return the dictionaries', async () => {
+    const single = await amadeusService.searchFlightOffers({ originLocationCode: 'SIN', destinationLocationCode: 'BKK', departureDate: '2026-12-01' });
+    const multiCity = await amadeusService.searchFlightOffersMultiCity({ originDestinations: [] });
+
+    expect(single.dictionaries.carriers).toEqual({ '9Z': 'ZED SKY AIRWAYS' });
+    expect(multiCity.dictionaries.carriers).toEqual({ '9Z': 'ZED SKY AIRWAYS' });
+});
+
+test('a flight search teaches the airline directory carriers missing from the dataset', async () => {
+    const res = mockResponse();
+    await flightController.searchFlights({
+        method: 'GET',
+        query: { origin: 'SIN', destination: 'BKK', departureDate: '2026-12-01' }
+    }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(airlineService.getAirline('9Z')).toMatchObject({ name: 'Zed Sky Airways', source: 'amadeus' });
+});
@@ -0,0 +1,57 @@
+// Destination inspiration: upstream failures must not be cached
+
+const amadeusService = require('../services/amadeusService');
+const cacheService = require('../services/cacheService');
+const flightController = require('../controllers/flightController');
+const mockResponse = require('./helpers/mockResponse');
+
+const inspire = async () => {
+    const res = mockResponse();
+    await flightController.getFlightInspiration({ query: { origin: 'SIN' } }, res);
+    return res;
+};
+
+beforeEach(() => {
+    cacheService.clear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+test('an Amadeus error gives a 502 and the next search asks Amadeus again', async () => {
+    jest.spyOn(amadeusService, 'searchFlightDestinations')
+        .mockResolvedValueOnce({ success: false, error: 'Service unavailable' })
+        .mockResolvedValueOnce({
+            success: true,
+            data: [{ origin: 'SIN', destination: 'BKK', departureDate: '2026-12-01', price: { total: '99.00' } }],
+            meta: { currency: 'USD' },
+            dictionaries: {}
+        });
+
+    const failed = await inspire();
+    const retried = await inspire();
+
+    expect(failed.statusCode).toBe(502);
+    expect(failed.body.message).toBe('Service unavailable');
+    expect(retried.statusCode).toBe(200);
+    expect(retried.body.data.destinations).toHaveLength(1);
+    expect(amadeusService.searchFlightDestinations).toHaveBeenCalledTimes(2);
+});
+
+test('successful results are served from the cache', async () => {
+    jest.spyOn(amadeusService, 'searchFlightDestinations').mockResolvedValue({
+        success: true,
+        data: [],
+        meta: { currency: 'USD' },
+        dictionaries: {}
+    });
+
+    await inspire();
+    const cached = await inspire();
+
+    expect(cached.statusCode).toBe(200);
+    expect(amadeusService.searchFlightDestinations).toHaveBeenCalledTimes(1);
+});
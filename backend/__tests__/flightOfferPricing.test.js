@@ -0,0 +1,111 @@
+// Pricing a searched offer: the raw Amadeus offer is priced, with include sent on the query string
+
+const mockSdk = {
+    shopping: { flightOffersSearch: { get: jest.fn() } },
+    client: { post: jest.fn() }
+};
+jest.mock('amadeus', () => jest.fn(() => mockSdk));
+
+const amadeusService = require('../services/amadeusService');
+const cacheService = require('../services/cacheService');
+const flightController = require('../controllers/flightController');
+const mockResponse = require('./helpers/mockResponse');
+
+const rawOffer = {
+    type: 'flight-offer',
+    id: '1',
+    source: 'GDS',
+    isUpsellOffer: false,
+    lastTicketingDate: '2026-11-20',
+    lastTicketingDateTime: '2026-11-20',
+    numberOfBookableSeats: 4,
+    itineraries: [{
+        duration: 'PT2H',
+        segments: [{
+            id: '1',
+            carrierCode: 'SQ',
+            number: '706',
+            departure: { iataCode: 'SIN', at: '2026-12-01T10:00:00' },
+            arrival: { iataCode: 'BKK', at: '2026-12-01T11:00:00' },
+            duration: 'PT2H',
+            co2Emissions: [{ weight: 120, weightUnit: 'KG', cabin: 'ECONOMY' }]
+        }]
+    }],
+    price: {
+        total: '120.00',
+        base: '100.00',
+        grandTotal: '120.00',
+        currency: 'USD',
+        additionalServices: [{ amount: '30.00', type: 'CHECKED_BAGS' }]
+    },
+    travelerPricings: [{ travelerId: '1', travelerType: 'ADULT', price: { currency: 'USD', total: '120.00', base: '100.00' } }]
+};
+
+// Shaped like the SDK's Response: parsed body on result, its data attribute on data
+const sdkResponse = (body) => ({ result: body, data: body.data });
+
+const pricingBody = {
+    data: { type: 'flight-offers-pricing', flightOffers: [{ ...rawOffer, price: { ...rawOffer.price, grandTotal: '125.00' } }] },
+    included: {
+        'detailed-fare-rules': {
+            1: { segmentId: '1', fareBasis: 'YOWSG', name: 'REFUNDS', fareNotes: { descriptions: [{ descriptionType: 'PENALTIES', text: 'NON-REFUNDABLE' }] } }
+        },
+        bags: { 1: { quantity: 1, name: 'CHECKED_BAG' } }
+    }
+};
+
+beforeEach(() => {
+    cacheService.clear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    mockSdk.shopping.flightOffersSearch.get.mockResolvedValue(sdkResponse({ data: [rawOffer], dictionaries: {} }));
+    mockSdk.client.post.mockReset();
+    mockSdk.client.post.mockResolvedValue(sdkResponse(pricingBody));
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+test('priceFlightOffers sends include as a query parameter', async () => {
+    await amadeusService.priceFlightOffers(rawOffer, { include: ['detailed-fare-rules', 'bags'] });
+
+    const [path, body] = mockSdk.client.post.mock.calls[0];
+    expect(path).toBe('/v1/shopping/flight-offers/pricing?include=detailed-fare-rules,bags');
+    expect(JSON.parse(body).data).toEqual({ type: 'flight-offers-pricing', flightOffers: [rawOffer] });
+});
+
+test('priceFlightOffers leaves the query string out without include', async () => {
+    await amadeusService.priceFlightOffers(rawOffer);
+
+    expect(mockSdk.client.post.mock.calls[0][0]).toBe('/v1/shopping/flight-offers/pricing');
+});
+
+test('a searched offer is priced exactly as Amadeus returned it, with its fare rules', async () => {
+    const search = mockResponse();
+    await flightController.searchFlights({
+        method: 'GET',
+        query: { origin: 'SIN', destination: 'BKK', departureDate: '2026-12-01' }
+    }, search);
+    expect(search.statusCode).toBe(200);
+
+    const res = mockResponse();
+    await flightController.getFlightOffer({
+        params: { offerId: '1' },
+        query: { searchId: search.body.data.searchId, include: 'detailed-fare-rules,bags' }
+    }, res);
+
+    const [path, body] = mockSdk.client.post.mock.calls[0];
+    expect(path).toBe('/v1/shopping/flight-offers/pricing?include=detailed-fare-rules,bags');
+    expect(JSON.parse(body).data.flightOffers[0]).toEqual(rawOffer);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.priceChange).toMatchObject({ previousTotal: 120, confirmedTotal: 125, delta: 5 });
+    expect(res.body.data.fareRules).toEqual([{
+        segmentId: '1',
+        fareBasis: 'YOWSG',
+        name: 'REFUNDS',
+        notes: [{ type: 'PENALTIES', text: 'NON-REFUNDABLE' }]
+    }]);
+    expect(res.body.data.included.bags).toEqual(pricingBody.included.bags);
+});
@@ -0,0 +1,80 @@
+// Booking a priced offer: one confirmed price makes at most one Amadeus order
+
+const amadeusService = require('../services/amadeusService');
+const cacheService = require('../services/cacheService');
+const offerStoreService = require('../services/offerStoreService');
+const flightController = require('../controllers/flightController');
+const mockResponse = require('./helpers/mockResponse');
+
+const pricedOffer = {
+    id: '1',
+    itineraries: [{
+        segments: [{
+            carrierCode: 'SQ',
+            number: '706',
+            departure: { iataCode: 'SIN', at: '2026-12-01T10:00:00' },
+            arrival: { iataCode: 'BKK', at: '2026-12-01T11:00:00' }
+        }]
+    }],
+    price: { total: '120.00', grandTotal: '120.00', currency: 'USD' },
+    travelerPricings: [{ travelerId: '1', travelerType: 'ADULT' }]
+};
+
+const orderRequest = (pricedOfferId) => ({
+    body: {
+        pricedOfferId,
+        travelers: [{ id: '1', dateOfBirth: '1990-01-01', gender: 'MALE', name: { firstName: 'John', lastName: 'Doe' } }],
+        contacts: [{ emailAddress: 'john.doe@example.com' }]
+    }
+});
+
+const order = { id: 'ORDER1', associatedRecords: [{ reference: 'ABC123' }], travelers: [] };
+
+beforeEach(() => {
+    cacheService.clear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+test('concurrent orders for one priced offer book it once', async () => {
+    const { pricedOfferId } = offerStoreService.savePricedOffer('search-1', '1', pricedOffer);
+
+    let finishBooking;
+    jest.spyOn(amadeusService, 'createFlightOrder').mockImplementation(() => new Promise(resolve => {
+        finishBooking = () => resolve({ success: true, data: order });
+    }));
+
+    const first = mockResponse();
+    const second = mockResponse();
+    const firstOrder = flightController.createFlightOrder(orderRequest(pricedOfferId), first);
+    await flightController.createFlightOrder(orderRequest(pricedOfferId), second);
+
+    finishBooking();
+    await firstOrder;
+
+    expect(amadeusService.createFlightOrder).toHaveBeenCalledTimes(1);
+    expect(first.statusCode).toBe(201);
+    expect(first.body.data.bookingReference).toBe('ABC123');
+    expect(second.statusCode).toBe(404);
+    expect(offerStoreService.getPricedOffer(pricedOfferId)).toBeNull();
+});
+
+test('a failed booking puts the priced offer back so it can be retried', async () => {
+    const { pricedOfferId } = offerStoreService.savePricedOffer('search-1', '1', pricedOffer);
+    jest.spyOn(amadeusService, 'createFlightOrder')
+        .mockResolvedValueOnce({ success: false, error: 'SEGMENT SELL FAILURE' })
+        .mockResolvedValueOnce({ success: true, data: order });
+
+    const failed = mockResponse();
+    await flightController.createFlightOrder(orderRequest(pricedOfferId), failed);
+    expect(failed.statusCode).toBe(502);
+    expect(offerStoreService.getPricedOffer(pricedOfferId)).toMatchObject({ pricedOfferId, offer: pricedOffer });
+
+    const retried = mockResponse();
+    await flightController.createFlightOrder(orderRequest(pricedOfferId), retried);
+    expect(retried.statusCode).toBe(201);
+});
@@ -0,0 +1,120 @@
+// Streamed flight search: every search type sends a progress event with offers before its summary
+
+const amadeusService = require('../services/amadeusService');
+const cacheService = require('../services/cacheService');
+const flightController = require('../controllers/flightController');
+
+// Just enough of an Express response for the NDJSON stream
+const mockStreamResponse = () => ({
+    chunks: [],
+    writableEnded: false,
+    on() {},
+    status() {
+        return this;
+    },
+    set() {
+        return this;
+    },
+    flushHeaders() {},
+    write(chunk) {
+        this.chunks.push(chunk);
+    },
+    end() {
+        this.writableEnded = true;
+    },
+    get events() {
+        return this.chunks.join('').trim().split('\n').map(line => JSON.parse(line));
+    }
+});
+
+const rawOffer = (id, total) => ({
+    id,
+    source: 'GDS',
+    numberOfBookableSeats: 4,
+    itineraries: [{
+        duration: 'PT2H',
+        segments: [{
+            id: '1',
+            carrierCode: 'SQ',
+            number: `10${id}`,
+            departure: { iataCode: 'SIN', at: '2026-12-01T10:00:00' },
+            arrival: { iataCode: 'BKK', at: '2026-12-01T11:00:00' },
+            duration: 'PT2H'
+        }]
+    }],
+    price: { total: String(total), base: String(total), grandTotal: String(total), currency: 'USD' },
+    travelerPricings: []
+});
+
+const offersResult = { success: true, data: [rawOffer('1', 200), rawOffer('2', 120)], dictionaries: {} };
+
+const stream = async (req) => {
+    const res = mockStreamResponse();
+    await flightController.searchFlightsStream(req, res);
+    return res.events;
+};
+
+beforeEach(() => {
+    cacheService.clear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(amadeusService, 'searchFlightOffers').mockResolvedValue(offersResult);
+    jest.spyOn(amadeusService, 'searchFlightOffersMultiCity').mockResolvedValue(offersResult);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+test('a plain search streams its offers, then the summary', async () => {
+    const events = await stream({
+        method: 'GET',
+        query: { origin: 'SIN', destination: 'BKK', departureDate: '2026-12-01', sort: 'price' }
+    });
+
+    expect(events.map(event => [event.type, event.stage])).toEqual([['progress', 'offers'], ['summary', undefined]]);
+    expect(events[0].flights.map(flight => flight.pricing.total)).toEqual([120, 200]);
+    expect(events[0].searchId).toBe(events[1].data.searchId);
+});
+
+test('a multi-city search streams its offers', async () => {
+    const events = await stream({
+        method: 'POST',
+        body: {
+            originDestinations: [
+                { origin: 'SIN', destination: 'BKK', departureDate: '2026-12-01' },
+                { origin: 'BKK', destination: 'SIN', departureDate: '2026-12-05' }
+            ]
+        }
+    });
+
+    expect(events[0]).toMatchObject({ type: 'progress', stage: 'multi-city' });
+    expect(events[0].flights).toHaveLength(2);
+    expect(events[1].type).toBe('summary');
+});
+
+test('a flexible search streams the offers of each date pair', async () => {
+    const events = await stream({
+        method: 'GET',
+        query: { origin: 'SIN', destination: 'BKK', departureDate: '2026-12-10', flexDays: '1' }
+    });
+    const datePairs = events.filter(event => event.stage === 'date-pair');
+
+    expect(datePairs).toHaveLength(3);
+    datePairs.forEach(event => {
+        expect(event.cell.available).toBe(true);
+        expect(event.flights).toHaveLength(2);
+    });
+});
+
+test('a cursor streams the page it serves', async () => {
+    const [first, summary] = await stream({
+        method: 'GET',
+        query: { origin: 'SIN', destination: 'BKK', departureDate: '2026-12-01', pageSize: '1' }
+    });
+    const events = await stream({ method: 'GET', query: { cursor: summary.data.page.nextCursor } });
+
+    expect(first.flights).toHaveLength(1);
+    expect(events[0]).toMatchObject({ type: 'progress', stage: 'page' });
+    expect(events[0].flights).not.toEqual(first.flights);
+    expect(events[0].flights).toEqual(events[1].data.flights);
+});
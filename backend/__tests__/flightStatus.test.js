@@ -0,0 +1,88 @@
+// Flight status tracking: change detection and poll scheduling
+
+const { diffFlightStatus, nextPollDelay } = require('../services/flightStatusService');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const point = (fields = {}) => ({
+    airport: null,
+    terminal: null,
+    gate: null,
+    scheduled: null,
+    estimated: null,
+    actual: null,
+    delayMinutes: null,
+    ...fields
+});
+
+const DEPARTURE = '2025-07-01T10:00:00Z';
+const ARRIVAL = '2025-07-01T14:00:00Z';
+const departureMs = Date.parse(DEPARTURE);
+
+const snapshot = (departure = {}, arrival = {}) => ({
+    departure: point({ scheduled: DEPARTURE, ...departure }),
+    arrival: point({ scheduled: ARRIVAL, ...arrival })
+});
+
+describe('diffFlightStatus', () => {
+    test('reports only the fields that changed', () => {
+        const previous = snapshot({ gate: 'B4', terminal: '1' });
+        const next = snapshot({ gate: 'B7', terminal: '1', estimated: '2025-07-01T10:25:00Z', delayMinutes: 25 });
+
+        expect(diffFlightStatus(previous, next)).toEqual({
+            'departure.gate': { from: 'B4', to: 'B7' },
+            'departure.estimated': { from: null, to: '2025-07-01T10:25:00Z' },
+            'departure.delayMinutes': { from: null, to: 25 }
+        });
+    });
+
+    test('identical snapshots have no changes', () => {
+        expect(diffFlightStatus(snapshot({ gate: 'A1' }), snapshot({ gate: 'A1' }))).toEqual({});
+    });
+
+    test('the first snapshot differs from nothing in every known field', () => {
+        const changes = diffFlightStatus(null, snapshot({ gate: 'C2' }));
+
+        expect(changes['departure.gate']).toEqual({ from: null, to: 'C2' });
+        expect(changes['arrival.scheduled']).toEqual({ from: null, to: ARRIVAL });
+        expect(changes['departure.terminal']).toBeUndefined();
+    });
+});
+
+describe('nextPollDelay', () => {
+    test('polls more often as departure approaches', () => {
+        const status = snapshot();
+
+        expect(nextPollDelay(status, departureMs - 30 * HOUR)).toBe(30 * MINUTE);
+        expect(nextPollDelay(status, departureMs - 12 * HOUR)).toBe(10 * MINUTE);
+        expect(nextPollDelay(status, departureMs - 3 * HOUR)).toBe(5 * MINUTE);
+        expect(nextPollDelay(status, departureMs - 30 * MINUTE)).toBe(2 * MINUTE);
+    });
+
+    test('polls every minute from departure until arrival', () => {
+        expect(nextPollDelay(snapshot(), departureMs + HOUR)).toBe(MINUTE);
+    });
+
+    test('uses the estimated departure over the scheduled one', () => {
+        const delayed = snapshot({ estimated: '2025-07-01T13:00:00Z' });
+
+        // Scheduled departure has passed, but the delayed flight is still 2.5 hours away
+        expect(nextPollDelay(delayed, departureMs + 30 * MINUTE)).toBe(5 * MINUTE);
+    });
+
+    test('stops once the flight has landed', () => {
+        expect(nextPollDelay(snapshot({}, { actual: '2025-07-01T13:50:00Z' }), departureMs + 4 * HOUR)).toBeNull();
+    });
+
+    test('stops an hour after the expected arrival when no landing is reported', () => {
+        const arrivalMs = Date.parse(ARRIVAL);
+
+        expect(nextPollDelay(snapshot(), arrivalMs + 30 * MINUTE)).toBe(MINUTE);
+        expect(nextPollDelay(snapshot(), arrivalMs + 61 * MINUTE)).toBeNull();
+    });
+
+    test('polls slowly when the departure time is unknown', () => {
+        expect(nextPollDelay(snapshot({ scheduled: null }, { scheduled: null }), departureMs)).toBe(30 * MINUTE);
+    });
+});
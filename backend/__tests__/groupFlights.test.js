@@ -0,0 +1,73 @@
+// Group flight search: sub-groups sharing an offer must fit its bookable seats together
+
+const amadeusService = require('../services/amadeusService');
+const cacheService = require('../services/cacheService');
+const flightController = require('../controllers/flightController');
+const mockResponse = require('./helpers/mockResponse');
+
+const rawOffer = (id, flightNumber, total, seats, travelerCount) => ({
+    id,
+    source: 'GDS',
+    numberOfBookableSeats: seats,
+    itineraries: [{
+        duration: 'PT2H',
+        segments: [{
+            id: '1',
+            carrierCode: 'SQ',
+            number: flightNumber,
+            departure: { iataCode: 'SIN', at: '2026-12-01T10:00:00' },
+            arrival: { iataCode: 'BKK', at: '2026-12-01T11:00:00' },
+            duration: 'PT2H'
+        }]
+    }],
+    price: { total: String(total), base: String(total), grandTotal: String(total), currency: 'USD' },
+    travelerPricings: Array.from({ length: travelerCount }, (_, index) => ({
+        travelerId: String(index + 1),
+        travelerType: 'ADULT',
+        fareDetailsBySegment: [{ segmentId: '1', cabin: 'ECONOMY', class: flightNumber === '100' ? 'Y' : 'B' }],
+        price: { total: String(total / travelerCount), base: '0', currency: 'USD' }
+    }))
+});
+
+const searchGroup = async (groupSize) => {
+    const res = mockResponse();
+    await flightController.searchGroupFlights({
+        method: 'POST',
+        body: { origin: 'SIN', destination: 'BKK', departureDate: '2026-12-01', groupSize }
+    }, res);
+    return res;
+};
+
+beforeEach(() => {
+    cacheService.clear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    // SQ100 is cheaper but has 9 seats left; SQ200 has room for 20
+    jest.spyOn(amadeusService, 'searchFlightOffers').mockImplementation(async ({ travelers }) => ({
+        success: true,
+        data: [
+            rawOffer('1', '100', 100 * travelers.length, 9, travelers.length),
+            rawOffer('2', '200', 150 * travelers.length, 20, travelers.length)
+        ],
+        dictionaries: {}
+    }));
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+test('two identical sub-groups of 9 cannot both book an offer with 9 seats', async () => {
+    const res = await searchGroup(18);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.subgroups.map(subgroup => subgroup.seated)).toEqual([9, 9]);
+    expect(amadeusService.searchFlightOffers).toHaveBeenCalledTimes(1);
+    expect(res.body.data.itineraries.map(itinerary => itinerary.flights)).toEqual(['SQ200@2026-12-01T10:00:00']);
+});
+
+test('a single sub-group can book an offer with just enough seats', async () => {
+    const res = await searchGroup(9);
+
+    expect(res.body.data.itineraries[0].flights).toBe('SQ100@2026-12-01T10:00:00');
+});
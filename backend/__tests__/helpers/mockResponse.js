@@ -0,0 +1,15 @@
+// Minimal Express response for calling controllers directly: keeps the status code and JSON body
+
+const mockResponse = () => ({
+    statusCode: 200,
+    status(code) {
+        this.statusCode = code;
+        return this;
+    },
+    json(body) {
+        this.body = body;
+        return this;
+    }
+});
+
+module.exports = mockResponse;
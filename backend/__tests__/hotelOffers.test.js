@@ -0,0 +1,61 @@
+// Batched hotel offers: invalid hotel ids are dropped one Amadeus error at a time
+
+const amadeusService = require('../services/amadeusService');
+const cacheService = require('../services/cacheService');
+const hotelController = require('../controllers/hotelController');
+const mockResponse = require('./helpers/mockResponse');
+
+const HOTEL_IDS = Array.from({ length: 20 }, (_, index) => `H${index}`);
+const INVALID_IDS = ['H2', 'H5', 'H9', 'H13', 'H17'];
+
+beforeEach(() => {
+    cacheService.clear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    jest.spyOn(amadeusService, 'getHotelsByCity').mockResolvedValue({
+        success: true,
+        data: HOTEL_IDS.map(hotelId => ({ hotelId, name: hotelId, address: {}, geoCode: {} }))
+    });
+    jest.spyOn(amadeusService, 'getHotelRatings').mockResolvedValue({ success: true, data: [] });
+
+    // Like Amadeus, name only the first invalid id of the call
+    jest.spyOn(amadeusService, 'searchHotelOffers').mockImplementation(async ({ hotelIds }) => {
+        const invalid = hotelIds.find(hotelId => INVALID_IDS.includes(hotelId));
+        if (invalid) {
+            return {
+                success: false,
+                error: 'INVALID PROPERTY CODE',
+                details: { errors: [{ code: 10604, source: { parameter: `hotelIds=${invalid}` } }] }
+            };
+        }
+        return {
+            success: true,
+            data: hotelIds.map(hotelId => ({
+                hotel: { hotelId, name: hotelId },
+                offers: [{ id: `offer-${hotelId}`, price: { total: '100.00', currency: 'USD' } }]
+            }))
+        };
+    });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+test('every invalid id in a batch is dropped and the valid hotels are priced', async () => {
+    const res = mockResponse();
+    await hotelController.searchHotels({
+        method: 'GET',
+        query: { city: 'PAR', checkIn: '2026-12-01', checkOut: '2026-12-03', pageSize: '100' }
+    }, res);
+
+    const { hotels, unpricedHotels, pricing } = res.body.data;
+    expect(res.statusCode).toBe(200);
+    expect(pricing).toMatchObject({ batches: 1, failedBatches: 0, priced: 15, invalidHotelIds: INVALID_IDS });
+    expect(hotels.map(hotel => hotel.id).sort()).toEqual(HOTEL_IDS.filter(id => !INVALID_IDS.includes(id)).sort());
+    expect(unpricedHotels.map(hotel => [hotel.id, hotel.unpricedReason]))
+        .toEqual(INVALID_IDS.map(id => [id, 'invalid-hotel-id']));
+    expect(amadeusService.searchHotelOffers).toHaveBeenCalledTimes(INVALID_IDS.length + 1);
+});
@@ -0,0 +1,107 @@
+// Hotel search with traveler ratings: real amadeusService and hotelRatingService, Amadeus SDK mocked
+
+const mockSdk = {
+    eReputation: { hotelSentiments: { get: jest.fn() } }
+};
+jest.mock('amadeus', () => jest.fn(() => mockSdk));
+
+const amadeusService = require('../services/amadeusService');
+const cacheService = require('../services/cacheService');
+const hotelRatingService = require('../services/hotelRatingService');
+const hotelController = require('../controllers/hotelController');
+const mockResponse = require('./helpers/mockResponse');
+
+// H0 is the cheapest and worst rated, H2 the dearest and best rated
+const RATINGS = { H0: 60, H1: 75, H2: 92 };
+
+const search = async (query) => {
+    const res = mockResponse();
+    await hotelController.searchHotels({
+        method: 'GET',
+        query: { city: 'PAR', checkIn: '2026-12-01', checkOut: '2026-12-03', ...query }
+    }, res);
+    return res;
+};
+
+beforeEach(() => {
+    cacheService.clear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    jest.spyOn(amadeusService, 'getHotelsByCity').mockResolvedValue({
+        success: true,
+        data: ['H0', 'H1', 'H2'].map(hotelId => ({ hotelId, name: hotelId, address: {}, geoCode: {} }))
+    });
+    jest.spyOn(amadeusService, 'searchHotelOffers').mockImplementation(async ({ hotelIds }) => ({
+        success: true,
+        data: hotelIds.map((hotelId, index) => ({
+            hotel: { hotelId, name: hotelId },
+            offers: [{ id: `offer-${hotelId}`, price: { total: String(200 + 100 * index), currency: 'USD' } }]
+        }))
+    }));
+
+    mockSdk.eReputation.hotelSentiments.get.mockReset();
+    mockSdk.eReputation.hotelSentiments.get.mockImplementation(async ({ hotelIds }) => ({
+        data: hotelIds.split(',').map(hotelId => ({
+            hotelId,
+            overallRating: RATINGS[hotelId],
+            numberOfRatings: 40,
+            numberOfReviews: 20,
+            sentiments: { staff: 80 }
+        }))
+    }));
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+test('attaches overall and category sentiments from Amadeus Hotel Ratings', async () => {
+    const res = await search({});
+
+    expect(res.statusCode).toBe(200);
+    expect(mockSdk.eReputation.hotelSentiments.get).toHaveBeenCalledWith({ hotelIds: 'H0,H1,H2' });
+    const hotel = res.body.data.hotels.find(item => item.id === 'H2');
+    expect(hotel.sentiment.overall).toEqual({ rating: 92, numberOfRatings: 40, numberOfReviews: 20 });
+    expect(hotel.sentiment.categories.staff).toBe(80);
+    expect(hotel.pricePerNight).toBe(200); // 400 over two nights
+    expect(res.body.data.ratings).toMatchObject({ rated: 3, unrated: 0, failedRatingCalls: 0 });
+});
+
+test('minRating keeps hotels rated at or above it', async () => {
+    const res = await search({ minRating: '75' });
+
+    expect(res.body.data.hotels.map(hotel => hotel.id).sort()).toEqual(['H1', 'H2']);
+    expect(res.body.data.ratings.belowMinRating).toBe(1);
+});
+
+test('sort=rating puts the best rated hotel first', async () => {
+    const byPrice = await search({ sort: 'price' });
+    const byRating = await search({ sort: 'rating' });
+
+    expect(byPrice.body.data.hotels.map(hotel => hotel.id)).toEqual(['H0', 'H1', 'H2']);
+    expect(byRating.body.data.hotels.map(hotel => hotel.id)).toEqual(['H2', 'H1', 'H0']);
+});
+
+test('sort=value orders by the value score, best first', async () => {
+    const res = await search({ sort: 'value' });
+    const scores = res.body.data.hotels.map(hotel => hotel.valueScore);
+
+    expect(scores.every(score => typeof score === 'number')).toBe(true);
+    expect([...scores].sort((a, b) => b - a)).toEqual(scores);
+});
+
+test('ratings are cached per hotel, so a second search makes no rating calls', async () => {
+    await search({});
+    await search({});
+
+    expect(mockSdk.eReputation.hotelSentiments.get).toHaveBeenCalledTimes(1);
+});
+
+test('caching ratings for many hotels does not print the cache', async () => {
+    const hotelIds = Array.from({ length: 60 }, (_, index) => `R${index}`);
+    await hotelRatingService.getRatings(hotelIds);
+
+    expect(mockSdk.eReputation.hotelSentiments.get).toHaveBeenCalledTimes(20);
+    expect(console.log).not.toHaveBeenCalled();
+});
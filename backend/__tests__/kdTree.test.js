@@ -0,0 +1,70 @@
+// k-d tree nearest-neighbour queries, checked against a brute-force scan
+
+const { createKdTree } = require('../utils/kdTree');
+
+// Small deterministic generator so failures are reproducible
+const createRandom = (seed) => () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+};
+
+const randomPoints = (count, random) => Array.from({ length: count }, (_, index) => ({
+    vector: [random() * 2 - 1, random() * 2 - 1, random() * 2 - 1],
+    item: { id: index }
+}));
+
+const bruteForce = (points, target, { k = 10, maxDistance = Infinity, filter } = {}) => points
+    .filter(point => !filter || filter(point.item))
+    .map(point => ({ item: point.item, distance: Math.hypot(...point.vector.map((value, axis) => value - target[axis])) }))
+    .filter(result => result.distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, k);
+
+const ids = (results) => results.map(result => result.item.id);
+
+describe('createKdTree', () => {
+    const random = createRandom(42);
+    const points = randomPoints(500, random);
+    const tree = createKdTree(points);
+    const targets = Array.from({ length: 20 }, () => [random() * 2 - 1, random() * 2 - 1, random() * 2 - 1]);
+
+    test('finds the same k nearest points as a full scan, nearest first', () => {
+        expect(tree.size).toBe(500);
+
+        targets.forEach(target => {
+            const results = tree.nearest(target, { k: 5 });
+            const expected = bruteForce(points, target, { k: 5 });
+
+            expect(ids(results)).toEqual(ids(expected));
+            results.forEach((result, index) => expect(result.distance).toBeCloseTo(expected[index].distance, 12));
+        });
+    });
+
+    test('leaves out points beyond maxDistance', () => {
+        targets.forEach(target => {
+            const results = tree.nearest(target, { k: 50, maxDistance: 0.3 });
+
+            expect(ids(results)).toEqual(ids(bruteForce(points, target, { k: 50, maxDistance: 0.3 })));
+            results.forEach(result => expect(result.distance).toBeLessThanOrEqual(0.3));
+        });
+    });
+
+    test('skips items the filter rejects', () => {
+        const filter = (item) => item.id % 3 === 0;
+
+        targets.forEach(target => {
+            expect(ids(tree.nearest(target, { k: 4, filter }))).toEqual(ids(bruteForce(points, target, { k: 4, filter })));
+        });
+    });
+
+    test('returns every point when k is larger than the tree', () => {
+        const small = randomPoints(3, createRandom(7));
+
+        expect(createKdTree(small).nearest([0, 0, 0], { k: 10 })).toHaveLength(3);
+    });
+
+    test('empty trees and k = 0 return nothing', () => {
+        expect(createKdTree([]).nearest([0, 0, 0])).toEqual([]);
+        expect(tree.nearest([0, 0, 0], { k: 0 })).toEqual([]);
+    });
+});
@@ -0,0 +1,110 @@
+// Price watches: which dates are searched and which price changes notify the user
+
+const priceWatchService = require('../services/priceWatchService');
+const { priceWatchService: priceWatchStore } = require('../services/supabaseService');
+
+// YYYY-MM-DD some days from today
+const daysFromToday = (days) => {
+    const date = new Date();
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+};
+
+const watch = (fields = {}) => ({
+    id: 'watch-1',
+    origin: 'SIN',
+    destination: 'BKK',
+    last_min_price: null,
+    target_price: null,
+    drop_percent: null,
+    ...fields
+});
+
+const observation = (price) => ({ min_price: price, currency: 'USD', departure_date: '2026-12-01', return_date: null });
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('getWatchDatePairs', () => {
+    test('skips departure dates that have passed', () => {
+        const pairs = priceWatchService.getWatchDatePairs(watch({
+            departure_date_from: daysFromToday(-2),
+            departure_date_to: daysFromToday(1)
+        }));
+
+        expect(pairs).toEqual([
+            { departureDate: daysFromToday(0), returnDate: null },
+            { departureDate: daysFromToday(1), returnDate: null }
+        ]);
+    });
+
+    test('returns trip_length days after each departure', () => {
+        const pairs = priceWatchService.getWatchDatePairs(watch({
+            departure_date_from: daysFromToday(10),
+            departure_date_to: daysFromToday(11),
+            trip_length: 7
+        }));
+
+        expect(pairs).toEqual([
+            { departureDate: daysFromToday(10), returnDate: daysFromToday(17) },
+            { departureDate: daysFromToday(11), returnDate: daysFromToday(18) }
+        ]);
+    });
+
+    test('a fixed return date drops departures after it', () => {
+        const pairs = priceWatchService.getWatchDatePairs(watch({
+            departure_date_from: daysFromToday(10),
+            departure_date_to: daysFromToday(12),
+            return_date: daysFromToday(11)
+        }));
+
+        expect(pairs.map(pair => pair.departureDate)).toEqual([daysFromToday(10), daysFromToday(11)]);
+    });
+
+    test('a window in the past has no dates left and expires the watch', async () => {
+        const expired = watch({ departure_date_from: daysFromToday(-5), departure_date_to: daysFromToday(-1) });
+        jest.spyOn(priceWatchStore, 'updatePriceWatch').mockImplementation(async (id, changes) => ({ ...expired, ...changes }));
+
+        expect(priceWatchService.getWatchDatePairs(expired)).toEqual([]);
+
+        const result = await priceWatchService.checkPriceWatch(expired);
+        expect(result.watch.status).toBe('expired');
+        expect(result.notifications).toEqual([]);
+    });
+});
+
+describe('buildAlerts', () => {
+    test('alerts when the price crosses below the target', () => {
+        const [alert] = priceWatchService.buildAlerts(watch({ target_price: '150', last_min_price: '180' }), observation(140));
+
+        expect(alert.type).toBe('price_target');
+        expect(alert.data).toMatchObject({ price: 140, previousPrice: 180, targetPrice: 150 });
+    });
+
+    test('the first check below the target alerts too', () => {
+        expect(priceWatchService.buildAlerts(watch({ target_price: '150' }), observation(140))[0].type).toBe('price_target');
+    });
+
+    test('no repeat alert while the price stays below the target', () => {
+        expect(priceWatchService.buildAlerts(watch({ target_price: '150', last_min_price: '140' }), observation(135))).toEqual([]);
+    });
+
+    test('alerts on a drop of at least drop_percent since the previous check', () => {
+        const [alert] = priceWatchService.buildAlerts(watch({ drop_percent: '10', last_min_price: '200' }), observation(170));
+
+        expect(alert.type).toBe('price_drop');
+        expect(alert.data.dropPercent).toBe(15);
+    });
+
+    test('smaller drops and rises do not alert', () => {
+        expect(priceWatchService.buildAlerts(watch({ drop_percent: '10', last_min_price: '200' }), observation(185))).toEqual([]);
+        expect(priceWatchService.buildAlerts(watch({ drop_percent: '10', last_min_price: '200' }), observation(220))).toEqual([]);
+    });
+
+    test('crossing the target takes priority over the drop alert', () => {
+        const alerts = priceWatchService.buildAlerts(watch({ target_price: '150', drop_percent: '10', last_min_price: '200' }), observation(140));
+
+        expect(alerts.map(alert => alert.type)).toEqual(['price_target']);
+    });
+});
@@ -0,0 +1,45 @@
+// Resume tokens: the picks sent with a token are merged into the stored search parameters
+
+const cacheService = require('../services/cacheService');
+const locationResolverService = require('../services/locationResolverService');
+const hotelController = require('../controllers/hotelController');
+const mockResponse = require('./helpers/mockResponse');
+
+describe('resumeSearchParams', () => {
+    beforeEach(() => {
+        cacheService.clear();
+    });
+
+    test('returns the parameters unchanged when there is no token', () => {
+        const params = { origin: 'LHR' };
+        expect(locationResolverService.resumeSearchParams(params, 'flights')).toBe(params);
+    });
+
+    test('merges the picks into the stored parameters and drops the token', () => {
+        const { resumeToken } = locationResolverService.createResumeToken('flights', {
+            origin: 'London',
+            destination: 'NRT',
+            departureDate: '2025-07-01'
+        });
+
+        const params = locationResolverService.resumeSearchParams({ resumeToken, origin: 'LHR' }, 'flights');
+
+        expect(params).toEqual({ origin: 'LHR', destination: 'NRT', departureDate: '2025-07-01' });
+    });
+
+    test('tokens are single use and tied to their search type', () => {
+        const { resumeToken } = locationResolverService.createResumeToken('hotels', { city: 'Paris' });
+
+        expect(locationResolverService.resumeSearchParams({ resumeToken }, 'flights')).toBeNull();
+        expect(locationResolverService.resumeSearchParams({ resumeToken }, 'hotels')).toEqual({ city: 'Paris' });
+        expect(locationResolverService.resumeSearchParams({ resumeToken }, 'hotels')).toBeNull();
+    });
+
+    test('hotel search answers 404 for an expired token', async () => {
+        const res = mockResponse();
+        await hotelController.searchHotels({ method: 'GET', query: { resumeToken: 'gone', city: 'PAR' } }, res);
+
+        expect(res.statusCode).toBe(404);
+        expect(res.body.error).toBe('Resume token not found or expired');
+    });
+});
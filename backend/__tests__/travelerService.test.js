@@ -0,0 +1,116 @@
+// Traveler model: validation, splitting big parties, hotel rooms and per-traveler prices
+
+const travelerService = require('../services/travelerService');
+
+const adults = (count) => Array.from({ length: count }, () => ({ type: 'adult' }));
+const parse = (input, options) => travelerService.parseTravelers(input, options);
+
+describe('parseTravelers', () => {
+    test('pairs each held infant with its own adult', () => {
+        const { travelers, errors } = parse([...adults(2), { type: 'infant', age: 1 }, { type: 'infant', age: 0 }]);
+
+        expect(errors).toEqual([]);
+        expect(travelers.map(traveler => traveler.travelerType)).toEqual(['ADULT', 'ADULT', 'HELD_INFANT', 'HELD_INFANT']);
+        expect(travelers.map(traveler => traveler.associatedAdultId)).toEqual([null, null, '1', '2']);
+    });
+
+    test('infants cannot outnumber adults, seated or not', () => {
+        const held = parse([...adults(1), { type: 'infant', age: 1 }, { type: 'infant', age: 1 }]);
+        const seated = parse([...adults(1), { type: 'infant', age: 1 }, { type: 'infant', age: 1, seated: true }]);
+
+        expect(held.errors).toEqual(['Infants cannot outnumber adults (2 infants, 1 adults)']);
+        expect(seated.errors).toEqual(['Infants cannot outnumber adults (2 infants, 1 adults)']);
+    });
+
+    test('at most 9 seated travelers, held infants not counted', () => {
+        expect(parse([...adults(9), { type: 'infant', age: 1 }]).errors).toEqual([]);
+        expect(parse(adults(10)).errors).toEqual(['At most 9 seated travelers per search (10 given)']);
+        expect(parse(adults(10), { maxSeated: 18 }).errors).toEqual([]);
+    });
+
+    test('infers the type from an age and rejects ages that do not match the type', () => {
+        const { travelers } = parse([{ age: 40 }, { age: 7 }, { age: 1 }]);
+        expect(travelers.map(traveler => traveler.type)).toEqual(['adult', 'child', 'infant']);
+
+        expect(parse([...adults(1), { type: 'child', age: 14 }]).errors).toEqual(['Traveler 2: age 14 does not match traveler type child']);
+        expect(parse([...adults(1), { type: 'child' }]).errors).toEqual(['Traveler 2: age is required for every child']);
+    });
+});
+
+describe('partitionTravelers', () => {
+    test('shares seats evenly and keeps held infants with their adult', () => {
+        const { travelers } = parse([...adults(12), { type: 'infant', age: 1 }, { type: 'infant', age: 1 }], { maxSeated: 18 });
+        const { subgroups, errors } = travelerService.partitionTravelers(travelers);
+
+        expect(errors).toEqual([]);
+        expect(subgroups.map(subgroup => [subgroup.id, subgroup.seated])).toEqual([['A', 6], ['B', 6]]);
+
+        subgroups.forEach(subgroup => {
+            expect(subgroup.travelers.filter(traveler => traveler.type === 'infant')).toHaveLength(1);
+
+            // Ids are renumbered inside the sub-group and the lap still points at an adult in it
+            const ids = subgroup.travelers.map(traveler => traveler.id);
+            expect(ids).toEqual(ids.map((_, index) => String(index + 1)));
+            const infant = subgroup.travelers.find(traveler => traveler.type === 'infant');
+            expect(subgroup.travelers.find(traveler => traveler.id === infant.associatedAdultId).type).toBe('adult');
+        });
+
+        const partyIds = subgroups.flatMap(subgroup => subgroup.travelers.map(traveler => traveler.partyId));
+        expect(partyIds.sort((a, b) => a - b)).toEqual(travelers.map(traveler => traveler.id));
+    });
+
+    test('every sub-group needs an adult', () => {
+        const children = Array.from({ length: 9 }, () => ({ type: 'child', age: 8 }));
+        const { travelers } = parse([...adults(1), ...children], { maxSeated: 18 });
+
+        expect(travelerService.partitionTravelers(travelers)).toEqual({
+            subgroups: [],
+            errors: ['A party of 10 seated travelers needs at least 2 adults, one per booking']
+        });
+    });
+
+    test('a party that fits one search stays whole', () => {
+        const { travelers } = parse([...adults(2), { type: 'child', age: 5 }]);
+        const { subgroups } = travelerService.partitionTravelers(travelers);
+
+        expect(subgroups).toHaveLength(1);
+        expect(subgroups[0].seated).toBe(3);
+    });
+});
+
+describe('allocateRooms', () => {
+    test('spreads adults evenly and children round-robin, searching with the fullest room', () => {
+        const { travelers } = parse([...adults(5), { type: 'child', age: 4 }, { type: 'child', age: 9 }, { type: 'child', age: 6 }]);
+
+        expect(travelerService.allocateRooms(travelers, 2)).toEqual({
+            rooms: [{ adults: 3, childAges: [4, 6] }, { adults: 2, childAges: [9] }],
+            adultsPerRoom: 3,
+            childAges: [4, 6],
+            errors: []
+        });
+    });
+
+    test('every room needs an adult', () => {
+        const { travelers } = parse(adults(2));
+
+        expect(travelerService.allocateRooms(travelers, 3).errors).toEqual(['Each room needs an adult (3 rooms, 2 adults)']);
+    });
+});
+
+describe('buildPriceBreakdown', () => {
+    test('prices each traveler of an offer', () => {
+        const breakdown = travelerService.buildPriceBreakdown([
+            { travelerId: '1', travelerType: 'ADULT', fareOption: 'STANDARD', price: { currency: 'EUR', total: '250.40', base: '200.00' } },
+            { travelerId: '2', travelerType: 'HELD_INFANT', price: { currency: 'EUR', total: '25.04', base: '20.00' } }
+        ]);
+
+        expect(breakdown).toEqual([
+            { travelerId: '1', travelerType: 'ADULT', fareOption: 'STANDARD', total: 250.4, base: 200, currency: 'EUR' },
+            { travelerId: '2', travelerType: 'HELD_INFANT', fareOption: null, total: 25.04, base: 20, currency: 'EUR' }
+        ]);
+    });
+
+    test('an offer without traveler pricings has no breakdown', () => {
+        expect(travelerService.buildPriceBreakdown()).toEqual([]);
+    });
+});
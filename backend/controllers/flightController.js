@@ -1,18 +1,58 @@
 const amadeusService = require('../services/amadeusService');
 const cacheService = require('../services/cacheService');
+const offerStoreService = require('../services/offerStoreService');
+const searchResultService = require('../services/searchResultService');
+const flightStatusService = require('../services/flightStatusService');
+const emissionsService = require('../services/emissionsService');
+const seatMapService = require('../services/seatMapService');
+const travelerService = require('../services/travelerService');
+const airlineService = require('../services/airlineService');
+const airportService = require('../services/airportService');
+const locationResolverService = require('../services/locationResolverService');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { toUtc, localDayDelta } = require('../utils/timeZone');
+const { createNdjsonResponse, streamEvent } = require('../utils/ndjsonStream');
+const { openStream, writeAndFlush } = require('../utils/streamResponse');
 const { body, query, validationResult } = require('express-validator');
 
-const { DbIataCode } = require('../services/supabaseService');
+const supabaseService = require('../services/supabaseService');
 
 /**
  * Search flights
  * GET /api/flights/search?origin=LAX&destination=JFK&departureDate=2025-07-01&returnDate=2025-07-08&passengers=2
+ * GET /api/flights/search?origin=LAX&destination=JFK&departureDate=2025-07-01&returnDate=2025-07-08&flexDays=3 (price calendar)
+ * GET /api/flights/search?...&sort=score&durationWeight=70&pageSize=20
  * POST /api/flights/search
+ * POST /api/flights/search { originDestinations: [{ origin: 'SIN', destination: 'NRT', departureDate: '2025-07-01' }, ...] }
+ * Ambiguous names (origin=London) get a 409 with candidates and a resume token:
+ * GET /api/flights/search?resumeToken=...&origin=LHR
+ * Later pages and re-sorts are served from the stored results:
+ * GET /api/flights/search?cursor=...
+ * GET /api/flights/search?searchId=...&sort=duration
  */
 const searchFlights = async (req, res) => {
     try {
         // Handle both GET and POST requests
         let searchParams = req.method === 'GET' ? req.query : req.body;
+
+        if (searchParams?.cursor || searchParams?.searchId) {
+            return await getFlightResultsPage(searchParams, res);
+        }
+
+        // Multi-city and open-jaw trips send an ordered originDestinations array
+        if (req.method === 'POST' && searchParams?.originDestinations !== undefined) {
+            return await searchMultiCityFlights(searchParams, res);
+        }
+
+        // Re-issued search after the user picked locations from a 409 response
+        searchParams = locationResolverService.resumeSearchParams(searchParams || {}, 'flights');
+        if (!searchParams) {
+            return res.status(404).json({
+                success: false,
+                error: 'Resume token not found or expired',
+                message: 'Run the search again with the original parameters'
+            });
+        }
         
         let  {
             origin,
@@ -28,7 +68,9 @@ const searchFlights = async (req, res) => {
             currency = 'USD',
             airlines, // Include specific airlines
             excludeAirlines, // Exclude specific airlines
-            maxResults = 50
+            maxResults = 50,
+            flexDays, // Search +/- N days around the requested dates
+            travelers // POST only: [{ type, age, seated }] in place of the counts above
         } = searchParams;
 
         // Validation
@@ -58,6 +100,39 @@ const searchFlights = async (req, res) => {
                 returnDate
             });
         }
+
+        const flexWindow = flexDays !== undefined && flexDays !== '' ? parseInt(flexDays) : 0;
+        if (isNaN(flexWindow) || flexWindow < 0 || flexWindow > MAX_FLEX_DAYS) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid flexDays. Use a number between 0 and ${MAX_FLEX_DAYS}`,
+                flexDays
+            });
+        }
+
+        const { filters: resultFilters, errors: filterErrors } = parseSearchFilters(searchParams);
+        const { options: pageOptions, errors: pageErrors } = parseFlightPageOptions(searchParams);
+        if (filterErrors.length > 0 || pageErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid filters',
+                validationErrors: [...filterErrors, ...pageErrors]
+            });
+        }
+
+        let parsedTravelers = null;
+        if (travelers !== undefined) {
+            const { travelers: parsed, errors: travelerErrors } = travelerService.parseTravelers(travelers);
+            if (travelerErrors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid travelers',
+                    validationErrors: travelerErrors
+                });
+            }
+            parsedTravelers = parsed;
+            ({ adults, children, infants } = travelerService.countTravelers(parsedTravelers));
+        }
         
         // ===============================
         // STEP: Convert Origin/Destination if needed
@@ -70,56 +145,42 @@ const searchFlights = async (req, res) => {
         returnDate
         });
 
-        // Origin
-        if (origin.length !== 3) {
-        const matches = await DbIataCode(origin);
-        const prev_origin = origin;
-
-        if (matches.length === 1) {
-            origin = matches[0].IATA;
-            console.log(`[searchFlights] ALERT: origin ${prev_origin} -> ${matches[0].Name} (${origin})`);
-        } else if (matches.length > 1) {
-            const matchList = matches
-            .slice(0, 10)
-            .map(m => `${m.Name} (${m.IATA})`)
-            .join(', ');
-            return res.status(400).json({
-            success: false,
-            error: `Ambiguous origin name. Matches found: ${matchList}`
-            });
-        } else {
-            return res.status(400).json({
-            success: false,
-            error: `No IATA code found for origin: ${origin}`
-            });
-        }
-        }
+        // Names are resolved offline; 3-letter codes are used as-is
+        const locations = { origin, destination };
+        const needsResolution = Object.values(locations).some(value => !IATA_CODE_REGEX.test(value));
+        const home = needsResolution ? await locationResolverService.getHomeLocation(searchParams) : null;
+        const ambiguities = [];
 
-        // Destination
-        if (destination.length !== 3) {
-        const matches = await DbIataCode(destination);
-        const prev_destination = destination;
+        for (const [field, value] of Object.entries(locations)) {
+            if (IATA_CODE_REGEX.test(value)) {
+                locations[field] = value.toUpperCase();
+                continue;
+            }
 
-        if (matches.length === 1) {
-            destination = matches[0].IATA;
-            console.log(`[searchFlights] ALERT: destination ${prev_destination} -> ${matches[0].Name} (${destination})`);
-        } else if (matches.length > 1) {
-            const matchList = matches
-            .slice(0, 10)
-            .map(m => `${m.Name} (${m.IATA})`)
-            .join(', ');
-            return res.status(400).json({
-            success: false,
-            error: `Ambiguous destination name. Matches found: ${matchList}`
-            });
-        } else {
-            return res.status(400).json({
-            success: false,
-            error: `No IATA code found for destination: ${destination}`
-            });
+            const resolution = locationResolverService.resolveLocation(value, { home });
+
+            if (resolution.status === 'resolved') {
+                locations[field] = resolution.code;
+                console.log(`[searchFlights] ${field} ${value} -> ${resolution.location.name} (${resolution.code})`);
+            } else if (resolution.status === 'ambiguous') {
+                ambiguities.push({ field, query: value, candidates: resolution.candidates });
+            } else {
+                return res.status(400).json({
+                    success: false,
+                    error: `No IATA code found for ${field}: ${value}`
+                });
+            }
         }
+
+        if (ambiguities.length > 0) {
+            return res.status(409).json(
+                locationResolverService.buildAmbiguityResponse('flights', searchParams, ambiguities)
+            );
         }
 
+        origin = locations.origin;
+        destination = locations.destination;
+
         console.log(`[searchFlights] Pre-IATA conversion`, {
         origin,
         destination,
@@ -139,140 +200,60 @@ const searchFlights = async (req, res) => {
 
 
 
-        // Create cache key
-        const cacheKey = `flights:${origin}:${destination}:${departureDate}:${returnDate || 'oneway'}:${adults}:${children}:${infants}:${travelClass}`;
+        // Prepare search parameters for Amadeus (dates are added per search)
+        const amadeusParams = {
+            originLocationCode: origin.toUpperCase(),
+            destinationLocationCode: destination.toUpperCase(),
+            adults: parseInt(adults),
+            children: parseInt(children),
+            infants: parseInt(infants),
+            travelClass: travelClass.toUpperCase(),
+            nonStop: nonStop === 'true' || nonStop === true,
+            currencyCode: currency.toUpperCase(),
+            max: Math.min(parseInt(maxResults), 250) // Amadeus max is 250
+        };
+
+        // Add optional parameters
+        if (airlines) amadeusParams.includedAirlineCodes = Array.isArray(airlines) ? airlines : [airlines];
+        if (excludeAirlines) amadeusParams.excludedAirlineCodes = Array.isArray(excludeAirlines) ? excludeAirlines : [excludeAirlines];
+        if (parsedTravelers) amadeusParams.travelers = travelerService.toAmadeusTravelers(parsedTravelers);
+
+        const filters = { maxPrice, ...resultFilters };
 
         try {
-            // Check cache first
-            const cachedResult = await cacheService.getFlights(
-                origin,
-                destination,
-                departureDate,
-                async () => {
-                    // Prepare search parameters for Amadeus
-                    const amadeusParams = {
-                        originLocationCode: origin.toUpperCase(),
-                        destinationLocationCode: destination.toUpperCase(),
-                        departureDate,
-                        adults: parseInt(adults),
-                        children: parseInt(children),
-                        infants: parseInt(infants),
-                        travelClass: travelClass.toUpperCase(),
-                        nonStop: nonStop === 'true' || nonStop === true,
-                        currencyCode: currency.toUpperCase(),
-                        max: Math.min(parseInt(maxResults), 250) // Amadeus max is 250
-                    };
-
-                    // Add optional parameters
-                    if (returnDate) amadeusParams.returnDate = returnDate;
-                    if (airlines) amadeusParams.includedAirlineCodes = Array.isArray(airlines) ? airlines : [airlines];
-                    if (excludeAirlines) amadeusParams.excludedAirlineCodes = Array.isArray(excludeAirlines) ? excludeAirlines : [excludeAirlines];
-
-                    // Search flights using Amadeus
-                    const result = await amadeusService.searchFlightOffers(amadeusParams);
-                    
-                    if (!result.success) {
-                        throw new Error(result.error);
-                    }
+            if (flexWindow > 0) {
+                const flexibleResult = await searchFlexibleDates(amadeusParams, filters, {
+                    departureDate,
+                    returnDate,
+                    flexDays: flexWindow,
+                    onDatePair: (cell, pairResult) => streamFlightProgress(res, 'date-pair', pairResult, pageOptions, { cell })
+                });
 
-                    // Process and enhance the data
-                    const processedFlights = result.data.map(offer => {
-                        const pricing = offer.price;
-                        const outbound = offer.itineraries[0];
-                        const inbound = offer.itineraries[1]; // May be undefined for one-way
-
-                        return {
-                            id: offer.id,
-                            type: 'flight-offer',
-                            source: offer.source,
-                            pricing: {
-                                total: parseFloat(pricing.total),
-                                base: parseFloat(pricing.base),
-                                currency: pricing.currency,
-                                grandTotal: parseFloat(pricing.grandTotal),
-                                fees: pricing.fees?.map(fee => ({
-                                    amount: parseFloat(fee.amount),
-                                    type: fee.type
-                                })) || []
-                            },
-                            outboundJourney: {
-                                duration: outbound.duration,
-                                segments: outbound.segments.map(segment => ({
-                                    departure: {
-                                        airport: segment.departure.iataCode,
-                                        terminal: segment.departure.terminal,
-                                        time: segment.departure.at
-                                    },
-                                    arrival: {
-                                        airport: segment.arrival.iataCode,
-                                        terminal: segment.arrival.terminal,
-                                        time: segment.arrival.at
-                                    },
-                                    airline: segment.carrierCode,
-                                    flightNumber: segment.number,
-                                    aircraft: segment.aircraft?.code,
-                                    duration: segment.duration,
-                                    stops: segment.numberOfStops || 0
-                                }))
-                            },
-                            inboundJourney: inbound ? {
-                                duration: inbound.duration,
-                                segments: inbound.segments.map(segment => ({
-                                    departure: {
-                                        airport: segment.departure.iataCode,
-                                        terminal: segment.departure.terminal,
-                                        time: segment.departure.at
-                                    },
-                                    arrival: {
-                                        airport: segment.arrival.iataCode,
-                                        terminal: segment.arrival.terminal,
-                                        time: segment.arrival.at
-                                    },
-                                    airline: segment.carrierCode,
-                                    flightNumber: segment.number,
-                                    aircraft: segment.aircraft?.code,
-                                    duration: segment.duration,
-                                    stops: segment.numberOfStops || 0
-                                }))
-                            } : null,
-                            bookingDetails: {
-                                seatsAvailable: offer.numberOfBookableSeats,
-                                lastTicketingDate: offer.lastTicketingDate,
-                                instantTicketing: offer.instantTicketingRequired,
-                                validatingAirlines: offer.validatingAirlineCodes
-                            },
-                            travelerPricing: offer.travelerPricings
-                        };
-                    });
-
-                    // Apply additional filters if specified
-                    let filteredFlights = processedFlights;
-                    
-                    if (maxPrice) {
-                        const maxPriceNum = parseFloat(maxPrice);
-                        filteredFlights = filteredFlights.filter(flight => 
-                            flight.pricing.total <= maxPriceNum
-                        );
+                return res.json({
+                    success: true,
+                    data: buildFlightPage(flexibleResult, { kind: 'flights', id: flexibleResult.searchId, offset: 0, ...pageOptions }),
+                    meta: {
+                        searchTime: new Date().toISOString(),
+                        flexDays: flexWindow,
+                        datePairsSearched: flexibleResult.priceCalendar.datePairsSearched,
+                        travelers: parsedTravelers
                     }
+                });
+            }
 
-                    // Sort by price (lowest first)
-                    filteredFlights.sort((a, b) => a.pricing.total - b.pricing.total);
+            const datedParams = { ...amadeusParams, departureDate };
+            if (returnDate) datedParams.returnDate = returnDate;
 
-                    return {
-                        flights: filteredFlights,
-                        searchParams: amadeusParams,
-                        resultCount: filteredFlights.length,
-                        dictionaries: result.dictionaries
-                    };
-                }
-            );
+            const cachedResult = await searchFlightOffersCached(datedParams, filters);
+            streamFlightProgress(res, 'offers', cachedResult, pageOptions);
 
             return res.json({
                 success: true,
-                data: cachedResult,
+                data: buildFlightPage(cachedResult, { kind: 'flights', id: cachedResult.searchId, offset: 0, ...pageOptions }),
                 meta: {
                     searchTime: new Date().toISOString(),
-                    cached: true
+                    cached: true,
+                    travelers: parsedTravelers
                 }
             });
 
@@ -297,275 +278,701 @@ const searchFlights = async (req, res) => {
 };
 
 /**
- * Get airports
- * GET /api/flights/airports?city=New York&country=USA&keyword=JFK
+ * Search flights, streaming progress as each upstream search completes
+ * GET|POST /api/flights/search/stream (same parameters as /api/flights/search)
+ * Responds with NDJSON: a progress event with the first page of offers of each upstream search
+ * (stage 'offers', 'multi-city', or 'date-pair' per date pair of a flexible search; 'page' for a
+ * cursor or searchId), then a summary event holding the /api/flights/search response
  */
-const getAirports = async (req, res) => {
-    try {
-        const { keyword, city, country, max = 10 } = req.query;
+const searchFlightsStream = async (req, res) => searchFlights(req, createNdjsonResponse(res));
 
-        if (!keyword && !city) {
-            return res.status(400).json({
-                success: false,
-                error: 'Missing required parameter: keyword or city'
-            });
+/**
+ * Search multi-city flights
+ * Called by searchFlights for POST bodies with an originDestinations array
+ */
+const searchMultiCityFlights = async (searchParams, res) => {
+    const {
+        originDestinations,
+        adults = 1,
+        children = 0,
+        infants = 0,
+        travelClass = 'ECONOMY',
+        nonStop = false,
+        maxPrice,
+        currency = 'USD',
+        airlines,
+        excludeAirlines,
+        maxResults = 50,
+        travelers: travelerInput // [{ type, age, seated }] in place of the counts above
+    } = searchParams;
+
+    if (!Array.isArray(originDestinations) || originDestinations.length === 0 || originDestinations.length > MAX_MULTI_CITY_LEGS) {
+        return res.status(400).json({
+            success: false,
+            error: `originDestinations must be an array of 1 to ${MAX_MULTI_CITY_LEGS} legs`,
+            example: {
+                originDestinations: [
+                    { origin: 'SIN', destination: 'NRT', departureDate: '2025-07-01' },
+                    { origin: 'HND', destination: 'ICN', departureDate: '2025-07-05' },
+                    { origin: 'ICN', destination: 'SIN', departureDate: '2025-07-09' }
+                ],
+                adults: 1
+            }
+        });
+    }
+
+    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+    const codeRegex = /^[A-Z]{3}$/;
+
+    // Accept our flat field names as well as the Amadeus ones
+    const legs = originDestinations.map((leg, index) => ({
+        id: String(index + 1),
+        origin: String(leg.origin || leg.originLocationCode || '').toUpperCase(),
+        destination: String(leg.destination || leg.destinationLocationCode || '').toUpperCase(),
+        departureDate: leg.departureDate || leg.departureDateTimeRange?.date
+    }));
+
+    const validationErrors = [];
+    legs.forEach((leg, index) => {
+        if (!codeRegex.test(leg.origin) || !codeRegex.test(leg.destination)) {
+            validationErrors.push(`Leg ${leg.id}: origin and destination must be IATA codes`);
         }
+        if (!leg.departureDate || !dateRegex.test(leg.departureDate)) {
+            validationErrors.push(`Leg ${leg.id}: departureDate is required in YYYY-MM-DD format`);
+        } else if (index > 0 && legs[index - 1].departureDate && leg.departureDate < legs[index - 1].departureDate) {
+            validationErrors.push(`Leg ${leg.id}: departs before leg ${legs[index - 1].id}`);
+        }
+    });
 
-        const searchKeyword = keyword || city;
-        const cacheKey = `airports:${searchKeyword}:${country || 'all'}:${max}`;
+    const adultCount = parseInt(adults);
+    const childCount = parseInt(children);
+    const infantCount = parseInt(infants);
+    let parsedTravelers = null;
+    if (travelerInput !== undefined) {
+        const { travelers: parsed, errors: travelerErrors } = travelerService.parseTravelers(travelerInput);
+        validationErrors.push(...travelerErrors);
+        parsedTravelers = parsed;
+    } else if (infantCount > adultCount) {
+        validationErrors.push('Each infant must travel with an adult');
+    }
 
-        const result = await cacheService.getAirports(
-            { keyword: searchKeyword, country, max },
-            async () => {
-                const amadeusResult = await amadeusService.searchAirportsAndCities(searchKeyword, {
-                    max: parseInt(max),
-                    include: ['AIRPORTS']
-                });
+    const { filters: resultFilters, errors: filterErrors } = parseSearchFilters(searchParams);
+    const { options: pageOptions, errors: pageErrors } = parseFlightPageOptions(searchParams);
+    validationErrors.push(...filterErrors, ...pageErrors);
 
-                if (!amadeusResult.success) {
-                    throw new Error(amadeusResult.error);
-                }
+    if (validationErrors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid multi-city search',
+            validationErrors
+        });
+    }
 
-                // Filter and format airports
-                let airports = amadeusResult.data.filter(location => 
-                    location.type === 'location' && location.subType === 'AIRPORT'
-                );
+    const travelers = parsedTravelers ? travelerService.toAmadeusTravelers(parsedTravelers) : [];
+    if (!parsedTravelers) {
+        for (let i = 0; i < adultCount; i++) travelers.push({ id: String(travelers.length + 1), travelerType: 'ADULT' });
+        for (let i = 0; i < childCount; i++) travelers.push({ id: String(travelers.length + 1), travelerType: 'CHILD' });
+        for (let i = 0; i < infantCount; i++) {
+            // Held infants sit on the lap of an adult, who are numbered from 1
+            travelers.push({ id: String(travelers.length + 1), travelerType: 'HELD_INFANT', associatedAdultId: String(i + 1) });
+        }
+    }
 
-                // Additional filtering by country if specified
-                if (country) {
-                    const countryCode = country.toUpperCase();
-                    airports = airports.filter(airport => 
-                        airport.address?.countryCode === countryCode ||
-                        airport.address?.countryName?.toUpperCase().includes(countryCode)
-                    );
-                }
+    const flightFilters = {
+        cabinRestrictions: [{
+            cabin: travelClass.toUpperCase(),
+            coverage: 'MOST_SEGMENTS',
+            originDestinationIds: legs.map(leg => leg.id)
+        }]
+    };
+    if (nonStop === 'true' || nonStop === true) {
+        flightFilters.connectionRestriction = { maxNumberOfConnections: 0 };
+    }
+    if (airlines) {
+        flightFilters.carrierRestrictions = { includedCarrierCodes: Array.isArray(airlines) ? airlines : [airlines] };
+    } else if (excludeAirlines) {
+        flightFilters.carrierRestrictions = { excludedCarrierCodes: Array.isArray(excludeAirlines) ? excludeAirlines : [excludeAirlines] };
+    }
 
-                return airports.map(airport => ({
-                    id: airport.id,
-                    name: airport.name,
-                    iataCode: airport.iataCode,
-                    type: airport.subType,
-                    city: airport.address?.cityName,
-                    country: airport.address?.countryName,
-                    countryCode: airport.address?.countryCode,
-                    state: airport.address?.stateCode,
-                    coordinates: {
-                        latitude: airport.geoCode?.latitude,
-                        longitude: airport.geoCode?.longitude
-                    },
-                    timeZone: airport.timeZone,
-                    popularity: airport.analytics?.travelers?.score || 0
-                }));
-            }
-        );
+    const searchBody = {
+        currencyCode: currency.toUpperCase(),
+        originDestinations: legs.map(leg => ({
+            id: leg.id,
+            originLocationCode: leg.origin,
+            destinationLocationCode: leg.destination,
+            departureDateTimeRange: { date: leg.departureDate }
+        })),
+        travelers,
+        sources: ['GDS'],
+        searchCriteria: {
+            maxFlightOffers: Math.min(parseInt(maxResults), 250), // Amadeus max is 250
+            flightFilters
+        }
+    };
+
+    console.log('[searchFlights] Multi-city request', legs.map(leg => `${leg.origin}-${leg.destination} ${leg.departureDate}`));
+
+    try {
+        const result = await searchFlightOffersCached(searchBody, { maxPrice, ...resultFilters });
+        streamFlightProgress(res, 'multi-city', result, pageOptions);
 
         return res.json({
             success: true,
-            data: result,
+            data: buildFlightPage(result, { kind: 'flights', id: result.searchId, offset: 0, ...pageOptions }),
             meta: {
-                searchKeyword,
-                country,
-                resultCount: result.length
+                searchTime: new Date().toISOString(),
+                multiCity: true,
+                legs: legs.length,
+                travelers: parsedTravelers
             }
         });
 
-    } catch (error) {
-        console.error('Airport search error:', error);
-        return res.status(500).json({
+    } catch (amadeusError) {
+        console.error('Amadeus multi-city search error:', amadeusError);
+        return res.status(502).json({
             success: false,
-            error: 'Failed to search airports',
-            message: error.message
+            error: 'Flight search service unavailable',
+            message: amadeusError.message,
+            details: process.env.NODE_ENV === 'development' ? amadeusError : undefined
         });
     }
 };
 
 /**
- * Search airports by location
- * GET /api/flights/airports/location?latitude=40.7128&longitude=-74.0060&radius=100
+ * Group flight search for parties above the 9-traveler limit of one offer
+ * POST /api/flights/search/group { origin, destination, departureDate, returnDate, groupSize: 25 }
+ * (or travelers: [{ type, age, seated }, ...] in place of groupSize)
+ * The party is split into sub-groups of up to 9 that are searched in parallel. Itineraries are the
+ * flights every sub-group can book, with each sub-group's offer and the combined total.
  */
-const getAirportsByLocation = async (req, res) => {
+const searchGroupFlights = async (req, res) => {
     try {
-        const { latitude, longitude, radius = 50 } = req.query;
-
-        if (!latitude || !longitude) {
-            return res.status(400).json({
+        const searchParams = locationResolverService.resumeSearchParams(req.method === 'GET' ? req.query : req.body || {}, 'group-flights');
+        if (!searchParams) {
+            return res.status(404).json({
                 success: false,
-                error: 'Missing required parameters: latitude and longitude'
+                error: 'Resume token not found or expired',
+                message: 'Run the search again with the original parameters'
             });
         }
 
-        const lat = parseFloat(latitude);
-        const lng = parseFloat(longitude);
-        const rad = parseInt(radius);
+        const {
+            origin,
+            destination,
+            departureDate,
+            returnDate,
+            groupSize,
+            travelers,
+            travelClass = 'ECONOMY',
+            nonStop = false,
+            maxPrice,
+            currency = 'USD',
+            maxResults = 20
+        } = searchParams;
 
-        if (isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+        const validationErrors = [];
+        if (!origin || !destination || !departureDate) {
+            validationErrors.push('origin, destination and departureDate are required');
+        }
+        if (departureDate && !DATE_REGEX.test(departureDate)) {
+            validationErrors.push('departureDate must be YYYY-MM-DD');
+        }
+        if (returnDate && (!DATE_REGEX.test(returnDate) || returnDate < departureDate)) {
+            validationErrors.push('returnDate must be YYYY-MM-DD, on or after departureDate');
+        }
+
+        // groupSize is a party of adults; travelers describes everyone
+        let partyInput = travelers;
+        if (partyInput === undefined) {
+            const size = /^\d+$/.test(String(groupSize)) ? parseInt(groupSize) : 0;
+            if (size < 1) {
+                validationErrors.push('Give groupSize (number of adults) or a travelers array');
+            }
+            partyInput = Array.from({ length: size }, () => ({ type: 'adult' }));
+        }
+
+        const { travelers: party, errors: travelerErrors } = partyInput.length > 0
+            ? travelerService.parseTravelers(partyInput, { maxSeated: MAX_GROUP_SIZE })
+            : { travelers: [], errors: [] };
+        validationErrors.push(...travelerErrors);
+
+        const { subgroups, errors: partitionErrors } = validationErrors.length === 0
+            ? travelerService.partitionTravelers(party)
+            : { subgroups: [], errors: [] };
+        validationErrors.push(...partitionErrors);
+
+        if (validationErrors.length > 0) {
             return res.status(400).json({
                 success: false,
-                error: 'Invalid coordinates. Latitude must be between -90 and 90, longitude between -180 and 180'
+                error: 'Invalid group search',
+                validationErrors
             });
         }
 
-        // For location-based airport search, we can use a nearby city search
-        // This is a simplified approach - in production you might use a geocoding service
-        const result = await amadeusService.searchAirportsAndCities('airport', {
-            max: 20,
-            include: ['AIRPORTS']
+        const resolved = await resolveLocationCodes({ origin, destination }, 'group-flights', searchParams);
+        if (resolved.error) {
+            return res.status(resolved.status).json(resolved.error);
+        }
+        const { codes } = resolved;
+
+        console.log(`[groupSearch] ${party.length} travelers in ${subgroups.length} sub-group(s): ${subgroups.map(subgroup => subgroup.seated).join('+')} seats`);
+
+        const subgroupParams = subgroups.map(subgroup => {
+            const params = {
+                originLocationCode: codes.origin,
+                destinationLocationCode: codes.destination,
+                departureDate,
+                ...travelerService.countTravelers(subgroup.travelers),
+                travelers: travelerService.toAmadeusTravelers(subgroup.travelers),
+                travelClass: String(travelClass).toUpperCase(),
+                nonStop: parseBoolean(nonStop),
+                currencyCode: String(currency).toUpperCase(),
+                max: GROUP_SEARCH_MAX_OFFERS
+            };
+            if (returnDate) params.returnDate = returnDate;
+            return params;
         });
 
-        if (!result.success) {
+        // Sub-groups with the same make-up share one search
+        const uniqueParams = [...new Map(subgroupParams.map(params => [JSON.stringify(params), params])).values()];
+
+        let searches;
+        try {
+            const results = await mapWithConcurrency(uniqueParams, FLEX_SEARCH_CONCURRENCY, params => searchFlightOffersCached(params));
+            searches = subgroupParams.map(params => results[uniqueParams.findIndex(unique => JSON.stringify(unique) === JSON.stringify(params))]);
+        } catch (amadeusError) {
+            console.error('Amadeus group search error:', amadeusError);
             return res.status(502).json({
                 success: false,
-                error: 'Airport search service unavailable',
-                message: result.error
+                error: 'Flight search service unavailable',
+                message: amadeusError.message
             });
         }
 
-        // Calculate distance and filter by radius
-        const calculateDistance = (lat1, lon1, lat2, lon2) => {
-            const R = 6371; // Earth's radius in kilometers
-            const dLat = (lat2 - lat1) * Math.PI / 180;
-            const dLon = (lon2 - lon1) * Math.PI / 180;
-            const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-                    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-                    Math.sin(dLon/2) * Math.sin(dLon/2);
-            const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-            return R * c;
-        };
-
-        const nearbyAirports = result.data
-            .filter(airport => airport.geoCode?.latitude && airport.geoCode?.longitude)
-            .map(airport => ({
-                ...airport,
-                distance: calculateDistance(
-                    lat, lng,
-                    airport.geoCode.latitude,
-                    airport.geoCode.longitude
-                )
-            }))
-            .filter(airport => airport.distance <= rad)
-            .sort((a, b) => a.distance - b.distance);
+        const limit = Math.min(Math.max(parseInt(maxResults) || 20, 1), MAX_GROUP_ITINERARIES);
+        let itineraries = combineGroupOffers(subgroups, searches, party.length);
+        if (maxPrice) {
+            itineraries = itineraries.filter(itinerary => itinerary.totalPrice.perTraveler <= parseFloat(maxPrice));
+        }
 
         return res.json({
             success: true,
-            data: nearbyAirports,
+            data: {
+                partySize: party.length,
+                seatedTravelers: subgroups.reduce((total, subgroup) => total + subgroup.seated, 0),
+                subgroups: subgroups.map((subgroup, index) => ({
+                    id: subgroup.id,
+                    seated: subgroup.seated,
+                    travelers: subgroup.travelers,
+                    searchId: searches[index].searchId,
+                    offerCount: searches[index].resultCount
+                })),
+                itineraries: itineraries.slice(0, limit),
+                resultCount: Math.min(itineraries.length, limit),
+                offersExpireAt: searches.map(search => search.offersExpireAt).sort()[0] || null,
+                airlines: Object.assign({}, ...searches.map(search => search.airlines))
+            },
             meta: {
-                searchLocation: { latitude: lat, longitude: lng },
-                radius: rad,
-                resultCount: nearbyAirports.length
+                searchTime: new Date().toISOString(),
+                upstreamSearches: uniqueParams.length,
+                commonItineraries: itineraries.length,
+                booking: 'Price and book every sub-group offer of an itinerary with its own searchId: GET /api/flights/offers/{offerId}?searchId=..., then POST /api/flights/orders'
             }
         });
 
     } catch (error) {
-        console.error('Airport location search error:', error);
+        console.error('Group flight search error:', error);
         return res.status(500).json({
             success: false,
-            error: 'Failed to search airports by location',
+            error: 'Failed to search group flights',
             message: error.message
         });
     }
 };
 
 /**
- * Get specific airport by code
- * GET /api/flights/airports/LAX
- * GET /api/flights/airports/KLAX?type=icao
+ * Page through or re-sort stored flight results
+ * Called by searchFlights for a cursor, or for a searchId with a new sort; never calls Amadeus
  */
-const getAirportByCode = async (req, res) => {
-    try {
-        const { code } = req.params;
-        const { type = 'iata' } = req.query;
+const getFlightResultsPage = async (searchParams, res) => {
+    let position;
 
-        if (!code) {
+    if (searchParams.cursor) {
+        position = searchResultService.decodeCursor(searchParams.cursor);
+        if (!position || position.kind !== 'flights' || !FLIGHT_SORTS.includes(position.sort)) {
             return res.status(400).json({
                 success: false,
-                error: 'Missing airport code'
+                error: 'Invalid cursor',
+                message: 'Use the nextCursor of a flight search response'
+            });
+        }
+    } else {
+        const { options, errors } = parseFlightPageOptions(searchParams);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid page options',
+                validationErrors: errors
             });
         }
+        position = { kind: 'flights', id: String(searchParams.searchId), offset: 0, ...options };
+    }
 
-        const upperCode = code.toUpperCase();
-        
-        // Search for the specific airport
-        const result = await amadeusService.searchAirportsAndCities(upperCode, {
-            max: 5,
-            include: ['AIRPORTS']
+    const results = searchResultService.getResults('flights', position.id);
+    if (!results) {
+        return res.status(404).json({
+            success: false,
+            error: 'Search results not found or expired',
+            message: 'Run the search again to get fresh offers'
         });
+    }
+    streamFlightProgress(res, 'page', results, position);
+
+    return res.json({
+        success: true,
+        data: buildFlightPage(results, position),
+        meta: {
+            searchTime: new Date().toISOString(),
+            storedResults: true
+        }
+    });
+};
 
-        if (!result.success) {
-            return res.status(502).json({
+/**
+ * Destination inspiration: the cheapest places to fly from an origin
+ * GET /api/flights/inspiration?origin=SIN&maxPrice=400&departureWindow=2025-07-01,2025-07-31&duration=3,10
+ */
+const getFlightInspiration = async (req, res) => {
+    try {
+        const searchParams = locationResolverService.resumeSearchParams(req.query, 'inspiration');
+        if (!searchParams) {
+            return res.status(404).json({
                 success: false,
-                error: 'Airport search service unavailable',
-                message: result.error
+                error: 'Resume token not found or expired',
+                message: 'Run the search again with the original parameters'
             });
         }
 
-        // Find exact match
-        const airport = result.data.find(location => 
-            location.iataCode === upperCode ||
-            (type === 'icao' && location.id === upperCode)
-        );
+        const { origin, maxPrice, departureWindow, duration, oneWay, nonStop } = searchParams;
 
-        if (!airport) {
-            return res.status(404).json({
+        if (!origin) {
+            return res.status(400).json({
                 success: false,
-                error: `Airport not found for code: ${upperCode}`,
-                searchType: type
+                error: 'Missing required parameter: origin',
+                example: '/api/flights/inspiration?origin=SIN&maxPrice=400'
+            });
+        }
+
+        const { params: inspirationParams, errors } = parseInspirationParams({ maxPrice, departureWindow, duration, oneWay, nonStop });
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid parameters',
+                validationErrors: errors
+            });
+        }
+
+        const resolved = await resolveLocationCodes({ origin }, 'inspiration', searchParams);
+        if (resolved.error) {
+            return res.status(resolved.status).json(resolved.error);
+        }
+        const originCode = resolved.codes.origin;
+
+        const amadeusParams = { origin: originCode, ...inspirationParams, viewBy: 'DESTINATION' };
+
+        // Amadeus refreshes these prices daily, so a long cache costs little accuracy.
+        // Failures are thrown rather than returned so they are never cached.
+        let result;
+        try {
+            result = await cacheService.getInspiration(amadeusParams, async () => {
+                const response = await amadeusService.searchFlightDestinations(amadeusParams);
+                if (!response.success) throw new Error(response.error || 'Flight inspiration search failed');
+                return { ...response, fetchedAt: new Date().toISOString() };
+            });
+        } catch (error) {
+            return res.status(502).json({
+                success: false,
+                error: 'Flight inspiration service unavailable',
+                message: error.message
             });
         }
 
+        const currency = result.meta?.currency || null;
+        const destinations = (result.data || [])
+            .map(item => buildInspirationDestination(item, result.dictionaries))
+            .sort((a, b) => a.price.total - b.price.total);
+
         return res.json({
             success: true,
             data: {
-                id: airport.id,
-                name: airport.name,
-                iataCode: airport.iataCode,
-                type: airport.subType,
-                city: airport.address?.cityName,
-                country: airport.address?.countryName,
-                countryCode: airport.address?.countryCode,
-                state: airport.address?.stateCode,
-                coordinates: {
-                    latitude: airport.geoCode?.latitude,
-                    longitude: airport.geoCode?.longitude
-                },
-                timeZone: airport.timeZone,
-                popularity: airport.analytics?.travelers?.score || 0
+                origin: airportService.getLocationByCode(originCode) || { code: originCode },
+                currency,
+                destinations
+            },
+            meta: {
+                searchParams: amadeusParams,
+                resultCount: destinations.length,
+                pricesFrom: result.fetchedAt,
+                cached: true
             }
         });
 
     } catch (error) {
-        console.error('Airport code search error:', error);
+        console.error('Flight inspiration error:', error);
         return res.status(500).json({
             success: false,
-            error: 'Failed to get airport by code',
+            error: 'Failed to get flight inspiration',
             message: error.message
         });
     }
 };
 
 /**
- * Get airports by city
- * GET /api/flights/airports/city/New York?country=USA
+ * Lowest fare for each day of a month on one route
+ * GET /api/flights/cheapest-dates?origin=SIN&destination=BKK&month=2025-07&duration=3,7
+ * Falls back to sampling offer searches on a few days when Amadeus has no cached prices for the route
  */
-const getAirportsByCity = async (req, res) => {
+const getCheapestDates = async (req, res) => {
     try {
-        const { city } = req.params;
-        const { country } = req.query;
+        const searchParams = locationResolverService.resumeSearchParams(req.query, 'cheapest-dates');
+        if (!searchParams) {
+            return res.status(404).json({
+                success: false,
+                error: 'Resume token not found or expired',
+                message: 'Run the search again with the original parameters'
+            });
+        }
 
-        if (!city) {
+        const { origin, destination, month, duration, nonStop, currency = 'USD' } = searchParams;
+
+        if (!origin || !destination || !month) {
             return res.status(400).json({
                 success: false,
-                error: 'Missing city name'
+                error: 'Missing required parameters',
+                required: ['origin', 'destination', 'month'],
+                received: { origin, destination, month }
             });
         }
 
-        const searchTerm = city.replace(/[^a-zA-Z\s]/g, ''); // Clean city name
-        const cacheKey = `airports_city:${searchTerm}:${country || 'all'}`;
+        const currentMonth = new Date().toISOString().slice(0, 7);
+        if (!MONTH_REGEX.test(month) || month < currentMonth) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid month. Use YYYY-MM, this month or later',
+                month
+            });
+        }
+
+        // A duration makes it a round trip: the cheapest return within that many days
+        let tripDays = null;
+        if (duration !== undefined && duration !== '') {
+            tripDays = parseTripDays(duration);
+            if (!tripDays) {
+                return res.status(400).json({
+                    success: false,
+                    error: TRIP_DAYS_ERROR,
+                    duration
+                });
+            }
+        }
+
+        const resolved = await resolveLocationCodes({ origin, destination }, 'cheapest-dates', searchParams);
+        if (resolved.error) {
+            return res.status(resolved.status).json(resolved.error);
+        }
+        const { codes } = resolved;
+
+        const today = new Date().toISOString().split('T')[0];
+        const monthDates = getMonthDates(month);
+        const searchableDates = monthDates.filter(date => date >= today);
+
+        const amadeusParams = {
+            origin: codes.origin,
+            destination: codes.destination,
+            departureDate: `${searchableDates[0]},${searchableDates[searchableDates.length - 1]}`,
+            oneWay: !tripDays,
+            viewBy: 'DATE'
+        };
+        if (tripDays) amadeusParams.duration = tripDays.join(',');
+        if (parseBoolean(nonStop)) amadeusParams.nonStop = true;
+
+        // Failures are thrown rather than returned so they are never cached; the sampled fallback covers them
+        let result;
+        try {
+            result = await cacheService.getFlightDates(amadeusParams, async () => {
+                const response = await amadeusService.searchFlightDates(amadeusParams);
+                if (!response.success) throw new Error(response.error || 'Flight dates search failed');
+                return response;
+            });
+        } catch (error) {
+            result = { success: false, error: error.message };
+        }
+
+        let fares;
+        let source = 'flight-dates';
+        let fareCurrency = result.meta?.currency || null;
+        let searchedParams = amadeusParams;
+
+        if (result.success && result.data?.length > 0) {
+            fares = result.data.map(item => ({
+                departureDate: item.departureDate,
+                returnDate: item.returnDate || null,
+                price: parseFloat(item.price?.total),
+                searchId: null
+            }));
+        } else {
+            // Amadeus only caches popular routes; search a spread of days instead
+            console.log(`[cheapestDates] No cached prices for ${codes.origin}-${codes.destination} (${result.error || 'empty'}), sampling offers`);
+            const offerParams = {
+                originLocationCode: codes.origin,
+                destinationLocationCode: codes.destination,
+                adults: 1,
+                travelClass: 'ECONOMY',
+                nonStop: parseBoolean(nonStop),
+                currencyCode: String(currency).toUpperCase(),
+                max: 20
+            };
+            // Round trips are priced at the shortest and the longest trip length of the range
+            const tripLengths = tripDays ? [...new Set([tripDays[0], tripDays[tripDays.length - 1]])] : null;
+            try {
+                fares = await sampleCheapestDates(searchableDates, offerParams, tripLengths);
+            } catch (error) {
+                return res.status(502).json({
+                    success: false,
+                    error: 'Cheapest date service unavailable',
+                    message: error.message
+                });
+            }
+            source = 'sampled';
+            fareCurrency = String(currency).toUpperCase();
+            searchedParams = tripLengths ? { ...offerParams, tripLengths } : offerParams;
+        }
+
+        // Lowest fare per departure day (round trips can have several return dates per day)
+        const lowestByDate = new Map();
+        fares.forEach(fare => {
+            const current = lowestByDate.get(fare.departureDate);
+            if (!isNaN(fare.price) && (!current || fare.price < current.price)) {
+                lowestByDate.set(fare.departureDate, fare);
+            }
+        });
+
+        const days = monthDates.map(date => {
+            const fare = lowestByDate.get(date);
+            return {
+                date,
+                past: date < today,
+                price: fare ? fare.price : null,
+                returnDate: fare ? fare.returnDate : null,
+                searchId: fare ? fare.searchId : null,
+                cheapest: false
+            };
+        });
+
+        const pricedDays = days.filter(day => day.price !== null);
+        const cheapestDay = pricedDays.reduce((best, day) => (!best || day.price < best.price ? day : best), null);
+        if (cheapestDay) cheapestDay.cheapest = true;
+
+        return res.json({
+            success: true,
+            data: {
+                origin: codes.origin,
+                destination: codes.destination,
+                month,
+                tripType: tripDays ? 'ROUND_TRIP' : 'ONE_WAY',
+                duration: tripDays ? tripDays.join(',') : null,
+                currency: fareCurrency,
+                source,
+                days,
+                cheapest: cheapestDay,
+                priceRange: pricedDays.length > 0
+                    ? { min: cheapestDay.price, max: Math.max(...pricedDays.map(day => day.price)) }
+                    : null
+            },
+            meta: {
+                searchParams: searchedParams,
+                pricedDays: pricedDays.length,
+                sampledDays: source === 'sampled' ? new Set(fares.map(fare => fare.departureDate)).size : null,
+                searchTime: new Date().toISOString()
+            }
+        });
+
+    } catch (error) {
+        console.error('Cheapest dates error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to get cheapest dates',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Get airline reference data
+ * GET /api/flights/airlines?alliance=star&q=singapore&codes=SQ,TR
+ */
+const getAirlines = async (req, res) => {
+    try {
+        const { alliance, q, codes } = req.query;
+
+        const allianceKey = alliance ? airlineService.parseAlliance(alliance) : null;
+        if (alliance && !allianceKey) {
+            return res.status(400).json({
+                success: false,
+                error: 'Unknown alliance',
+                validAlliances: Object.keys(airlineService.ALLIANCES),
+                received: alliance
+            });
+        }
+
+        const airlines = airlineService.getAirlines({
+            alliance: allianceKey,
+            query: q,
+            codes: codes ? parseCodeList(codes) : undefined
+        });
+
+        return res.json({
+            success: true,
+            data: airlines,
+            meta: {
+                resultCount: airlines.length,
+                alliances: airlineService.ALLIANCES
+            }
+        });
+
+    } catch (error) {
+        console.error('Get airlines error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to get airlines',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Get airports
+ * GET /api/flights/airports?city=New York&country=USA&keyword=JFK
+ */
+const getAirports = async (req, res) => {
+    try {
+        const { keyword, city, country, max = 10 } = req.query;
+
+        if (!keyword && !city) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required parameter: keyword or city'
+            });
+        }
+
+        const searchKeyword = keyword || city;
+        const cacheKey = `airports:${searchKeyword}:${country || 'all'}:${max}`;
 
         const result = await cacheService.getAirports(
-            { city: searchTerm, country },
+            { keyword: searchKeyword, country, max },
             async () => {
-                const amadeusResult = await amadeusService.searchAirportsAndCities(searchTerm, {
-                    max: 20,
+                const amadeusResult = await amadeusService.searchAirportsAndCities(searchKeyword, {
+                    max: parseInt(max),
                     include: ['AIRPORTS']
                 });
 
@@ -573,26 +980,34 @@ const getAirportsByCity = async (req, res) => {
                     throw new Error(amadeusResult.error);
                 }
 
-                let airports = amadeusResult.data.filter(location => {
-                    const cityMatch = location.address?.cityName?.toLowerCase().includes(searchTerm.toLowerCase());
-                    const countryMatch = !country || 
-                        location.address?.countryCode?.toLowerCase() === country.toLowerCase() ||
-                        location.address?.countryName?.toLowerCase().includes(country.toLowerCase());
-                    
-                    return cityMatch && countryMatch;
-                });
+                // Filter and format airports
+                let airports = amadeusResult.data.filter(location => 
+                    location.type === 'location' && location.subType === 'AIRPORT'
+                );
+
+                // Additional filtering by country if specified
+                if (country) {
+                    const countryCode = country.toUpperCase();
+                    airports = airports.filter(airport => 
+                        airport.address?.countryCode === countryCode ||
+                        airport.address?.countryName?.toUpperCase().includes(countryCode)
+                    );
+                }
 
                 return airports.map(airport => ({
                     id: airport.id,
                     name: airport.name,
                     iataCode: airport.iataCode,
+                    type: airport.subType,
                     city: airport.address?.cityName,
                     country: airport.address?.countryName,
                     countryCode: airport.address?.countryCode,
+                    state: airport.address?.stateCode,
                     coordinates: {
                         latitude: airport.geoCode?.latitude,
                         longitude: airport.geoCode?.longitude
                     },
+                    timeZone: airport.timeZone,
                     popularity: airport.analytics?.travelers?.score || 0
                 }));
             }
@@ -602,168 +1017,927 @@ const getAirportsByCity = async (req, res) => {
             success: true,
             data: result,
             meta: {
-                city: searchTerm,
+                searchKeyword,
                 country,
                 resultCount: result.length
             }
         });
 
     } catch (error) {
-        console.error('Airport city search error:', error);
+        console.error('Airport search error:', error);
         return res.status(500).json({
             success: false,
-            error: 'Failed to search airports by city',
+            error: 'Failed to search airports',
             message: error.message
         });
     }
 };
 
 /**
- * Get flight offer details
- * GET /api/flights/offers/:offerId
+ * Search airports by location
+ * Returns the nearest airports within the radius (km), nearest first
+ * GET /api/flights/airports/location?latitude=40.7128&longitude=-74.0060&radius=100&limit=5&scheduledOnly=true
  */
-const getFlightOffer = async (req, res) => {
+const getAirportsByLocation = async (req, res) => {
     try {
-        const { offerId } = req.params;
-        const { include } = req.query; // 'credit-card-fees', 'detailed-fare-rules', etc.
+        const { latitude, longitude, radius = 50, limit = 10, scheduledOnly = 'false' } = req.query;
 
-        if (!offerId) {
+        if (!latitude || !longitude) {
             return res.status(400).json({
                 success: false,
-                error: 'Missing flight offer ID'
+                error: 'Missing required parameters: latitude and longitude'
             });
         }
 
-        // This would typically come from a previous search
-        // For now, we'll return a helpful message
-        return res.status(501).json({
-            success: false,
-            error: 'Flight offer pricing endpoint not fully implemented',
-            message: 'This endpoint requires a flight offer object from a previous search',
-            offerId,
-            nextSteps: [
-                'First search for flights using /api/flights/search',
-                'Use the flight offer ID and data to price the offer',
-                'Implement flight offer storage/session management'
-            ]
-        });
-
-        // TODO: Implement flight offer pricing
-        // const result = await amadeusService.priceFlightOffers(flightOffer, { include });
-
-    } catch (error) {
-        console.error('Flight offer error:', error);
-        return res.status(500).json({
-            success: false,
-            error: 'Failed to get flight offer',
-            message: error.message
-        });
-    }
-};
-
-/**
- * Get flight status
- * GET /api/flights/status?carrier=AA&flight=100&date=2025-07-01
- */
-const getFlightStatus = async (req, res) => {
-    try {
-        const { carrier, flight, date } = req.query;
+        const lat = parseFloat(latitude);
+        const lng = parseFloat(longitude);
+        const rad = parseFloat(radius);
+        const max = parseInt(limit);
 
-        if (!carrier || !flight || !date) {
+        if (isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
             return res.status(400).json({
                 success: false,
-                error: 'Missing required parameters',
-                required: ['carrier', 'flight', 'date'],
-                example: '/api/flights/status?carrier=AA&flight=100&date=2025-07-01'
+                error: 'Invalid coordinates. Latitude must be between -90 and 90, longitude between -180 and 180'
             });
         }
 
-        // Validate date format
-        const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-        if (!dateRegex.test(date)) {
+        if (isNaN(rad) || rad <= 0 || rad > MAX_AIRPORT_SEARCH_RADIUS_KM) {
             return res.status(400).json({
                 success: false,
-                error: 'Invalid date format. Use YYYY-MM-DD'
+                error: `Invalid radius. Must be greater than 0 and at most ${MAX_AIRPORT_SEARCH_RADIUS_KM} km`
             });
         }
 
-        const result = await amadeusService.getFlightStatus(
-            carrier.toUpperCase(),
-            flight,
-            date
-        );
-
-        if (!result.success) {
-            return res.status(502).json({
+        if (isNaN(max) || max < 1 || max > MAX_NEAREST_AIRPORTS) {
+            return res.status(400).json({
                 success: false,
-                error: 'Flight status service unavailable',
-                message: result.error
+                error: `Invalid limit. Must be between 1 and ${MAX_NEAREST_AIRPORTS}`
             });
         }
 
+        const nearbyAirports = airportService.getNearestAirports(lat, lng, {
+            radius: rad,
+            limit: max,
+            scheduledOnly: scheduledOnly === 'true'
+        });
+
         return res.json({
             success: true,
-            data: result.data,
+            data: nearbyAirports,
             meta: {
-                carrier,
-                flight,
-                date,
-                resultCount: result.data.length
+                searchLocation: { latitude: lat, longitude: lng },
+                radius: rad,
+                limit: max,
+                scheduledOnly: scheduledOnly === 'true',
+                resultCount: nearbyAirports.length,
+                source: 'local'
             }
         });
 
     } catch (error) {
-        console.error('Flight status error:', error);
+        console.error('Airport location search error:', error);
         return res.status(500).json({
             success: false,
-            error: 'Failed to get flight status',
+            error: 'Failed to search airports by location',
             message: error.message
         });
     }
 };
 
-// Get the top matching airport's IATA code given a city or airport name  // Redundant code
-/*
-async function getIataCode(cityOrAirportName) {
-  try {
-    const amadeusResult = await amadeusService.searchAirportsAndCities(cityOrAirportName, {
-      //subType: "CITY" // <- restrict search to airports
-    });
-
-    if (amadeusResult.success && Array.isArray(amadeusResult.data) && amadeusResult.data.length > 0) {
-      //return amadeusResult.data[0].iataCode;
-      return amadeusResult
-    }
-
-    return amadeusResult; // No airports found
-  } catch (error) {
-    console.error(`Error fetching IATA code for "${cityOrAirportName}":`, error.message || error);
-    return amadeusResult;
-  }
-}
-
-*/
-
+/**
+ * Get specific airport by code
+ * GET /api/flights/airports/LAX
+ * GET /api/flights/airports/KLAX?type=icao
+ */
+const getAirportByCode = async (req, res) => {
+    try {
+        const { code } = req.params;
+        const { type = 'iata' } = req.query;
 
-const XLSX = require('xlsx');
-const path = require('path');
+        if (!code) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing airport code'
+            });
+        }
 
-// Load and parse the airports data
-const workbook = XLSX.readFile(path.join(__dirname, 'airports_cleaned.xlsx'));
-const sheet = workbook.Sheets[workbook.SheetNames[0]];
-const rawRows = XLSX.utils.sheet_to_json(sheet, { header: 1 }); // No headers
-const parsedAirportData = rawRows.slice(1).map(row => ({ // Skip first row
-    airport_id: row[0],
-    name: row[1],
-    city: row[2],
-    country: row[3],
-    iata: row[4]
-}));
+        const upperCode = code.toUpperCase();
+
+        // Offline directory first; Amadeus only for codes it does not know
+        const localAirport = airportService.getAirportByCode(upperCode, type);
+        if (localAirport) {
+            return res.json({
+                success: true,
+                data: localAirport,
+                meta: { source: 'local' }
+            });
+        }
+        
+        // Search for the specific airport
+        const result = await amadeusService.searchAirportsAndCities(upperCode, {
+            max: 5,
+            include: ['AIRPORTS']
+        });
+
+        if (!result.success) {
+            return res.status(502).json({
+                success: false,
+                error: 'Airport search service unavailable',
+                message: result.error
+            });
+        }
+
+        // Find exact match
+        const airport = result.data.find(location => 
+            location.iataCode === upperCode ||
+            (type === 'icao' && location.id === upperCode)
+        );
+
+        if (!airport) {
+            return res.status(404).json({
+                success: false,
+                error: `Airport not found for code: ${upperCode}`,
+                searchType: type
+            });
+        }
+
+        return res.json({
+            success: true,
+            data: {
+                id: airport.id,
+                name: airport.name,
+                iataCode: airport.iataCode,
+                type: airport.subType,
+                city: airport.address?.cityName,
+                country: airport.address?.countryName,
+                countryCode: airport.address?.countryCode,
+                state: airport.address?.stateCode,
+                coordinates: {
+                    latitude: airport.geoCode?.latitude,
+                    longitude: airport.geoCode?.longitude
+                },
+                timeZone: airport.timeZone,
+                popularity: airport.analytics?.travelers?.score || 0
+            },
+            meta: { source: 'amadeus' }
+        });
+
+    } catch (error) {
+        console.error('Airport code search error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to get airport by code',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Get airports by city
+ * GET /api/flights/airports/city/New York?country=USA
+ */
+const getAirportsByCity = async (req, res) => {
+    try {
+        const { city } = req.params;
+        const { country } = req.query;
+
+        if (!city) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing city name'
+            });
+        }
+
+        // Offline directory first; Amadeus only for cities it does not know
+        const localAirports = airportService.getAirportsByCity(city, { country });
+        if (localAirports.length > 0) {
+            return res.json({
+                success: true,
+                data: localAirports,
+                meta: {
+                    city,
+                    country,
+                    resultCount: localAirports.length,
+                    source: 'local'
+                }
+            });
+        }
+
+        const searchTerm = city.replace(/[^a-zA-Z\s]/g, ''); // Clean city name
+        const cacheKey = `airports_city:${searchTerm}:${country || 'all'}`;
+
+        const result = await cacheService.getAirports(
+            { city: searchTerm, country },
+            async () => {
+                const amadeusResult = await amadeusService.searchAirportsAndCities(searchTerm, {
+                    max: 20,
+                    include: ['AIRPORTS']
+                });
+
+                if (!amadeusResult.success) {
+                    throw new Error(amadeusResult.error);
+                }
+
+                let airports = amadeusResult.data.filter(location => {
+                    const cityMatch = location.address?.cityName?.toLowerCase().includes(searchTerm.toLowerCase());
+                    const countryMatch = !country || 
+                        location.address?.countryCode?.toLowerCase() === country.toLowerCase() ||
+                        location.address?.countryName?.toLowerCase().includes(country.toLowerCase());
+                    
+                    return cityMatch && countryMatch;
+                });
+
+                return airports.map(airport => ({
+                    id: airport.id,
+                    name: airport.name,
+                    iataCode: airport.iataCode,
+                    city: airport.address?.cityName,
+                    country: airport.address?.countryName,
+                    countryCode: airport.address?.countryCode,
+                    coordinates: {
+                        latitude: airport.geoCode?.latitude,
+                        longitude: airport.geoCode?.longitude
+                    },
+                    popularity: airport.analytics?.travelers?.score || 0
+                }));
+            }
+        );
+
+        return res.json({
+            success: true,
+            data: result,
+            meta: {
+                city: searchTerm,
+                country,
+                resultCount: result.length,
+                source: 'amadeus'
+            }
+        });
+
+    } catch (error) {
+        console.error('Airport city search error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to search airports by city',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Get flight offer details
+ * Confirms the price of an offer from a previous search
+ * GET /api/flights/offers/:offerId?searchId=...&include=detailed-fare-rules,bags
+ */
+const getFlightOffer = async (req, res) => {
+    try {
+        const { offerId } = req.params;
+        const { searchId, include } = req.query; // 'credit-card-fees', 'detailed-fare-rules', etc.
+
+        if (!offerId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing flight offer ID'
+            });
+        }
+
+        if (!searchId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required parameter: searchId',
+                message: 'Use the searchId returned by /api/flights/search',
+                example: `/api/flights/offers/${offerId}?searchId=SEARCH_ID`
+            });
+        }
+
+        const validIncludes = ['credit-card-fees', 'bags', 'other-services', 'detailed-fare-rules'];
+        const includeList = include
+            ? (Array.isArray(include) ? include : include.split(',')).map(i => i.trim()).filter(Boolean)
+            : [];
+        const invalidIncludes = includeList.filter(i => !validIncludes.includes(i));
+
+        if (invalidIncludes.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid include option',
+                validIncludes,
+                received: invalidIncludes
+            });
+        }
+
+        const stored = offerStoreService.getOffer(searchId, offerId);
+        if (!stored) {
+            return res.status(404).json({
+                success: false,
+                error: `Flight offer ${offerId} not found or expired`,
+                message: 'Offers are kept for 30 minutes after a search. Search again to get a fresh offer.',
+                searchId
+            });
+        }
+
+        const result = await amadeusService.priceFlightOffers(stored.offer, {
+            include: includeList.length > 0 ? includeList : undefined
+        });
+
+        if (!result.success) {
+            return res.status(502).json({
+                success: false,
+                error: 'Flight pricing service unavailable',
+                message: result.error
+            });
+        }
+
+        const pricedOffer = result.data?.flightOffers?.[0];
+        if (!pricedOffer) {
+            return res.status(409).json({
+                success: false,
+                error: 'Flight offer is no longer available',
+                message: 'The airline did not confirm this offer. Search again to get a fresh offer.',
+                searchId,
+                offerId
+            });
+        }
+
+        const previousTotal = parseFloat(stored.offer.price.grandTotal || stored.offer.price.total);
+        const confirmedTotal = parseFloat(pricedOffer.price.grandTotal || pricedOffer.price.total);
+        const delta = Math.round((confirmedTotal - previousTotal) * 100) / 100;
+
+        const { pricedOfferId, expiresAt } = offerStoreService.savePricedOffer(searchId, offerId, pricedOffer, {
+            bookingRequirements: result.data.bookingRequirements
+        });
+
+        // Fare rules come back keyed by fare component, each listing its notes
+        const fareRules = Object.values(result.included?.['detailed-fare-rules'] || {}).map(rule => ({
+            segmentId: rule.segmentId,
+            fareBasis: rule.fareBasis,
+            name: rule.name,
+            notes: (rule.fareNotes?.descriptions || []).map(note => ({
+                type: note.descriptionType,
+                text: note.text
+            }))
+        }));
+
+        return res.json({
+            success: true,
+            data: {
+                pricedOfferId,
+                searchId,
+                offerId,
+                pricing: {
+                    total: parseFloat(pricedOffer.price.total),
+                    base: parseFloat(pricedOffer.price.base),
+                    currency: pricedOffer.price.currency,
+                    grandTotal: parseFloat(pricedOffer.price.grandTotal),
+                    fees: pricedOffer.price.fees?.map(fee => ({
+                        amount: parseFloat(fee.amount),
+                        type: fee.type
+                    })) || [],
+                    taxes: pricedOffer.price.taxes || []
+                },
+                priceChange: {
+                    previousTotal,
+                    confirmedTotal,
+                    delta,
+                    percent: previousTotal > 0 ? Math.round((delta / previousTotal) * 10000) / 100 : 0,
+                    changed: delta !== 0
+                },
+                fareRules,
+                bookingRequirements: result.data.bookingRequirements || null,
+                lastTicketingDate: pricedOffer.lastTicketingDate,
+                travelerPricing: pricedOffer.travelerPricings,
+                included: {
+                    creditCardFees: result.included?.['credit-card-fees'] || null,
+                    bags: result.included?.bags || null,
+                    otherServices: result.included?.['other-services'] || null
+                }
+            },
+            meta: {
+                pricedAt: new Date().toISOString(),
+                expiresAt
+            }
+        });
+
+    } catch (error) {
+        console.error('Flight offer error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to get flight offer',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Get the seat maps of a searched flight offer
+ * GET /api/flights/offers/:offerId/seatmap?searchId=...&seatPreference=window
+ * GET /api/flights/offers/:offerId/seatmap?searchId=...&userId=... (seat preference from the user's profile)
+ */
+const getFlightOfferSeatMap = async (req, res) => {
+    try {
+        const { offerId } = req.params;
+        const { searchId, userId, seatPreference } = req.query;
+
+        if (!searchId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required parameter: searchId',
+                message: 'Use the searchId returned by /api/flights/search',
+                example: `/api/flights/offers/${offerId}/seatmap?searchId=SEARCH_ID`
+            });
+        }
+
+        let preference = null;
+        if (seatPreference !== undefined && seatPreference !== '') {
+            preference = seatMapService.parseSeatPreference(seatPreference);
+            if (!preference) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Invalid seatPreference. Use one of ${seatMapService.SEAT_PREFERENCES.join(', ')}`,
+                    seatPreference
+                });
+            }
+        } else if (userId) {
+            preference = await getProfileSeatPreference(userId);
+        }
+
+        const stored = offerStoreService.getOffer(searchId, offerId);
+        if (!stored) {
+            return res.status(404).json({
+                success: false,
+                error: `Flight offer ${offerId} not found or expired`,
+                message: 'Offers are kept for 30 minutes after a search. Search again to get a fresh offer.',
+                searchId
+            });
+        }
+
+        const result = await amadeusService.getSeatMaps(stored.offer);
+
+        if (!result.success) {
+            return res.status(502).json({
+                success: false,
+                error: 'Seat map service unavailable',
+                message: result.error
+            });
+        }
+
+        const seatMaps = (result.data || []).map(seatMap => seatMapService.normalizeSeatMap(seatMap, { preference }));
+
+        // Airlines do not publish seat maps for every flight
+        const mappedSegmentIds = new Set(seatMaps.map(seatMap => seatMap.segmentId));
+        const segmentsWithoutSeatMap = stored.offer.itineraries
+            .flatMap(itinerary => itinerary.segments)
+            .filter(segment => !mappedSegmentIds.has(segment.id))
+            .map(segment => ({
+                segmentId: segment.id,
+                carrier: segment.carrierCode,
+                number: segment.number,
+                departure: segment.departure.iataCode,
+                arrival: segment.arrival.iataCode
+            }));
+
+        return res.json({
+            success: true,
+            data: {
+                searchId,
+                offerId,
+                preference,
+                seatMaps,
+                segmentsWithoutSeatMap
+            },
+            meta: {
+                retrievedAt: new Date().toISOString(),
+                seatMapCount: seatMaps.length
+            }
+        });
+
+    } catch (error) {
+        console.error('Seat map error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to get seat map',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Create flight order (booking)
+ * POST /api/flights/orders
+ */
+const createFlightOrder = async (req, res) => {
+    try {
+        const { pricedOfferId, travelers, contacts, userId } = req.body;
+
+        const requiredFields = ['pricedOfferId', 'travelers', 'contacts'];
+        const missingFields = requiredFields.filter(field => !req.body[field]);
+
+        if (missingFields.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required booking information',
+                missingFields,
+                example: {
+                    pricedOfferId: 'priced_offer_id_from_/api/flights/offers/:offerId',
+                    travelers: [{
+                        id: '1',
+                        dateOfBirth: '1990-01-01',
+                        gender: 'MALE',
+                        name: { firstName: 'JOHN', lastName: 'DOE' }
+                    }],
+                    contacts: [{
+                        emailAddress: 'john.doe@example.com',
+                        phones: [{ deviceType: 'MOBILE', countryCallingCode: '1', number: '5551234567' }]
+                    }]
+                }
+            });
+        }
+
+        const priced = offerStoreService.getPricedOffer(pricedOfferId);
+        if (!priced) {
+            return res.status(404).json({
+                success: false,
+                error: 'Priced offer not found or expired',
+                message: 'Confirm the offer price again with /api/flights/offers/:offerId before booking',
+                pricedOfferId
+            });
+        }
+
+        if (!Array.isArray(travelers) || !Array.isArray(contacts) || contacts.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'travelers and contacts must be non-empty arrays'
+            });
+        }
+
+        const validationErrors = validateOrderTravelers(priced.offer, travelers, contacts, priced.bookingRequirements);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Traveler details do not match the priced offer',
+                validationErrors
+            });
+        }
+
+        const orderTravelers = travelers.map((traveler, index) => ({
+            id: traveler.id || priced.offer.travelerPricings[index].travelerId,
+            dateOfBirth: traveler.dateOfBirth,
+            gender: traveler.gender,
+            name: {
+                firstName: traveler.name.firstName.trim().toUpperCase(),
+                lastName: traveler.name.lastName.trim().toUpperCase()
+            },
+            contact: traveler.contact,
+            documents: traveler.documents
+        }));
+
+        // Claim the confirmed offer before booking, so a concurrent order for it gets a 404
+        // instead of a second Amadeus order; it is put back if this booking fails
+        offerStoreService.removePricedOffer(pricedOfferId);
+
+        let result;
+        try {
+            result = await amadeusService.createFlightOrder({
+                data: {
+                    type: 'flight-order',
+                    flightOffers: [priced.offer],
+                    travelers: orderTravelers,
+                    contacts
+                }
+            });
+        } catch (error) {
+            offerStoreService.restorePricedOffer(priced);
+            throw error;
+        }
+
+        if (!result.success) {
+            offerStoreService.restorePricedOffer(priced);
+            return res.status(502).json({
+                success: false,
+                error: 'Flight booking service unavailable',
+                message: result.error
+            });
+        }
+
+        const order = result.data;
+        const bookingReference = order.associatedRecords?.[0]?.reference || null;
+
+        let bookingRecord = null;
+        try {
+            bookingRecord = await supabaseService.bookingService.saveFlightBooking({
+                user_id: userId || null,
+                order_id: order.id,
+                booking_reference: bookingReference,
+                status: 'CONFIRMED',
+                total_price: parseFloat(priced.offer.price.grandTotal || priced.offer.price.total),
+                currency: priced.offer.price.currency,
+                traveler_count: orderTravelers.length,
+                itinerary: priced.offer.itineraries.map(itinerary => itinerary.segments.map(segment => ({
+                    from: segment.departure.iataCode,
+                    to: segment.arrival.iataCode,
+                    departure: segment.departure.at,
+                    flight: `${segment.carrierCode}${segment.number}`
+                })))
+            });
+        } catch (dbError) {
+            // The order exists at the airline even if we fail to record it
+            console.error('Database error saving flight booking:', dbError);
+        }
+
+        return res.status(201).json({
+            success: true,
+            data: {
+                orderId: order.id,
+                bookingReference,
+                status: 'CONFIRMED',
+                pricing: {
+                    total: parseFloat(priced.offer.price.total),
+                    grandTotal: parseFloat(priced.offer.price.grandTotal),
+                    currency: priced.offer.price.currency
+                },
+                travelers: (order.travelers || orderTravelers).map(traveler => ({
+                    id: traveler.id,
+                    name: traveler.name
+                })),
+                ticketingAgreement: order.ticketingAgreement,
+                stored: !!bookingRecord
+            },
+            message: 'Flight booked successfully'
+        });
+
+    } catch (error) {
+        console.error('Flight order error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to create flight order',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Get flight order
+ * GET /api/flights/orders/:orderId
+ */
+const getFlightOrder = async (req, res) => {
+    try {
+        const { orderId } = req.params;
+
+        if (!orderId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing flight order ID'
+            });
+        }
+
+        const result = await amadeusService.getFlightOrder(orderId);
+
+        if (!result.success) {
+            if (result.status === 404) {
+                return res.status(404).json({
+                    success: false,
+                    error: `Flight order not found: ${orderId}`
+                });
+            }
+
+            return res.status(502).json({
+                success: false,
+                error: 'Flight order service unavailable',
+                message: result.error
+            });
+        }
+
+        let bookingRecord = null;
+        try {
+            bookingRecord = await supabaseService.bookingService.getFlightBooking(orderId);
+        } catch (dbError) {
+            console.warn('Could not load stored flight booking:', dbError.message);
+        }
+
+        const order = result.data;
+
+        return res.json({
+            success: true,
+            data: {
+                orderId: order.id,
+                bookingReference: order.associatedRecords?.[0]?.reference || bookingRecord?.booking_reference || null,
+                status: bookingRecord?.status || 'CONFIRMED',
+                flightOffers: order.flightOffers,
+                travelers: order.travelers,
+                contacts: order.contacts,
+                ticketingAgreement: order.ticketingAgreement,
+                createdAt: bookingRecord?.created_at || null
+            }
+        });
+
+    } catch (error) {
+        console.error('Get flight order error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to get flight order',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Cancel flight order
+ * DELETE /api/flights/orders/:orderId
+ */
+const cancelFlightOrder = async (req, res) => {
+    try {
+        const { orderId } = req.params;
+
+        if (!orderId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing flight order ID'
+            });
+        }
+
+        const result = await amadeusService.cancelFlightOrder(orderId);
+
+        if (!result.success) {
+            if (result.status === 404) {
+                return res.status(404).json({
+                    success: false,
+                    error: `Flight order not found: ${orderId}`
+                });
+            }
+
+            return res.status(502).json({
+                success: false,
+                error: 'Flight order service unavailable',
+                message: result.error
+            });
+        }
+
+        let bookingRecord = null;
+        try {
+            bookingRecord = await supabaseService.bookingService.updateFlightBookingStatus(orderId, 'CANCELLED');
+        } catch (dbError) {
+            console.error('Database error updating flight booking:', dbError);
+        }
+
+        return res.json({
+            success: true,
+            data: {
+                orderId,
+                bookingReference: bookingRecord?.booking_reference || null,
+                status: 'CANCELLED'
+            },
+            message: 'Flight order cancelled successfully'
+        });
+
+    } catch (error) {
+        console.error('Cancel flight order error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to cancel flight order',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Get flight status
+ * GET /api/flights/status?carrier=AA&flight=100&date=2025-07-01
+ */
+const getFlightStatus = async (req, res) => {
+    try {
+        const { carrier, flight, date } = req.query;
+
+        if (!carrier || !flight || !date) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required parameters',
+                required: ['carrier', 'flight', 'date'],
+                example: '/api/flights/status?carrier=AA&flight=100&date=2025-07-01'
+            });
+        }
+
+        // Validate date format
+        const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+        if (!dateRegex.test(date)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid date format. Use YYYY-MM-DD'
+            });
+        }
+
+        const result = await amadeusService.getFlightStatus(
+            carrier.toUpperCase(),
+            flight,
+            date
+        );
+
+        if (!result.success) {
+            return res.status(502).json({
+                success: false,
+                error: 'Flight status service unavailable',
+                message: result.error
+            });
+        }
+
+        return res.json({
+            success: true,
+            data: result.data,
+            meta: {
+                carrier,
+                flight,
+                date,
+                resultCount: result.data.length
+            }
+        });
+
+    } catch (error) {
+        console.error('Flight status error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to get flight status',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Stream live flight status over Server-Sent Events
+ * GET /api/flights/status/stream?carrier=AA&flight=100&date=2025-07-01
+ * Sends a 'snapshot' event first, then 'update' events with only the changed fields
+ */
+const streamFlightStatus = async (req, res) => {
+    const { carrier, flight, date } = req.query;
+
+    if (!carrier || !flight || !date) {
+        return res.status(400).json({
+            success: false,
+            error: 'Missing required parameters',
+            required: ['carrier', 'flight', 'date'],
+            example: '/api/flights/status/stream?carrier=AA&flight=100&date=2025-07-01'
+        });
+    }
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid date format. Use YYYY-MM-DD'
+        });
+    }
+
+    openStream(res, 'text/event-stream', { Connection: 'keep-alive' });
+
+    const send = (event, data) => writeAndFlush(res, `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    writeAndFlush(res, `retry: ${STATUS_STREAM_RETRY_MS}\n\n`);
+
+    const heartbeat = setInterval(() => writeAndFlush(res, ': keep-alive\n\n'), STATUS_STREAM_HEARTBEAT_MS);
+
+    let unsubscribe = null;
+    const close = () => {
+        clearInterval(heartbeat);
+        if (unsubscribe) unsubscribe();
+        unsubscribe = null;
+    };
+
+    unsubscribe = flightStatusService.subscribe(carrier.toUpperCase(), String(flight), date, (event) => {
+        const { type, ...data } = event;
+        send(type, data);
+
+        if (type === 'end') {
+            close();
+            res.end();
+        }
+    });
+
+    req.on('close', close);
+};
+
+// Get the top matching airport's IATA code given a city or airport name  // Redundant code
+/*
+async function getIataCode(cityOrAirportName) {
+  try {
+    const amadeusResult = await amadeusService.searchAirportsAndCities(cityOrAirportName, {
+      //subType: "CITY" // <- restrict search to airports
+    });
+
+    if (amadeusResult.success && Array.isArray(amadeusResult.data) && amadeusResult.data.length > 0) {
+      //return amadeusResult.data[0].iataCode;
+      return amadeusResult
+    }
+
+    return amadeusResult; // No airports found
+  } catch (error) {
+    console.error(`Error fetching IATA code for "${cityOrAirportName}":`, error.message || error);
+    return amadeusResult;
+  }
+}
+
+*/
 
 
 // Helper function
 function findIataCode(query) {
     const lowerQuery = query.toLowerCase().trim();
+    const parsedAirportData = airportService.getAllAirports();
 
     // 1️⃣ Try exact match by Name
     let results = parsedAirportData.filter(a =>
@@ -791,22 +1965,997 @@ function findIataCode(query) {
     }
 
     // Final: Return results with valid IATA codes
-    return results.filter(r => r.iata).map(r => ({ 
+    return results.filter(r => r.iataCode).map(r => ({ 
         name: r.name, 
         city: r.city, 
-        iata: r.iata 
+        iata: r.iataCode 
+    }));
+}
+
+
+// ===============================
+// FLIGHT SEARCH HELPERS
+// ===============================
+
+const MAX_FLEX_DAYS = 3;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH_REGEX = /^\d{4}-(0[1-9]|1[0-2])$/;
+const MAX_TRIP_DURATION_DAYS = 15; // Longest trip the flight-destinations and flight-dates APIs accept
+const MAX_SAMPLED_DAYS = 6; // Offer searches per cheapest-dates fallback
+const MAX_GROUP_SIZE = 54; // Six bookings of nine
+const GROUP_SEARCH_MAX_OFFERS = 100; // Per sub-group; more offers, more flights in common
+const MAX_GROUP_ITINERARIES = 50;
+const IATA_CODE_REGEX = /^[A-Za-z]{3}$/;
+const MAX_MULTI_CITY_LEGS = 6; // Amadeus limit for originDestinations
+const MAX_AIRPORT_SEARCH_RADIUS_KM = 2000;
+const MAX_NEAREST_AIRPORTS = 50;
+const FLEX_SEARCH_CONCURRENCY = 3; // Stay well under the Amadeus rate limit
+const CABIN_RANK = { ECONOMY: 0, PREMIUM_ECONOMY: 1, BUSINESS: 2, FIRST: 3 };
+const FLIGHT_SORTS = ['price', 'duration', 'departure', 'arrival', 'co2', 'score'];
+const DEFAULT_DURATION_WEIGHT = 50; // sort=score: equal weight on price and duration
+const STATUS_STREAM_HEARTBEAT_MS = 25 * 1000; // Keeps idle proxies from closing the stream
+const STATUS_STREAM_RETRY_MS = 10 * 1000;
+
+// A layover is overnight when it covers part of these local hours at the connection
+const OVERNIGHT_START_HOUR = 0;
+const OVERNIGHT_END_HOUR = 5;
+
+// Local wall-clock time as milliseconds, ignoring the zone
+const wallClockMs = (localDateTime) => toUtc(localDateTime, { offsetMinutes: 0 })?.epochMs ?? null;
+
+// Departure or arrival with its UTC instant, UTC offset and local-date delta from the journey start
+function normalizeSegmentPoint(point, journeyStart) {
+    const zone = airportService.getAirportTimeZone(point.iataCode);
+    const instant = zone ? toUtc(point.at, zone) : null;
+
+    return {
+        airport: point.iataCode,
+        terminal: point.terminal,
+        time: point.at, // local wall-clock time, as returned by Amadeus
+        timeZone: zone?.timeZone || null,
+        utcOffset: instant?.utcOffset || null,
+        utc: instant?.utc || null,
+        dayOffset: localDayDelta(journeyStart, point.at)
+    };
+}
+
+// Connection between two consecutive segments
+function buildLayover(previous, next) {
+    const arrivalLocal = wallClockMs(previous.arrival.time);
+    const departureLocal = wallClockMs(next.departure.time);
+
+    let minutes = null;
+    if (previous.arrival.utc && next.departure.utc) {
+        minutes = Math.round((Date.parse(next.departure.utc) - Date.parse(previous.arrival.utc)) / 60000);
+    } else if (previous.arrival.airport === next.departure.airport && arrivalLocal !== null && departureLocal !== null) {
+        // Same airport, same clock
+        minutes = Math.round((departureLocal - arrivalLocal) / 60000);
+    }
+
+    let overnight = false;
+    if (arrivalLocal !== null && departureLocal !== null) {
+        const dayMs = 24 * 60 * 60 * 1000;
+        for (let day = Math.floor(arrivalLocal / dayMs) * dayMs; day <= departureLocal; day += dayMs) {
+            const nightStart = day + OVERNIGHT_START_HOUR * 60 * 60 * 1000;
+            const nightEnd = day + OVERNIGHT_END_HOUR * 60 * 60 * 1000;
+            if (arrivalLocal < nightEnd && departureLocal > nightStart) {
+                overnight = true;
+                break;
+            }
+        }
+    }
+
+    return {
+        arrivalAirport: previous.arrival.airport,
+        departureAirport: next.departure.airport,
+        arrivalTime: previous.arrival.time,
+        departureTime: next.departure.time,
+        minutes,
+        overnight,
+        // e.g. arrive at LHR, leave from LGW
+        airportChange: previous.arrival.airport !== next.departure.airport
+    };
+}
+
+// Normalise an Amadeus itinerary into the journey shape returned by searchFlights
+function normalizeJourney(itinerary) {
+    if (!itinerary) return null;
+
+    const journeyStart = itinerary.segments[0]?.departure.at;
+    const segments = itinerary.segments.map(segment => ({
+        departure: normalizeSegmentPoint(segment.departure, journeyStart),
+        arrival: normalizeSegmentPoint(segment.arrival, journeyStart),
+        airline: segment.carrierCode,
+        flightNumber: segment.number,
+        aircraft: segment.aircraft?.code,
+        duration: segment.duration,
+        stops: segment.numberOfStops || 0
+    }));
+
+    const layovers = segments.slice(1).map((segment, index) => buildLayover(segments[index], segment));
+
+    return {
+        duration: itinerary.duration,
+        arrivalDayOffset: segments.length > 0 ? segments[segments.length - 1].arrival.dayOffset : 0,
+        layovers,
+        totalLayoverMinutes: layovers.reduce((total, layover) => total + (layover.minutes || 0), 0),
+        hasOvernightLayover: layovers.some(layover => layover.overnight),
+        hasAirportChange: layovers.some(layover => layover.airportChange),
+        segments
+    };
+}
+
+// Normalise an Amadeus flight offer
+// Multi-city offers get an ordered journeys array instead of outbound/inbound
+function normalizeFlightOffer(offer, options = {}) {
+    const pricing = offer.price;
+    const journeys = offer.itineraries.map(normalizeJourney);
+    const fareSummary = summarizeFare(offer.travelerPricings);
+    const emissions = emissionsService.estimateOfferEmissions(journeys, fareSummary, { cabin: options.cabin });
+
+    return {
+        id: offer.id,
+        type: 'flight-offer',
+        source: offer.source,
+        pricing: {
+            total: parseFloat(pricing.total),
+            base: parseFloat(pricing.base),
+            currency: pricing.currency,
+            grandTotal: parseFloat(pricing.grandTotal),
+            fees: pricing.fees?.map(fee => ({
+                amount: parseFloat(fee.amount),
+                type: fee.type
+            })) || []
+        },
+        ...(options.multiCity
+            ? { journeys }
+            : {
+                outboundJourney: journeys[0],
+                inboundJourney: journeys[1] || null // null for one-way
+            }),
+        fareSummary,
+        priceBreakdown: travelerService.buildPriceBreakdown(offer.travelerPricings),
+        co2Kg: emissions.co2Kg, // per passenger, null when a segment could not be estimated
+        emissions,
+        bookingDetails: {
+            seatsAvailable: offer.numberOfBookableSeats,
+            lastTicketingDate: offer.lastTicketingDate,
+            instantTicketing: offer.instantTicketingRequired,
+            validatingAirlines: offer.validatingAirlineCodes
+        },
+        travelerPricing: offer.travelerPricings
+    };
+}
+
+// Checked bags in an Amadeus allowance; a weight-only allowance ({ weight: 23 }) is one bag
+const countCheckedBags = (allowance) => {
+    if (!allowance) return 0;
+    if (allowance.quantity !== undefined) return allowance.quantity;
+    return allowance.weight > 0 ? 1 : 0;
+};
+
+// Per-offer fare summary from the adult fare (or the first traveler's)
+// Bags and cabin are the least generous across segments, since that is what holds for the whole trip
+function summarizeFare(travelerPricings = []) {
+    const pricing = travelerPricings.find(traveler => traveler.travelerType === 'ADULT') || travelerPricings[0];
+    const fareSegments = pricing?.fareDetailsBySegment || [];
+    if (fareSegments.length === 0) return null;
+
+    const segments = fareSegments.map(fare => ({
+        segmentId: fare.segmentId,
+        cabin: fare.cabin || null,
+        bookingClass: fare.class || null,
+        fareBasis: fare.fareBasis || null,
+        brandedFare: fare.brandedFare || null,
+        brandedFareLabel: fare.brandedFareLabel || null,
+        checkedBags: countCheckedBags(fare.includedCheckedBags),
+        checkedBagWeight: fare.includedCheckedBags?.weight || null,
+        checkedBagWeightUnit: fare.includedCheckedBags?.weightUnit || null
     }));
+
+    const unique = (values) => [...new Set(values.filter(Boolean))];
+    const cabins = unique(segments.map(segment => segment.cabin));
+    const brands = unique(segments.map(segment => segment.brandedFare));
+    const checkedBags = Math.min(...segments.map(segment => segment.checkedBags));
+    const weights = segments.map(segment => segment.checkedBagWeight).filter(Boolean);
+
+    return {
+        cabin: cabins.sort((a, b) => CABIN_RANK[a] - CABIN_RANK[b])[0] || null,
+        mixedCabin: cabins.length > 1,
+        brandedFare: brands.length === 1 ? brands[0] : null,
+        brandedFareLabel: brands.length === 1 ? segments.find(segment => segment.brandedFare === brands[0]).brandedFareLabel : null,
+        bookingClasses: segments.map(segment => segment.bookingClass),
+        checkedBags,
+        checkedBagWeight: checkedBags > 0 && weights.length === segments.length ? Math.min(...weights) : null,
+        checkedBagWeightUnit: checkedBags > 0 ? segments.find(segment => segment.checkedBagWeightUnit)?.checkedBagWeightUnit || null : null,
+        segments
+    };
+}
+
+// ISO 8601 duration ("PT13H5M", "P1DT2H") in minutes, or null when it cannot be read
+const parseDurationMinutes = (duration) => {
+    const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?)?$/.exec(String(duration || ''));
+    if (!match || match.slice(1).every(part => part === undefined)) return null;
+    return parseInt(match[1] || 0) * 24 * 60 + parseInt(match[2] || 0) * 60 + parseInt(match[3] || 0);
+};
+
+const parseBoolean = (value) => value === true || value === 'true';
+
+// Comma-separated string or array of IATA codes
+const parseCodeList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+    .map(code => String(code).trim().toUpperCase())
+    .filter(Boolean);
+
+/**
+ * Read the connection and duration filters of a flight search
+ * Times are minutes, or ISO 8601 durations such as PT2H30M
+ * @returns {Object} { filters, errors }
+ */
+function parseJourneyFilters(searchParams) {
+    const filters = {};
+    const errors = [];
+
+    ['minLayover', 'maxLayover', 'maxTotalDuration'].forEach(field => {
+        const value = searchParams[field];
+        if (value === undefined || value === '') return;
+
+        const minutes = /^\d+$/.test(String(value)) ? parseInt(value) : parseDurationMinutes(value);
+        if (minutes === null) {
+            errors.push(`${field} must be a number of minutes or an ISO 8601 duration such as PT2H30M`);
+        } else {
+            filters[field] = minutes;
+        }
+    });
+
+    if (filters.minLayover !== undefined && filters.maxLayover !== undefined && filters.minLayover > filters.maxLayover) {
+        errors.push('minLayover cannot be greater than maxLayover');
+    }
+
+    ['avoidOvernightLayover', 'avoidAirportChange'].forEach(field => {
+        if (parseBoolean(searchParams[field])) filters[field] = true;
+    });
+
+    ['connectionAirports', 'avoidConnectionAirports'].forEach(field => {
+        const value = searchParams[field];
+        if (value === undefined || value === '') return;
+
+        const codes = parseCodeList(value);
+        const invalidCodes = codes.filter(code => !IATA_CODE_REGEX.test(code));
+        if (codes.length === 0 || invalidCodes.length > 0) {
+            errors.push(`${field} must be a comma-separated list of IATA codes${invalidCodes.length ? ` (invalid: ${invalidCodes.join(', ')})` : ''}`);
+        } else {
+            filters[field] = codes;
+        }
+    });
+
+    return { filters, errors };
+}
+
+/**
+ * Read the fare filters of a flight search
+ * checkedBags is the minimum number of included checked bags; cabin must hold on every segment
+ * @returns {Object} { filters, errors }
+ */
+function parseFareFilters(searchParams) {
+    const filters = {};
+    const errors = [];
+    const { checkedBags, cabin } = searchParams;
+
+    if (checkedBags !== undefined && checkedBags !== '') {
+        if (/^\d+$/.test(String(checkedBags))) {
+            filters.checkedBags = parseInt(checkedBags);
+        } else {
+            errors.push('checkedBags must be a whole number of bags');
+        }
+    }
+
+    if (cabin !== undefined && cabin !== '') {
+        const cabinCode = String(cabin).toUpperCase();
+        if (CABIN_RANK[cabinCode] !== undefined) {
+            filters.cabin = cabinCode;
+        } else {
+            errors.push(`cabin must be one of ${Object.keys(CABIN_RANK).join(', ')}`);
+        }
+    }
+
+    return { filters, errors };
+}
+
+/**
+ * Read the emissions filter of a flight search
+ * @returns {Object} { filters, errors }
+ */
+function parseEmissionsFilters(searchParams) {
+    const filters = {};
+    const errors = [];
+    const { maxCo2 } = searchParams;
+
+    if (maxCo2 !== undefined && maxCo2 !== '') {
+        if (parseFloat(maxCo2) > 0) {
+            filters.maxCo2 = parseFloat(maxCo2);
+        } else {
+            errors.push('maxCo2 must be a positive number of kilograms');
+        }
+    }
+
+    return { filters, errors };
+}
+
+/**
+ * Read the carrier filters of a flight search
+ * alliance keeps offers where every flight is marketed by a member, e.g. alliance=star
+ * @returns {Object} { filters, errors }
+ */
+function parseCarrierFilters(searchParams) {
+    const filters = {};
+    const errors = [];
+    const { alliance } = searchParams;
+
+    if (alliance !== undefined && alliance !== '') {
+        const allianceKey = airlineService.parseAlliance(alliance);
+        if (allianceKey) {
+            filters.alliance = allianceKey;
+        } else {
+            errors.push(`alliance must be one of ${Object.keys(airlineService.ALLIANCES).join(', ')}`);
+        }
+    }
+
+    return { filters, errors };
+}
+
+// Journeys of a normalised offer, in travel order
+const getOfferJourneys = (flight) => (flight.journeys || [flight.outboundJourney, flight.inboundJourney]).filter(Boolean);
+
+// Marketing carriers of every segment of a normalised offer
+const getOfferCarriers = (flight) => getOfferJourneys(flight)
+    .flatMap(journey => journey.segments.map(segment => segment.airline));
+
+/**
+ * Read every result filter of a flight search
+ * @returns {Object} { filters, errors }
+ */
+function parseSearchFilters(searchParams) {
+    const parsed = [parseJourneyFilters, parseFareFilters, parseEmissionsFilters, parseCarrierFilters]
+        .map(parse => parse(searchParams));
+
+    return {
+        filters: Object.assign({}, ...parsed.map(result => result.filters)),
+        errors: parsed.flatMap(result => result.errors)
+    };
+}
+
+/**
+ * Read the sort order and page size of a flight search
+ * sort=score mixes price and duration; durationWeight (0-100) is the share given to duration
+ * @returns {Object} { options, errors }
+ */
+function parseFlightPageOptions(searchParams) {
+    const { options, errors } = searchResultService.parsePageOptions(searchParams, {
+        sorts: FLIGHT_SORTS,
+        defaultSort: 'price'
+    });
+    const { durationWeight } = searchParams;
+
+    if (durationWeight !== undefined && durationWeight !== '') {
+        const weight = /^\d+$/.test(String(durationWeight)) ? parseInt(durationWeight) : -1;
+        if (weight >= 0 && weight <= 100) {
+            if (options.sort === 'score') options.durationWeight = weight;
+        } else {
+            errors.push('durationWeight must be a whole number between 0 and 100');
+        }
+    }
+
+    return { options, errors };
+}
+
+// Total flying and connection time of every journey of a normalised offer, in minutes
+const getOfferDurationMinutes = (flight) => {
+    const minutes = getOfferJourneys(flight).map(journey => parseDurationMinutes(journey.duration));
+    return minutes.length > 0 && minutes.every(value => value !== null)
+        ? minutes.reduce((total, value) => total + value, 0)
+        : null;
+};
+
+// Departure or arrival instant, falling back to the local wall clock when the zone is unknown
+const pointTimeMs = (point) => (point && (Date.parse(point.utc || '') || wallClockMs(point.time))) || null;
+
+// Sort keys, lowest first; departure and arrival are those of the first (outbound) journey
+const FLIGHT_SORT_KEYS = {
+    price: flight => flight.pricing.total,
+    duration: getOfferDurationMinutes,
+    departure: flight => pointTimeMs(getOfferJourneys(flight)[0]?.segments[0]?.departure),
+    arrival: flight => pointTimeMs(getOfferJourneys(flight)[0]?.segments.slice(-1)[0]?.arrival),
+    co2: flight => flight.co2Kg
+};
+
+// Price and duration, each scaled to 0-1 across the result set, mixed by durationWeight
+function buildScoreKey(flights, durationWeight = DEFAULT_DURATION_WEIGHT) {
+    const weight = durationWeight / 100;
+    const scale = (values) => {
+        const known = values.filter(value => value !== null);
+        const min = Math.min(...known);
+        const range = Math.max(...known) - min || 1;
+        return value => (value === null ? 1 : (value - min) / range); // unknown counts as worst
+    };
+    const scalePrice = scale(flights.map(FLIGHT_SORT_KEYS.price));
+    const scaleDuration = scale(flights.map(getOfferDurationMinutes));
+
+    return flight => scalePrice(flight.pricing.total) * (1 - weight) + scaleDuration(getOfferDurationMinutes(flight)) * weight;
+}
+
+// Sorted copy of normalised offers; offers without a value for the key go last, price breaks ties
+function sortFlights(flights, sort, options = {}) {
+    const sortKey = sort === 'score' ? buildScoreKey(flights, options.durationWeight) : FLIGHT_SORT_KEYS[sort || 'price'];
+
+    return [...flights].sort((a, b) =>
+        (sortKey(a) ?? Infinity) - (sortKey(b) ?? Infinity) || a.pricing.total - b.pricing.total
+    );
+}
+
+// One page of a flight result set, in the order the position asks for
+function buildFlightPage(results, position) {
+    const { items, page } = searchResultService.getPage(sortFlights(results.flights, position.sort, position), position);
+    return { ...results, flights: items, page };
+}
+
+// Progress event of a streamed search: a page of offers of one completed search, in the requested order
+// `position` is page options (first page) or a stored-results position; `result` is null when the search failed
+function streamFlightProgress(res, stage, result, position, extra = {}) {
+    if (!res.isNdjsonStream) return;
+
+    const page = result ? buildFlightPage(result, { kind: 'flights', id: result.searchId, offset: 0, ...position }) : null;
+    streamEvent(res, {
+        type: 'progress',
+        stage,
+        searchId: result?.searchId || null,
+        resultCount: result?.resultCount || 0,
+        flights: page ? page.flights : [],
+        ...extra
+    });
+}
+
+// Whether a normalised offer passes the fare filters
+function matchesFareFilters(flight, filters) {
+    if (filters.checkedBags === undefined && !filters.cabin) return true;
+
+    const fare = flight.fareSummary;
+    if (!fare) return false;
+    if (filters.checkedBags !== undefined && fare.checkedBags < filters.checkedBags) return false;
+    if (filters.cabin && fare.segments.some(segment => segment.cabin !== filters.cabin)) return false;
+
+    return true;
+}
+
+// Whether every journey of a normalised offer passes the connection and duration filters
+// Direct journeys have no layovers, so only the duration filter applies to them
+function matchesJourneyFilters(flight, filters) {
+    return getOfferJourneys(flight).every(journey => {
+        if (filters.maxTotalDuration !== undefined) {
+            const minutes = parseDurationMinutes(journey.duration);
+            if (minutes !== null && minutes > filters.maxTotalDuration) return false;
+        }
+        if (filters.avoidOvernightLayover && journey.hasOvernightLayover) return false;
+        if (filters.avoidAirportChange && journey.hasAirportChange) return false;
+
+        return journey.layovers.every(layover => {
+            // A connection time we could not work out cannot be shown to meet the limits
+            if (filters.minLayover !== undefined && (layover.minutes === null || layover.minutes < filters.minLayover)) return false;
+            if (filters.maxLayover !== undefined && (layover.minutes === null || layover.minutes > filters.maxLayover)) return false;
+
+            const airports = [layover.arrivalAirport, layover.departureAirport];
+            if (filters.connectionAirports && !airports.every(code => filters.connectionAirports.includes(code))) return false;
+            if (filters.avoidConnectionAirports && airports.some(code => filters.avoidConnectionAirports.includes(code))) return false;
+
+            return true;
+        });
+    });
+}
+
+// Resolve location names to IATA codes offline; 3-letter codes are used as-is
+// Returns { codes } or { status, error } with the 409 (pick a place) or 400 (unknown place) body
+async function resolveLocationCodes(locations, searchType, searchParams) {
+    const codes = {};
+    const ambiguities = [];
+    const needsResolution = Object.values(locations).some(value => !IATA_CODE_REGEX.test(value));
+    const home = needsResolution ? await locationResolverService.getHomeLocation(searchParams) : null;
+
+    for (const [field, value] of Object.entries(locations)) {
+        if (IATA_CODE_REGEX.test(value)) {
+            codes[field] = value.toUpperCase();
+            continue;
+        }
+
+        const resolution = locationResolverService.resolveLocation(value, { home });
+        if (resolution.status === 'resolved') {
+            codes[field] = resolution.code;
+        } else if (resolution.status === 'ambiguous') {
+            ambiguities.push({ field, query: value, candidates: resolution.candidates });
+        } else {
+            return {
+                status: 400,
+                error: { success: false, error: `No IATA code found for ${field}: ${value}` }
+            };
+        }
+    }
+
+    if (ambiguities.length > 0) {
+        return {
+            status: 409,
+            error: locationResolverService.buildAmbiguityResponse(searchType, searchParams, ambiguities)
+        };
+    }
+
+    return { codes };
+}
+
+// Trip length in days for the flight-destinations and flight-dates APIs: "7" or a range "3,10"
+// Returns [days] or [min, max], or null when invalid
+const parseTripDays = (duration) => {
+    const days = String(duration).split(',').map(day => day.trim());
+    const valid = days.length <= 2 &&
+        days.every(day => /^\d+$/.test(day) && parseInt(day) >= 1 && parseInt(day) <= MAX_TRIP_DURATION_DAYS);
+    if (!valid || (days.length === 2 && parseInt(days[0]) > parseInt(days[1]))) return null;
+    return days.map(day => parseInt(day));
+};
+const TRIP_DAYS_ERROR = `duration must be a number of days (1-${MAX_TRIP_DURATION_DAYS}) or a range such as 3,10`;
+
+// Inspiration search options, in the format the Amadeus flight-destinations API takes
+function parseInspirationParams({ maxPrice, departureWindow, duration, oneWay, nonStop }) {
+    const errors = [];
+    const params = {};
+
+    if (maxPrice !== undefined && maxPrice !== '') {
+        if (/^\d+$/.test(String(maxPrice)) && parseInt(maxPrice) > 0) {
+            params.maxPrice = parseInt(maxPrice);
+        } else {
+            errors.push('maxPrice must be a positive whole number');
+        }
+    }
+
+    if (departureWindow !== undefined && departureWindow !== '') {
+        const dates = String(departureWindow).split(',').map(date => date.trim());
+        if (dates.length > 2 || !dates.every(date => DATE_REGEX.test(date))) {
+            errors.push('departureWindow must be YYYY-MM-DD or YYYY-MM-DD,YYYY-MM-DD');
+        } else if (dates.length === 2 && dates[0] > dates[1]) {
+            errors.push('departureWindow must start before it ends');
+        } else {
+            params.departureDate = dates.join(',');
+        }
+    }
+
+    if (parseBoolean(oneWay)) {
+        params.oneWay = true;
+        if (duration !== undefined && duration !== '') {
+            errors.push('duration only applies to return trips');
+        }
+    } else if (duration !== undefined && duration !== '') {
+        const tripDays = parseTripDays(duration);
+        if (tripDays) {
+            params.duration = tripDays.join(',');
+        } else {
+            errors.push(TRIP_DAYS_ERROR);
+        }
+    }
+
+    if (parseBoolean(nonStop)) params.nonStop = true;
+
+    return { params, errors };
+}
+
+// One inspiration result with the destination's name and coordinates from the airport dataset
+function buildInspirationDestination(item, dictionaries = {}) {
+    const location = airportService.getLocationByCode(item.destination);
+    const dictionaryName = dictionaries?.locations?.[item.destination]?.detailedName;
+
+    const flightSearch = new URLSearchParams({
+        origin: item.origin,
+        destination: item.destination,
+        departureDate: item.departureDate
+    });
+    if (item.returnDate) flightSearch.set('returnDate', item.returnDate);
+
+    return {
+        destination: location || {
+            code: item.destination,
+            type: dictionaries?.locations?.[item.destination]?.subType || null,
+            name: dictionaryName || item.destination,
+            city: dictionaryName || null,
+            country: null,
+            countryCode: null,
+            coordinates: null,
+            airports: []
+        },
+        departureDate: item.departureDate,
+        returnDate: item.returnDate || null,
+        price: {
+            total: parseFloat(item.price?.total),
+            currency: item.price?.currency || null
+        },
+        flightSearch: `/api/flights/search?${flightSearch.toString()}`
+    };
+}
+
+// The flights of an offer, so offers from different searches can be matched ("SQ638@2025-07-01T23:55|...")
+const flightSignature = (flight) => getOfferJourneys(flight)
+    .map(journey => journey.segments.map(segment => `${segment.airline}${segment.flightNumber}@${segment.departure.time}`).join('-'))
+    .join('|');
+
+// Group itineraries: flights every sub-group has an offer for with at least its own number of bookable seats
+// Each sub-group takes its cheapest such offer; itineraries are ordered by combined total.
+// Combinations whose sub-groups share an offer or booking class with too few seats for all of them are dropped.
+function combineGroupOffers(subgroups, searches, partySize) {
+    const picksByFlight = new Map();
+
+    searches.forEach((search, index) => {
+        search.flights.forEach(flight => {
+            if ((flight.bookingDetails.seatsAvailable || 0) < subgroups[index].seated) return;
+
+            const signature = flightSignature(flight);
+            if (!picksByFlight.has(signature)) picksByFlight.set(signature, new Array(subgroups.length).fill(null));
+            const picks = picksByFlight.get(signature);
+            if (!picks[index] || flight.pricing.total < picks[index].pricing.total) picks[index] = flight;
+        });
+    });
+
+    return [...picksByFlight.entries()]
+        .filter(([, picks]) => picks.every(Boolean) && fitsSharedSeats(picks, subgroups, searches))
+        .map(([signature, picks]) => {
+            const total = Math.round(picks.reduce((sum, flight) => sum + flight.pricing.total, 0) * 100) / 100;
+            return {
+                flights: signature,
+                outboundJourney: picks[0].outboundJourney,
+                inboundJourney: picks[0].inboundJourney,
+                totalPrice: {
+                    total,
+                    perTraveler: Math.round((total / partySize) * 100) / 100,
+                    currency: picks[0].pricing.currency
+                },
+                subgroupOffers: picks.map((flight, index) => ({
+                    subgroupId: subgroups[index].id,
+                    searchId: searches[index].searchId,
+                    offerId: flight.id,
+                    price: flight.pricing.total,
+                    seatsAvailable: flight.bookingDetails.seatsAvailable,
+                    cabin: flight.fareSummary?.cabin || null,
+                    bookingClasses: flight.fareSummary?.bookingClasses || [],
+                    priceBreakdown: flight.priceBreakdown
+                }))
+            };
+        })
+        .sort((a, b) => a.totalPrice.total - b.totalPrice.total);
+}
+
+// Whether the picked offers seat every sub-group at once
+// Sub-groups on the same booking classes (or, without them, the same offer) draw on one seat count;
+// deduplicated searches give identical sub-groups the very same offer.
+function fitsSharedSeats(picks, subgroups, searches) {
+    const demand = new Map();
+
+    picks.forEach((flight, index) => {
+        const bookingClasses = (flight.fareSummary?.bookingClasses || []).filter(Boolean);
+        const key = bookingClasses.length > 0 ? bookingClasses.join(',') : `${searches[index].searchId}:${flight.id}`;
+        const entry = demand.get(key) || { seated: 0, seatsAvailable: Infinity };
+        entry.seated += subgroups[index].seated;
+        entry.seatsAvailable = Math.min(entry.seatsAvailable, flight.bookingDetails.seatsAvailable || 0);
+        demand.set(key, entry);
+    });
+
+    return [...demand.values()].every(entry => entry.seated <= entry.seatsAvailable);
+}
+
+// Run one Amadeus search (or reuse a cached one) and normalise the offers
+// amadeusParams is either GET query parameters or a multi-city POST body
+async function searchFlightOffersCached(amadeusParams, filters = {}) {
+    const multiCity = Array.isArray(amadeusParams.originDestinations);
+
+    return await cacheService.getFlights({ ...amadeusParams, ...filters }, async () => {
+        // Search flights using Amadeus
+        const result = multiCity
+            ? await amadeusService.searchFlightOffersMultiCity(amadeusParams)
+            : await amadeusService.searchFlightOffers(amadeusParams);
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        // Keep the raw offers server-side so they can be priced and booked later
+        const searchId = offerStoreService.createSearchSession();
+        const storedOffers = offerStoreService.saveSearchOffers(searchId, result.data, {
+            dictionaries: result.dictionaries,
+            searchParams: amadeusParams
+        });
+
+        airlineService.mergeCarrierDictionary(result.dictionaries?.carriers);
+
+        const cabin = multiCity
+            ? amadeusParams.searchCriteria?.flightFilters?.cabinRestrictions?.[0]?.cabin
+            : amadeusParams.travelClass;
+        const processedFlights = result.data.map(offer => normalizeFlightOffer(offer, { multiCity, cabin }));
+
+        // Apply additional filters if specified
+        let filteredFlights = processedFlights;
+
+        if (filters.maxPrice) {
+            const maxPriceNum = parseFloat(filters.maxPrice);
+            filteredFlights = filteredFlights.filter(flight =>
+                flight.pricing.total <= maxPriceNum
+            );
+        }
+
+        filteredFlights = filteredFlights.filter(flight =>
+            matchesJourneyFilters(flight, filters) && matchesFareFilters(flight, filters)
+        );
+
+        if (filters.alliance) {
+            filteredFlights = filteredFlights.filter(flight =>
+                airlineService.allInAlliance(getOfferCarriers(flight), filters.alliance)
+            );
+        }
+
+        if (filters.maxCo2) {
+            filteredFlights = filteredFlights.filter(flight => flight.co2Kg !== null && flight.co2Kg <= filters.maxCo2);
+        }
+
+        // Stored in price order; other sorts are applied per page
+        filteredFlights.sort((a, b) => a.pricing.total - b.pricing.total);
+
+        const results = {
+            searchId,
+            offersExpireAt: storedOffers.expiresAt,
+            flights: filteredFlights,
+            searchParams: amadeusParams,
+            resultCount: filteredFlights.length,
+            filteredOutCount: processedFlights.length - filteredFlights.length,
+            airlines: Object.fromEntries([...new Set(filteredFlights.flatMap(getOfferCarriers))]
+                .map(code => [code, airlineService.getAirline(code)])),
+            dictionaries: result.dictionaries
+        };
+
+        // Later pages and re-sorts of this search read the stored copy
+        searchResultService.saveResults('flights', searchId, results);
+
+        return results;
+    });
+}
+
+const shiftDate = (date, days) => {
+    const shifted = new Date(`${date}T00:00:00Z`);
+    shifted.setUTCDate(shifted.getUTCDate() + days);
+    return shifted.toISOString().split('T')[0];
+};
+
+// Calendar cell of one date pair of a flexible search
+function buildCalendarCell({ pair, result, error }) {
+    const cheapestFlight = result?.flights[0];
+    return {
+        departureDate: pair.departureDate,
+        returnDate: pair.returnDate,
+        lowestPrice: cheapestFlight ? cheapestFlight.pricing.total : null,
+        offerCount: result ? result.resultCount : 0,
+        searchId: result?.searchId || null,
+        offerId: cheapestFlight?.id || null,
+        available: !!cheapestFlight,
+        cheapest: false,
+        error
+    };
+}
+
+// Search every date pair in a +/- flexDays window and build a lowest-price grid
+// onDatePair(cell, result) is called as each date pair's search completes (result is null when it failed)
+async function searchFlexibleDates(amadeusParams, filters, { departureDate, returnDate, flexDays, onDatePair }) {
+    const today = new Date().toISOString().split('T')[0];
+    const offsets = Array.from({ length: flexDays * 2 + 1 }, (_, i) => i - flexDays);
+
+    const departureDates = offsets.map(offset => shiftDate(departureDate, offset)).filter(date => date >= today);
+    const returnDates = returnDate ? offsets.map(offset => shiftDate(returnDate, offset)) : [null];
+
+    const datePairs = [];
+    departureDates.forEach(outDate => {
+        returnDates.forEach(backDate => {
+            if (!backDate || backDate >= outDate) {
+                datePairs.push({ departureDate: outDate, returnDate: backDate });
+            }
+        });
+    });
+
+    if (datePairs.length === 0) {
+        throw new Error('No searchable dates in the flexible window');
+    }
+
+    const searches = await mapWithConcurrency(datePairs, FLEX_SEARCH_CONCURRENCY, async (pair) => {
+        const datedParams = { ...amadeusParams, departureDate: pair.departureDate };
+        if (pair.returnDate) datedParams.returnDate = pair.returnDate;
+
+        let search;
+        try {
+            search = { pair, result: await searchFlightOffersCached(datedParams, filters) };
+        } catch (error) {
+            console.warn(`[searchFlights] Flexible search failed for ${pair.departureDate}/${pair.returnDate || 'oneway'}:`, error.message);
+            search = { pair, error: error.message };
+        }
+
+        if (onDatePair) onDatePair(buildCalendarCell(search), search.result || null);
+        return search;
+    });
+
+    if (searches.every(search => search.error)) {
+        throw new Error(searches[0].error);
+    }
+
+    const cells = searches.map(buildCalendarCell);
+
+    const pricedCells = cells.filter(cell => cell.available);
+    const cheapestCell = pricedCells.reduce((best, cell) =>
+        !best || cell.lowestPrice < best.lowestPrice ? cell : best, null);
+    if (cheapestCell) cheapestCell.cheapest = true;
+
+    // Rows are departure dates, columns are return dates (a single column for one-way)
+    const grid = departureDates.map(outDate => returnDates.map(backDate =>
+        cells.find(cell => cell.departureDate === outDate && cell.returnDate === backDate) || null
+    ));
+
+    const cheapestSearch = cheapestCell
+        ? searches.find(search => search.result?.searchId === cheapestCell.searchId).result
+        : null;
+
+    return {
+        flexible: true,
+        searchId: cheapestSearch?.searchId || null,
+        offersExpireAt: cheapestSearch?.offersExpireAt || null,
+        flights: cheapestSearch?.flights || [],
+        resultCount: cheapestSearch?.resultCount || 0,
+        searchParams: cheapestSearch?.searchParams || amadeusParams,
+        dictionaries: cheapestSearch?.dictionaries,
+        priceCalendar: {
+            currency: amadeusParams.currencyCode,
+            departureDates,
+            returnDates: returnDate ? returnDates : null,
+            grid,
+            cheapest: cheapestCell,
+            datePairsSearched: datePairs.length
+        }
+    };
+}
+
+// Every date of a month ("2025-07") as YYYY-MM-DD
+const getMonthDates = (month) => {
+    const [year, monthNumber] = month.split('-').map(Number);
+    const daysInMonth = new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+    return Array.from({ length: daysInMonth }, (_, i) => `${month}-${String(i + 1).padStart(2, '0')}`);
+};
+
+// Cheapest-dates fallback: search offers on up to MAX_SAMPLED_DAYS evenly spread dates
+// Round trips are searched once per trip length, giving one fare per date and length.
+// Throws when every sampled search fails.
+async function sampleCheapestDates(dates, amadeusParams, tripLengths) {
+    const step = Math.max(dates.length / MAX_SAMPLED_DAYS, 1);
+    const sampledDates = [...new Set(
+        Array.from({ length: Math.min(MAX_SAMPLED_DAYS, dates.length) }, (_, i) => dates[Math.floor(i * step)])
+    )];
+    const samples = sampledDates.flatMap(date => (tripLengths || [null]).map(tripLength => ({ date, tripLength })));
+
+    const searches = await mapWithConcurrency(samples, FLEX_SEARCH_CONCURRENCY, async ({ date, tripLength }) => {
+        const datedParams = { ...amadeusParams, departureDate: date };
+        if (tripLength) datedParams.returnDate = shiftDate(date, tripLength);
+
+        try {
+            const result = await searchFlightOffersCached(datedParams);
+            return {
+                departureDate: date,
+                returnDate: datedParams.returnDate || null,
+                price: result.flights[0] ? result.flights[0].pricing.total : NaN,
+                searchId: result.searchId
+            };
+        } catch (error) {
+            console.warn(`[cheapestDates] Sampled search failed for ${date}:`, error.message);
+            return { departureDate: date, error: error.message };
+        }
+    });
+
+    if (searches.every(search => search.error)) {
+        throw new Error(searches[0].error);
+    }
+
+    return searches.filter(search => !search.error);
+}
+
+// Seat preference saved in a user's profile; null when there is none or the database is unavailable
+async function getProfileSeatPreference(userId) {
+    try {
+        const profile = await supabaseService.getUserProfile(userId);
+        return seatMapService.parseSeatPreference(profile?.preferences?.seatPreference);
+    } catch (error) {
+        console.warn(`[seatmap] Could not read the seat preference of user ${userId}:`, error.message);
+        return null;
+    }
+}
+
+// Age in whole years on a date, from a YYYY-MM-DD date of birth
+const ageOnDate = (dateOfBirth, onDate) => {
+    const birth = new Date(`${dateOfBirth}T00:00:00Z`);
+    const on = new Date(`${onDate.slice(0, 10)}T00:00:00Z`);
+    let age = on.getUTCFullYear() - birth.getUTCFullYear();
+    const beforeBirthday = on.getUTCMonth() < birth.getUTCMonth() ||
+        (on.getUTCMonth() === birth.getUTCMonth() && on.getUTCDate() < birth.getUTCDate());
+    return beforeBirthday ? age - 1 : age;
+};
+
+// Check traveler details against the travelerPricings of a priced offer
+function validateOrderTravelers(offer, travelers, contacts, bookingRequirements) {
+    const errors = [];
+    const travelerPricings = offer.travelerPricings || [];
+    const firstDeparture = offer.itineraries?.[0]?.segments?.[0]?.departure?.at;
+    const namePattern = /^[A-Za-z][A-Za-z '-]*$/;
+
+    if (travelers.length !== travelerPricings.length) {
+        errors.push(`Offer was priced for ${travelerPricings.length} traveler(s) but ${travelers.length} provided`);
+        return errors;
+    }
+
+    const pricedIds = travelerPricings.map(tp => tp.travelerId);
+    const providedIds = travelers.map((traveler, index) => traveler.id || pricedIds[index]);
+    const unknownIds = providedIds.filter(id => !pricedIds.includes(id));
+    if (unknownIds.length > 0 || new Set(providedIds).size !== providedIds.length) {
+        errors.push(`Traveler ids must match the offer's travelerPricings: ${pricedIds.join(', ')}`);
+        return errors;
+    }
+
+    travelers.forEach((traveler, index) => {
+        const travelerId = providedIds[index];
+        const pricing = travelerPricings.find(tp => tp.travelerId === travelerId);
+        const label = `Traveler ${travelerId}`;
+
+        if (!traveler.name?.firstName || !traveler.name?.lastName) {
+            errors.push(`${label}: name.firstName and name.lastName are required`);
+        } else if (!namePattern.test(traveler.name.firstName.trim()) || !namePattern.test(traveler.name.lastName.trim())) {
+            errors.push(`${label}: names may only contain unaccented letters, spaces, hyphens and apostrophes`);
+        }
+
+        if (!traveler.dateOfBirth || !/^\d{4}-\d{2}-\d{2}$/.test(traveler.dateOfBirth)) {
+            errors.push(`${label}: dateOfBirth is required in YYYY-MM-DD format`);
+        } else if (firstDeparture) {
+            const age = ageOnDate(traveler.dateOfBirth, firstDeparture);
+            const limits = travelerService.TRAVELER_AGE_LIMITS[pricing.travelerType] || {};
+            if ((limits.min !== undefined && age < limits.min) || (limits.max !== undefined && age > limits.max)) {
+                errors.push(`${label}: age ${age} does not match traveler type ${pricing.travelerType}`);
+            }
+        }
+
+        if (traveler.gender && !['MALE', 'FEMALE'].includes(traveler.gender)) {
+            errors.push(`${label}: gender must be MALE or FEMALE`);
+        }
+    });
+
+    const primaryContact = contacts[0];
+    if (bookingRequirements?.emailAddressRequired !== false && !primaryContact?.emailAddress) {
+        errors.push('contacts[0].emailAddress is required');
+    }
+    if (bookingRequirements?.mobilePhoneNumberRequired && !primaryContact?.phones?.length) {
+        errors.push('contacts[0].phones is required for this offer');
+    }
+
+    return errors;
 }
 
 
 module.exports = {
     searchFlights,
+    searchFlightsStream,
+    searchGroupFlights,
+    getAirlines,
     getAirports,
     getAirportsByLocation,
     getAirportByCode,
     getAirportsByCity,
     getFlightOffer,
+    getFlightOfferSeatMap,
+    getFlightInspiration,
+    getCheapestDates,
+    createFlightOrder,
+    getFlightOrder,
+    cancelFlightOrder,
     getFlightStatus,
+    streamFlightStatus,
     //getIataCode,
     findIataCode
 };
\ No newline at end of file
@@ -1,16 +1,59 @@
 const amadeusService = require('../services/amadeusService');
 const cacheService = require('../services/cacheService');
-
-const { DbIataCode } = require('../services/supabaseService');
+const locationResolverService = require('../services/locationResolverService');
+const searchResultService = require('../services/searchResultService');
+const travelerService = require('../services/travelerService');
+const hotelRatingService = require('../services/hotelRatingService');
+const airportService = require('../services/airportService');
+const { calculateDistance } = require('../utils/geo');
+const { createNdjsonResponse, streamEvent } = require('../utils/ndjsonStream');
+const { mapWithConcurrency, chunk } = require('../utils/concurrency');
+
+const HOTEL_SORTS = ['price', 'distance', 'rating', 'value']; // Without a sort, hotels keep Amadeus order
+const DEFAULT_PRICED_HOTELS = 50;
+const MAX_PRICED_HOTELS = 200;
+const HOTEL_OFFERS_BATCH_SIZE = 20; // Hotel ids per offers call
+const HOTEL_OFFERS_CONCURRENCY = 3;
+const INVALID_HOTEL_ID_ERROR_CODE = 10604;
+const NO_ROOMS_ERROR_CODE = 3664;
+const DEFAULT_HOTEL_RADIUS_KM = 5;
+const MAX_HOTEL_RADIUS_KM = 300; // Amadeus limit for geocode hotel lists
 
 /**
  * Search hotels
  * POST /api/hotels/search
  * GET /api/hotels/search?city=Paris&country=France&checkIn=2025-07-01&checkOut=2025-07-05
+ * POST bodies can send travelers: [{ type: 'adult' }, { type: 'child', age: 3 }] in place of adults
+ * Offers are fetched for up to `max` hotels of the city (default 50, at most 200). Priced hotels are
+ * paged in `hotels`; hotels without offers are listed in `unpricedHotels` with an unpricedReason.
+ * Priced hotels carry traveler ratings (`sentiment`, 0-100), pricePerNight and a valueScore;
+ * minRating=80 keeps hotels rated 80 or more, sort=rating|value orders by them (best first).
+ * Ambiguous city names get a 409 with candidates and a resume token:
+ * GET /api/hotels/search?resumeToken=...&city=PAR
+ * Later pages and re-sorts are served from the stored results:
+ * GET /api/hotels/search?cursor=...
+ * GET /api/hotels/search?searchId=...&sort=price
  */
 const searchHotels = async (req, res) => {
     try {
-        const { 
+        // Handle both GET and POST requests
+        let searchParams = req.method === 'GET' ? req.query : req.body;
+
+        if (searchParams.cursor || searchParams.searchId) {
+            return getHotelResultsPage(searchParams, res);
+        }
+
+        // Re-issued search after the user picked a city from a 409 response
+        searchParams = locationResolverService.resumeSearchParams(searchParams, 'hotels');
+        if (!searchParams) {
+            return res.status(404).json({
+                success: false,
+                error: 'Resume token not found or expired',
+                message: 'Run the search again with the original parameters'
+            });
+        }
+
+        let { 
             city, 
             country, 
             checkIn, 
@@ -18,8 +61,9 @@ const searchHotels = async (req, res) => {
             adults = 1, 
             rooms = 1,
             currency = 'USD',
-            max = 20
-        } = req.query;
+            max = DEFAULT_PRICED_HOTELS,
+            travelers
+        } = searchParams;
 
         console.log('🏨 Hotel search request:', { city, country, checkIn, checkOut, adults, rooms });
 
@@ -28,7 +72,7 @@ const searchHotels = async (req, res) => {
             return res.status(400).json({
                 success: false,
                 error: 'Missing required parameter: city',
-                received: req.query
+                received: searchParams
             });
         }
 
@@ -41,7 +85,44 @@ const searchHotels = async (req, res) => {
             });
         }
 
-        
+        const { options: pageOptions, errors: pageErrors } = searchResultService.parsePageOptions(searchParams, { sorts: HOTEL_SORTS });
+        if (pageErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid page options',
+                validationErrors: pageErrors
+            });
+        }
+
+        const minRating = parseMinRating(searchParams.minRating);
+        if (minRating === undefined) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid minRating. Use a whole number between 0 and 100',
+                minRating: searchParams.minRating
+            });
+        }
+
+        // A travelers array is shared across the rooms; Amadeus takes the adults and child ages of one room
+        let guests = null;
+        if (travelers !== undefined) {
+            const { travelers: parsedTravelers, errors: travelerErrors } = travelerService.parseTravelers(travelers);
+            const allocation = travelerErrors.length === 0
+                ? travelerService.allocateRooms(parsedTravelers, parseInt(rooms) || 1)
+                : null;
+            const guestErrors = [...travelerErrors, ...(allocation ? allocation.errors : [])];
+
+            if (guestErrors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid travelers',
+                    validationErrors: guestErrors
+                });
+            }
+
+            guests = { travelers: parsedTravelers, rooms: allocation.rooms };
+            adults = travelerService.countTravelers(parsedTravelers).adults;
+        }
 
         try {
             // Step 1: Convert city name to proper Amadeus city code
@@ -55,31 +136,19 @@ const searchHotels = async (req, res) => {
                 // Assume city param already IATA code (3 letters)
                 cityCode = city.toUpperCase();
             } else {
-                // Lookup city name in IATA database via DbIataCode
-                const matches = await DbIataCode(city);
-
+                // Resolve the city name offline
+                const home = await locationResolverService.getHomeLocation(searchParams);
+                const resolution = locationResolverService.resolveLocation(city, { home, preferCity: true });
 
-                if (!Array.isArray(matches)) {
-                    return res.status(500).json({
-                        success: false,
-                        error: 'Failed to lookup city code',
-                    });
-                    }
-
-
-
-                if (matches.length === 1) {
-                    cityCode = matches[0].IATA;
+                if (resolution.status === 'resolved') {
+                    cityCode = resolution.code;
                     console.log(`[searchHotels] City name "${city}" resolved to IATA code: ${cityCode}`);
-                } else if (matches.length > 1) {
-                    const matchList = matches
-                        .slice(0, 10)
-                        .map(m => `${m.Name} (${m.IATA})`)
-                        .join(', ');
-                    return res.status(400).json({
-                        success: false,
-                        error: `Ambiguous city name. Matches found: ${matchList}`
-                    });
+                } else if (resolution.status === 'ambiguous') {
+                    return res.status(409).json(
+                        locationResolverService.buildAmbiguityResponse('hotels', searchParams, [
+                            { field: 'city', query: city, candidates: resolution.candidates }
+                        ])
+                    );
                 } else {
                     return res.status(400).json({
                         success: false,
@@ -88,13 +157,6 @@ const searchHotels = async (req, res) => {
                 }
             }
 
-
-
-
-
-
-
-
             console.log('🏨 City code mapping:', city, '->', cityCode);
             
             if (!cityCode) {
@@ -154,7 +216,8 @@ const searchHotels = async (req, res) => {
                     success: true,
                     data: {
                         hotels: [],
-                        searchParams: { city, cityCode, checkIn, checkOut, adults, rooms },
+                        unpricedHotels: [],
+                        searchParams: { city, cityCode, checkIn, checkOut, adults, rooms, guests },
                         resultCount: 0,
                         message: 'No hotels found in this city'
                     }
@@ -162,151 +225,38 @@ const searchHotels = async (req, res) => {
             }
 
             console.log(`🏨 Found ${hotelListResult.data.length} hotels`);
+            streamEvent(res, { type: 'progress', stage: 'hotel-list', cityCode, hotelCount: hotelListResult.data.length });
 
             // Step 4: Get available offers for these hotels
-            const hotelIds = hotelListResult.data
-                .slice(0, Math.min(parseInt(max), 10)) // Limit to 10 for testing
-                .map(hotel => hotel.hotelId);
-            
-            console.log('🏨 Getting offers for hotels:', hotelIds);
-
-            
-            const offersParams = {
-                hotelIds,
-                adults: parseInt(adults),
-                checkInDate: checkIn,
-                checkOutDate: checkOut,
-                roomQuantity: parseInt(rooms),
-                currency: currency.toUpperCase()
-            };
-
-            console.log('🏨 Offers search params:', offersParams);
-
-
-
-
-
-
-
-
-            let offersResult = await amadeusService.searchHotelOffers(offersParams);
-
-            // If error, attempt extracting the invalid ids and remove them
-            if (!offersResult?.success && offersResult?.error?.code === 10604) {
-                console.warn('Invalid hotel ids detected. Attempting to remove and retry...');
-                const errorData = offersResult.error?.source?.parameter;
-
-                if (errorData && errorData.includes('hotelIds=')) {
-                    const invalidId = errorData.split('hotelIds=')[1];
-                    console.log(`Excluding invalid hotel id: ${invalidId}`);
-
-                    // Try again with filtered ids
-                    const filteredHotelIds = hotelIds.filter(id => id !== invalidId);
-                    offersParams.hotelIds = filteredHotelIds;
-
-                    offersResult = await amadeusService.searchHotelOffers(offersParams);
-                }
-            }
-
-
-            
-
-
-
-
-
-            
-            console.log('🏨 Offers result:', offersResult);
-
-            if (!offersResult) {
-                console.error('❌ offersResult is undefined');
-                return res.status(502).json({
-                    success: false,
-                    error: 'Hotel offers search failed',
-                    message: 'searchHotelOffers returned undefined'
-                });
-            }
-
-            if (!offersResult.success) {
-                console.error('❌ Hotel offers search failed:', offersResult.error);
+            const priced = await priceHotelList(hotelListResult.data, { max, adults, rooms, guests, checkIn, checkOut, currency }, res);
+            if (!priced.success) {
                 return res.status(502).json({
                     success: false,
                     error: 'Hotel offers search failed',
-                    message: offersResult.error || 'Offers search failed'
+                    message: priced.error
                 });
             }
 
-            // Step 5: Process and format results
-            const processedHotels = (offersResult.data || []).map(hotelOffer => {
-                const hotel = hotelListResult.data.find(h => h.hotelId === hotelOffer.hotel?.hotelId);
-
-                return {
-                    id: hotelOffer.hotel?.hotelId || 'unknown',
-                    type: 'hotel-offer',
-                    hotel: {
-                        name: hotelOffer.hotel?.name || 'Unknown Hotel',
-                        rating: hotelOffer.hotel?.rating || 3,
-                        chainCode: hotelOffer.hotel?.chainCode,
-                        address: hotel?.address || {},
-                        amenities: hotelOffer.hotel?.amenities || [],
-                        geoCode: hotel?.geoCode || {}
-                    },
-                    offers: (hotelOffer.offers || []).map(offer => ({
-                        id: offer.id,
-                        checkInDate: offer.checkInDate,
-                        checkOutDate: offer.checkOutDate,
-                        roomQuantity: offer.roomQuantity,
-                        rateCode: offer.rateCode,
-                        price: {
-                            currency: offer.price?.currency || currency,
-                            base: parseFloat(offer.price?.base || 0),
-                            total: parseFloat(offer.price?.total || 0),
-                            variations: offer.price?.variations
-                        },
-                        room: offer.room,
-                        guests: offer.guests,
-                        policies: offer.policies
-                    })),
-                    available: hotelOffer.available !== false
-                };
-            });
-
-            // Identify hotels that have NO pricing
-            const pricedHotelIds = new Set((offersResult.data || []).map(ho => ho.hotel?.hotelId));
-
-            const noPricingHotels = hotelListResult.data.filter(h => !pricedHotelIds.has(h.hotelId))
-                .map(hotel => {
-                    return {
-                        id: hotel.hotelId,
-                        type: 'hotel-offer',
-                        hotel: {
-                            name: hotel.name,
-                            rating: hotel.rating || 3,
-                            chainCode: hotel.chainCode,
-                            address: hotel.address || {},
-                            amenities: [],
-                            geoCode: hotel.geoCode || {}
-                        },
-                        offers: [],
-                        available: false
-                    };
-                });
+            console.log(`🏨 Priced ${priced.hotels.length} of ${priced.pricing.hotelsSearched} hotels searched`);
 
-            // Final combined results
-            const finalResults = [
-                ...processedHotels,
-                ...noPricingHotels
-            ];
+            const rated = await rateHotels(priced.hotels, { checkIn, checkOut, minRating }, res);
 
-            console.log(`🏨 Final result contains ${finalResults.length} hotels`);
+            // Later pages and re-sorts of this search read the stored copy; only priced hotels are paged
+            const searchId = searchResultService.createResultId();
+            const results = {
+                searchId,
+                hotels: rated.hotels,
+                unpricedHotels: priced.unpricedHotels,
+                pricing: priced.pricing,
+                ratings: rated.ratings,
+                searchParams: { city, cityCode, checkIn, checkOut, adults, rooms, guests, minRating },
+                resultCount: rated.hotels.length
+            };
+            searchResultService.saveResults('hotels', searchId, results);
 
             return res.json({
                 success: true,
-                data: {
-                    hotels: finalResults,
-                    searchParams: { city, cityCode, checkIn, checkOut, adults, rooms },
-                    resultCount: finalResults.length
-                },
+                data: buildHotelPage(results, { kind: 'hotels', id: searchId, offset: 0, ...pageOptions }),
                 meta: {
                     searchTime: new Date().toISOString(),
                     cached: false
@@ -334,6 +284,420 @@ const searchHotels = async (req, res) => {
     }
 };
 
+/**
+ * Search hotels, streaming results as each upstream call completes
+ * GET|POST /api/hotels/search/stream (same parameters as /api/hotels/search)
+ * Responds with NDJSON: progress events once the city's hotel list is in and as offers are requested,
+ * a results event with the priced hotels of each batch, then a summary event holding the /api/hotels/search response
+ */
+const searchHotelsStream = async (req, res) => searchHotels(req, createNdjsonResponse(res));
+
+/**
+ * Page through or re-sort stored hotel results
+ * Called by searchHotels for a cursor, or for a searchId with a new sort; never calls Amadeus
+ */
+const getHotelResultsPage = (searchParams, res) => {
+    let position;
+
+    if (searchParams.cursor) {
+        position = searchResultService.decodeCursor(searchParams.cursor);
+        if (!position || position.kind !== 'hotels') {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid cursor',
+                message: 'Use the nextCursor of a hotel search response'
+            });
+        }
+    } else {
+        const { options, errors } = searchResultService.parsePageOptions(searchParams, { sorts: HOTEL_SORTS });
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid page options',
+                validationErrors: errors
+            });
+        }
+        position = { kind: 'hotels', id: String(searchParams.searchId), offset: 0, ...options };
+    }
+
+    const results = searchResultService.getResults('hotels', position.id);
+    if (!results) {
+        return res.status(404).json({
+            success: false,
+            error: 'Search results not found or expired',
+            message: 'Run the search again to get fresh offers'
+        });
+    }
+
+    return res.json({
+        success: true,
+        data: buildHotelPage(results, position),
+        meta: {
+            searchTime: new Date().toISOString(),
+            storedResults: true
+        }
+    });
+};
+
+// Fetch offers for the first `max` hotels of a list, HOTEL_OFFERS_BATCH_SIZE ids per Amadeus call
+// Streams a results event per batch. Hotels searched without an offer go to unpricedHotels, with the reason.
+// Returns { success: true, hotels, unpricedHotels, pricing } or { success: false, error } when every batch fails
+async function priceHotelList(hotelList, { max, adults, rooms, guests, checkIn, checkOut, currency }, res) {
+    const searchedHotels = hotelList.slice(0, parsePricedHotelCount(max));
+    const batches = chunk(searchedHotels.map(hotel => hotel.hotelId), HOTEL_OFFERS_BATCH_SIZE);
+
+    const offersParams = {
+        adults: guests ? guests.rooms[0].adults : parseInt(adults),
+        checkInDate: checkIn,
+        checkOutDate: checkOut,
+        roomQuantity: parseInt(rooms),
+        currency: currency.toUpperCase()
+    };
+    if (guests && guests.rooms[0].childAges.length > 0) {
+        offersParams.childAges = guests.rooms[0].childAges;
+    }
+
+    console.log(`🏨 Getting offers for ${searchedHotels.length} hotels in ${batches.length} batches:`, offersParams);
+    streamEvent(res, { type: 'progress', stage: 'hotel-offers', hotelCount: searchedHotels.length, batches: batches.length });
+
+    const hotelsById = new Map(hotelList.map(hotel => [hotel.hotelId, hotel]));
+
+    const batchResults = await mapWithConcurrency(batches, HOTEL_OFFERS_CONCURRENCY, async (hotelIds, index) => {
+        const result = await fetchHotelOffersBatch(hotelIds, offersParams);
+        if (!result.success) {
+            console.error(`❌ Hotel offers batch ${index + 1}/${batches.length} failed:`, result.error);
+            return { ...result, hotels: [] };
+        }
+
+        const hotels = result.data.map(hotelOffer => normalizeHotelOffer(hotelOffer, hotelsById.get(hotelOffer.hotel?.hotelId), currency));
+        streamEvent(res, { type: 'results', batch: index + 1, batches: batches.length, hotels });
+        return { ...result, hotels };
+    });
+
+    const failedBatches = batchResults.filter(result => !result.success);
+    if (batches.length > 0 && failedBatches.length === batches.length) {
+        return { success: false, error: failedBatches[0].error || 'Offers search failed' };
+    }
+
+    const hotels = batchResults.flatMap(result => result.hotels);
+    const pricedIds = new Set(hotels.map(hotel => hotel.id));
+    const invalidIds = new Set(batchResults.flatMap(result => result.invalidIds));
+    const failedIds = new Set(failedBatches.flatMap(result => result.hotelIds));
+
+    const unpricedHotels = searchedHotels
+        .filter(hotel => !pricedIds.has(hotel.hotelId))
+        .map(hotel => {
+            let reason = 'no-availability';
+            if (invalidIds.has(hotel.hotelId)) reason = 'invalid-hotel-id';
+            else if (failedIds.has(hotel.hotelId)) reason = 'offers-unavailable';
+            return normalizeUnpricedHotel(hotel, reason);
+        });
+
+    return {
+        success: true,
+        hotels,
+        unpricedHotels,
+        pricing: {
+            hotelsListed: hotelList.length,
+            hotelsSearched: searchedHotels.length,
+            priced: hotels.length,
+            unpriced: unpricedHotels.length,
+            invalidHotelIds: [...invalidIds],
+            batches: batches.length,
+            failedBatches: failedBatches.length
+        }
+    };
+}
+
+// Hotels to price for a `max` parameter
+const parsePricedHotelCount = (max) => Math.min(Math.max(parseInt(max) || DEFAULT_PRICED_HOTELS, 1), MAX_PRICED_HOTELS);
+
+// One offers call for a batch of hotel ids. Amadeus rejects the whole call when any id is
+// invalid (10604), often naming only one of them, so the ids it names are dropped and the rest
+// retried until the call succeeds. Every retry drops at least one id, so the loop ends.
+// Returns { success, data, error, hotelIds, invalidIds }
+async function fetchHotelOffersBatch(hotelIds, offersParams) {
+    let ids = hotelIds;
+    const invalidIds = [];
+
+    while (ids.length > 0) {
+        const result = await amadeusService.searchHotelOffers({ ...offersParams, hotelIds: ids });
+        if (result?.success) {
+            return { success: true, data: result.data || [], hotelIds, invalidIds };
+        }
+
+        const errors = result?.details?.errors || [];
+        // Nothing free at any hotel of the batch
+        if (errors.length > 0 && errors.every(error => Number(error.code) === NO_ROOMS_ERROR_CODE)) {
+            return { success: true, data: [], hotelIds, invalidIds };
+        }
+
+        const rejected = errors
+            .filter(error => Number(error.code) === INVALID_HOTEL_ID_ERROR_CODE)
+            .flatMap(error => String(error.source?.parameter || '').replace(/^hotelIds=/, '').split(','))
+            .filter(id => ids.includes(id));
+
+        if (rejected.length === 0) {
+            return { success: false, error: result?.error || 'searchHotelOffers returned undefined', hotelIds, invalidIds };
+        }
+
+        console.warn(`Excluding invalid hotel ids: ${rejected.join(', ')}`);
+        invalidIds.push(...rejected);
+        ids = ids.filter(id => !rejected.includes(id));
+    }
+
+    // Every id was invalid
+    return { success: true, data: [], hotelIds, invalidIds };
+}
+
+// A priced hotel from an Amadeus hotel offer; `hotel` is its hotel list entry, for address and location
+function normalizeHotelOffer(hotelOffer, hotel, currency) {
+    return {
+        id: hotelOffer.hotel?.hotelId || 'unknown',
+        type: 'hotel-offer',
+        hotel: {
+            name: hotelOffer.hotel?.name || 'Unknown Hotel',
+            rating: hotelOffer.hotel?.rating ? Number(hotelOffer.hotel.rating) : null, // Stars, when Amadeus has them
+            chainCode: hotelOffer.hotel?.chainCode,
+            address: hotel?.address || {},
+            amenities: hotelOffer.hotel?.amenities || [],
+            geoCode: hotel?.geoCode || {}
+        },
+        distance: hotel?.distance || null,
+        offers: (hotelOffer.offers || []).map(offer => ({
+            id: offer.id,
+            checkInDate: offer.checkInDate,
+            checkOutDate: offer.checkOutDate,
+            roomQuantity: offer.roomQuantity,
+            rateCode: offer.rateCode,
+            price: {
+                currency: offer.price?.currency || currency,
+                base: parseFloat(offer.price?.base || 0),
+                total: parseFloat(offer.price?.total || 0),
+                variations: offer.price?.variations
+            },
+            room: offer.room,
+            guests: offer.guests,
+            policies: offer.policies
+        })),
+        available: hotelOffer.available !== false
+    };
+}
+
+// A searched hotel without offers, marked with why it has none
+function normalizeUnpricedHotel(hotel, reason) {
+    return {
+        id: hotel.hotelId,
+        type: 'hotel-unpriced',
+        hotel: {
+            name: hotel.name,
+            rating: hotel.rating ? Number(hotel.rating) : null,
+            chainCode: hotel.chainCode,
+            address: hotel.address || {},
+            amenities: [],
+            geoCode: hotel.geoCode || {}
+        },
+        distance: hotel.distance || null,
+        offers: [],
+        available: false,
+        unpricedReason: reason
+    };
+}
+
+// minRating parameter: null when not given, undefined when invalid
+function parseMinRating(minRating) {
+    if (minRating === undefined || minRating === null || minRating === '') return null;
+    const value = /^\d+$/.test(String(minRating)) ? parseInt(minRating) : -1;
+    return value >= 0 && value <= 100 ? value : undefined;
+}
+
+// Attach traveler ratings, price per night and value score to priced hotels, then apply minRating
+// Ratings that cannot be fetched leave `sentiment` null; they never fail the search.
+// The value score (0-100) weighs the overall rating and the price per night, scaled across
+// the priced hotels so the cheapest counts as 1, equally.
+async function rateHotels(hotels, { checkIn, checkOut, minRating }, res) {
+    streamEvent(res, { type: 'progress', stage: 'hotel-ratings', hotelCount: hotels.length });
+
+    const { ratings, cachedHotels, calls, failedCalls } = await hotelRatingService.getRatings(hotels.map(hotel => hotel.id));
+    const nights = Math.max(Math.round((new Date(checkOut) - new Date(checkIn)) / (24 * 60 * 60 * 1000)), 1) || 1;
+
+    const withPrices = hotels.map(hotel => {
+        const price = lowestOfferPrice(hotel);
+        return {
+            ...hotel,
+            sentiment: ratings.get(hotel.id) || null,
+            pricePerNight: price !== null ? Math.round((price / nights) * 100) / 100 : null
+        };
+    });
+
+    const knownPrices = withPrices.map(hotel => hotel.pricePerNight).filter(price => price !== null);
+    const minPrice = Math.min(...knownPrices);
+    const priceRange = Math.max(...knownPrices) - minPrice || 1;
+
+    const rated = withPrices.map(hotel => {
+        const rating = hotel.sentiment?.overall?.rating;
+        const valueScore = typeof rating === 'number' && hotel.pricePerNight !== null
+            ? Math.round((rating / 100) * 50 + (1 - (hotel.pricePerNight - minPrice) / priceRange) * 50)
+            : null;
+        return { ...hotel, valueScore };
+    });
+
+    const kept = minRating !== null
+        ? rated.filter(hotel => (hotel.sentiment?.overall?.rating ?? -1) >= minRating)
+        : rated;
+
+    return {
+        hotels: kept,
+        ratings: {
+            rated: rated.filter(hotel => hotel.sentiment).length,
+            unrated: rated.filter(hotel => !hotel.sentiment).length,
+            belowMinRating: rated.length - kept.length,
+            cachedHotels,
+            ratingCalls: calls,
+            failedRatingCalls: failedCalls
+        }
+    };
+}
+
+// Hotel search around a point: the nearest hotels within the radius, then their offers
+// `context` is added to the stored searchParams (e.g. the airport of a near-airport search)
+async function searchHotelsNear(point, searchParams, res, context = {}) {
+    const {
+        checkIn,
+        checkOut,
+        radius = DEFAULT_HOTEL_RADIUS_KM,
+        adults = 1,
+        rooms = 1,
+        currency = 'USD',
+        max = 20 // Nearest hotels to price
+    } = searchParams;
+
+    if (!checkIn || !checkOut) {
+        return res.status(400).json({
+            success: false,
+            error: 'Missing required dates',
+            required: ['checkIn', 'checkOut'],
+            received: { checkIn, checkOut }
+        });
+    }
+
+    const radiusKm = /^\d+$/.test(String(radius)) ? parseInt(radius) : 0;
+    if (radiusKm < 1 || radiusKm > MAX_HOTEL_RADIUS_KM) {
+        return res.status(400).json({
+            success: false,
+            error: `Invalid radius. Use a whole number of km between 1 and ${MAX_HOTEL_RADIUS_KM}`,
+            radius
+        });
+    }
+
+    const { options: pageOptions, errors: pageErrors } = searchResultService.parsePageOptions(searchParams, {
+        sorts: HOTEL_SORTS,
+        defaultSort: 'distance'
+    });
+    if (pageErrors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid page options',
+            validationErrors: pageErrors
+        });
+    }
+
+    const minRating = parseMinRating(searchParams.minRating);
+    if (minRating === undefined) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid minRating. Use a whole number between 0 and 100',
+            minRating: searchParams.minRating
+        });
+    }
+
+    const locationParams = { latitude: point.latitude, longitude: point.longitude, radius: radiusKm, ...context };
+
+    const hotelListResult = await amadeusService.getHotelList({
+        latitude: point.latitude,
+        longitude: point.longitude,
+        radius: radiusKm
+    });
+
+    if (!hotelListResult.success) {
+        return res.status(502).json({
+            success: false,
+            error: 'Hotel search service unavailable',
+            message: hotelListResult.error || 'Hotel list search failed'
+        });
+    }
+
+    // Nearest first, by our own distance from the point; hotels without coordinates go last
+    const nearestHotels = (hotelListResult.data || [])
+        .map(hotel => {
+            const { latitude, longitude } = hotel.geoCode || {};
+            const km = latitude !== undefined && longitude !== undefined
+                ? calculateDistance(point.latitude, point.longitude, latitude, longitude)
+                : null;
+            return { ...hotel, distance: km !== null ? { value: Math.round(km * 100) / 100, unit: 'KM' } : null };
+        })
+        .sort((a, b) => (a.distance?.value ?? Infinity) - (b.distance?.value ?? Infinity))
+        .slice(0, parsePricedHotelCount(max));
+
+    console.log(`🏨 Found ${hotelListResult.data?.length || 0} hotels within ${radiusKm} km, pricing the nearest ${nearestHotels.length}`);
+
+    const priced = await priceHotelList(nearestHotels, { max, adults, rooms, checkIn, checkOut, currency }, res);
+    if (!priced.success) {
+        return res.status(502).json({
+            success: false,
+            error: 'Hotel offers search failed',
+            message: priced.error
+        });
+    }
+
+    const rated = await rateHotels(priced.hotels, { checkIn, checkOut, minRating }, res);
+
+    const searchId = searchResultService.createResultId();
+    const results = {
+        searchId,
+        hotels: rated.hotels,
+        unpricedHotels: priced.unpricedHotels,
+        pricing: priced.pricing,
+        ratings: rated.ratings,
+        searchParams: { ...locationParams, checkIn, checkOut, adults, rooms, minRating },
+        resultCount: rated.hotels.length
+    };
+    searchResultService.saveResults('hotels', searchId, results);
+
+    return res.json({
+        success: true,
+        data: buildHotelPage(results, { kind: 'hotels', id: searchId, offset: 0, ...pageOptions }),
+        meta: {
+            searchTime: new Date().toISOString(),
+            hotelsInRadius: hotelListResult.data?.length || 0
+        }
+    });
+}
+
+// Cheapest offer total of a normalised hotel, or null when it has no offers
+const lowestOfferPrice = (hotel) => hotel.offers.length > 0
+    ? Math.min(...hotel.offers.map(offer => offer.price.total))
+    : null;
+
+// Ascending keys; rating and value are negated so the best come first
+const HOTEL_SORT_KEYS = {
+    price: lowestOfferPrice,
+    distance: (hotel) => hotel.distance?.value ?? null,
+    rating: (hotel) => (typeof hotel.sentiment?.overall?.rating === 'number' ? -hotel.sentiment.overall.rating : null),
+    value: (hotel) => (hotel.valueScore !== null && hotel.valueScore !== undefined ? -hotel.valueScore : null)
+};
+
+// One page of the priced hotels of a result set; unpricedHotels come with every page
+function buildHotelPage(results, position) {
+    const sortKey = HOTEL_SORT_KEYS[position.sort];
+    const hotels = sortKey
+        ? [...results.hotels].sort((a, b) => (sortKey(a) ?? Infinity) - (sortKey(b) ?? Infinity))
+        : results.hotels;
+    const { items, page } = searchResultService.getPage(hotels, position);
+
+    return { ...results, hotels: items, page };
+}
+
 /*
 // Add city code mapping function
 function getCityCode(cityName) {
@@ -534,30 +898,28 @@ const getHotelDetails = async (req, res) => {
 
 /**
  * Search hotels by location (coordinates)
- * GET /api/hotels/location?latitude=40.7128&longitude=-74.0060&radius=50&checkIn=2025-07-01&checkOut=2025-07-05
+ * GET /api/hotels/location?latitude=1.2834&longitude=103.8607&radius=5&checkIn=2025-07-01&checkOut=2025-07-05
+ * Hotels within radius km of the point, nearest first (sort=price to reorder); pages as /api/hotels/search
  */
 const searchHotelsByLocation = async (req, res) => {
     try {
-        const { latitude, longitude, radius = 5, checkIn, checkOut, adults = 1, rooms = 1 } = req.query;
+        const searchParams = req.query;
 
-        if (!latitude || !longitude) {
-            return res.status(400).json({
-                success: false,
-                error: 'Missing required parameters: latitude and longitude'
-            });
+        if (searchParams.cursor || searchParams.searchId) {
+            return getHotelResultsPage(searchParams, res);
         }
 
-        if (!checkIn || !checkOut) {
+        const { latitude, longitude } = searchParams;
+
+        if (!latitude || !longitude) {
             return res.status(400).json({
                 success: false,
-                error: 'Missing required dates',
-                required: ['checkIn', 'checkOut', 'latitude', 'longitude']
+                error: 'Missing required parameters: latitude and longitude'
             });
         }
 
         const lat = parseFloat(latitude);
         const lng = parseFloat(longitude);
-        const rad = parseInt(radius);
 
         if (isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
             return res.status(400).json({
@@ -566,12 +928,7 @@ const searchHotelsByLocation = async (req, res) => {
             });
         }
 
-        req.query.latitude = lat;
-        req.query.longitude = lng;
-        req.query.radius = rad;
-        delete req.query.city;
-
-        return await searchHotels(req, res);
+        return await searchHotelsNear({ latitude: lat, longitude: lng }, searchParams, res);
 
     } catch (error) {
         console.error('Hotel location search error:', error);
@@ -583,6 +940,50 @@ const searchHotelsByLocation = async (req, res) => {
     }
 };
 
+/**
+ * Search hotels near an airport
+ * GET /api/hotels/airport/SIN?radius=10&checkIn=2025-07-01&checkOut=2025-07-05
+ * Same as /api/hotels/location, from the airport's coordinates in the airport dataset
+ */
+const searchHotelsNearAirport = async (req, res) => {
+    try {
+        const { code } = req.params;
+
+        if (!/^[A-Za-z]{3}$/.test(code)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid airport code. Use a 3-letter IATA code',
+                code
+            });
+        }
+
+        const airport = airportService.getAirportByIata(code);
+        if (!airport || !airport.coordinates) {
+            return res.status(404).json({
+                success: false,
+                error: `Airport not found: ${code.toUpperCase()}`
+            });
+        }
+
+        return await searchHotelsNear(airport.coordinates, req.query, res, {
+            airport: {
+                code: airport.iataCode,
+                name: airport.name,
+                city: airport.city,
+                country: airport.country
+            }
+        });
+
+    } catch (error) {
+        console.error('Hotels near airport error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to search hotels near airport',
+            message: error.message
+        });
+    }
+};
+
 /**
  * Get hotels by city
  * GET /api/hotels/city/Paris?country=France&checkIn=2025-07-01&checkOut=2025-07-05
@@ -671,27 +1072,7 @@ const getHotelRatings = async (req, res) => {
                 });
             }
 
-            const processedRatings = result.data.map(rating => ({
-                hotelId: rating.hotelId,
-                overall: {
-                    rating: rating.overallRating,
-                    numberOfRatings: rating.numberOfRatings,
-                    numberOfReviews: rating.numberOfReviews
-                },
-                categories: {
-                    sleepQuality: rating.sentiments?.sleepQuality,
-                    service: rating.sentiments?.service,
-                    facilities: rating.sentiments?.facilities,
-                    roomComfort: rating.sentiments?.roomComfort,
-                    valueForMoney: rating.sentiments?.valueForMoney,
-                    catering: rating.sentiments?.catering,
-                    swimming: rating.sentiments?.swimming,
-                    location: rating.sentiments?.location,
-                    internet: rating.sentiments?.internet,
-                    pointsOfInterest: rating.sentiments?.pointsOfInterest,
-                    staff: rating.sentiments?.staff
-                }
-            }));
+            const processedRatings = result.data.map(hotelRatingService.normalizeRating);
 
             return res.json({
                 success: true,
@@ -872,8 +1253,10 @@ const getHotelAmenities = async (req, res) => {
 
 module.exports = {
     searchHotels,
+    searchHotelsStream,
     getHotelDetails,
     searchHotelsByLocation,
+    searchHotelsNearAirport,
     getHotelsByCity,
     getHotelRatings,
     createHotelBooking,
@@ -0,0 +1,64 @@
+const locationSearchService = require('../services/locationSearchService');
+
+const MAX_AUTOCOMPLETE_RESULTS = 25;
+const LOCATION_TYPES = ['airport', 'city'];
+
+/**
+ * Autocomplete airports and cities
+ * Prefix, word and typo-tolerant matching over names, cities, IATA/ICAO codes and aliases
+ * GET /api/locations/autocomplete?q=bombay&limit=10&type=airport
+ */
+const autocompleteLocations = async (req, res) => {
+    try {
+        const { q, limit = 10, type } = req.query;
+
+        if (!q || !String(q).trim()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required parameter: q'
+            });
+        }
+
+        const max = parseInt(limit);
+        if (isNaN(max) || max < 1 || max > MAX_AUTOCOMPLETE_RESULTS) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid limit. Must be between 1 and ${MAX_AUTOCOMPLETE_RESULTS}`
+            });
+        }
+
+        if (type && !LOCATION_TYPES.includes(type)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid type. Must be one of: ${LOCATION_TYPES.join(', ')}`
+            });
+        }
+
+        const startedAt = process.hrtime.bigint();
+        const locations = locationSearchService.searchLocations(String(q), { limit: max, type });
+        const tookMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+
+        return res.json({
+            success: true,
+            data: locations,
+            meta: {
+                query: q,
+                type: type || 'all',
+                resultCount: locations.length,
+                tookMs: Math.round(tookMs * 100) / 100
+            }
+        });
+
+    } catch (error) {
+        console.error('Location autocomplete error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to autocomplete locations',
+            message: error.message
+        });
+    }
+};
+
+module.exports = {
+    autocompleteLocations
+};
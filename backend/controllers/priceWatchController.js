@@ -0,0 +1,352 @@
+const { priceWatchService: priceWatchStore } = require('../services/supabaseService');
+const priceWatchService = require('../services/priceWatchService');
+const notificationService = require('../services/notificationService');
+
+const TRAVEL_CLASSES = ['ECONOMY', 'PREMIUM_ECONOMY', 'BUSINESS', 'FIRST'];
+const DEFAULT_DROP_PERCENT = 10;
+const MAX_TRIP_LENGTH = 60;
+
+/**
+ * Create a price watch
+ * POST /api/users/:userId/price-watches
+ */
+const createPriceWatch = async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const {
+            origin,
+            destination,
+            departureDate,
+            departureDateFrom,
+            departureDateTo,
+            returnDate,
+            tripLength, // nights; return date for each departure date in a window
+            adults = 1,
+            children = 0,
+            infants = 0,
+            travelClass = 'ECONOMY',
+            nonStop = false,
+            currency = 'USD',
+            targetPrice,
+            dropPercent = DEFAULT_DROP_PERCENT
+        } = req.body || {};
+
+        if (!userId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing user ID'
+            });
+        }
+
+        const codeRegex = /^[A-Za-z]{3}$/;
+        const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+        const windowFrom = departureDateFrom || departureDate;
+        const windowTo = departureDateTo || departureDate || departureDateFrom;
+        const validationErrors = [];
+
+        if (!codeRegex.test(origin || '') || !codeRegex.test(destination || '')) {
+            validationErrors.push('origin and destination must be IATA codes');
+        }
+
+        if (!dateRegex.test(windowFrom || '') || !dateRegex.test(windowTo || '')) {
+            validationErrors.push('Give a departureDate, or a departureDateFrom/departureDateTo window, in YYYY-MM-DD format');
+        } else {
+            const windowDays = (Date.parse(windowTo) - Date.parse(windowFrom)) / (24 * 60 * 60 * 1000) + 1;
+            if (windowDays < 1) {
+                validationErrors.push('departureDateTo must not be before departureDateFrom');
+            } else if (windowDays > priceWatchService.MAX_WATCH_WINDOW_DAYS) {
+                validationErrors.push(`The departure window can be at most ${priceWatchService.MAX_WATCH_WINDOW_DAYS} days`);
+            }
+            if (windowTo < new Date().toISOString().split('T')[0]) {
+                validationErrors.push('The departure dates are in the past');
+            }
+        }
+
+        if (returnDate !== undefined && tripLength !== undefined) {
+            validationErrors.push('Give either returnDate or tripLength, not both');
+        } else if (returnDate !== undefined && (!dateRegex.test(returnDate) || returnDate < windowTo)) {
+            validationErrors.push('returnDate must be in YYYY-MM-DD format and not before the last departure date');
+        } else if (tripLength !== undefined && !(parseInt(tripLength) >= 1 && parseInt(tripLength) <= MAX_TRIP_LENGTH)) {
+            validationErrors.push(`tripLength must be between 1 and ${MAX_TRIP_LENGTH} nights`);
+        }
+
+        if (!(parseInt(adults) >= 1) || parseInt(adults) + parseInt(children) > 9) {
+            validationErrors.push('Between 1 and 9 seated passengers, with at least one adult');
+        }
+        if (parseInt(infants) > parseInt(adults)) {
+            validationErrors.push('Each infant must travel with an adult');
+        }
+        if (!TRAVEL_CLASSES.includes(String(travelClass).toUpperCase())) {
+            validationErrors.push(`travelClass must be one of ${TRAVEL_CLASSES.join(', ')}`);
+        }
+        if (targetPrice !== undefined && !(parseFloat(targetPrice) > 0)) {
+            validationErrors.push('targetPrice must be a positive amount');
+        }
+        if (!(parseFloat(dropPercent) > 0 && parseFloat(dropPercent) < 100)) {
+            validationErrors.push('dropPercent must be between 0 and 100');
+        }
+
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid price watch',
+                validationErrors,
+                example: {
+                    origin: 'SIN',
+                    destination: 'LHR',
+                    departureDateFrom: '2025-07-01',
+                    departureDateTo: '2025-07-05',
+                    tripLength: 7,
+                    adults: 1,
+                    travelClass: 'ECONOMY',
+                    targetPrice: 900,
+                    dropPercent: 10
+                }
+            });
+        }
+
+        try {
+            const watch = await priceWatchStore.createPriceWatch(userId, {
+                origin: origin.toUpperCase(),
+                destination: destination.toUpperCase(),
+                departure_date_from: windowFrom,
+                departure_date_to: windowTo,
+                return_date: returnDate || null,
+                trip_length: tripLength !== undefined ? parseInt(tripLength) : null,
+                adults: parseInt(adults),
+                children: parseInt(children),
+                infants: parseInt(infants),
+                travel_class: String(travelClass).toUpperCase(),
+                non_stop: nonStop === true || nonStop === 'true',
+                currency: String(currency).toUpperCase(),
+                target_price: targetPrice !== undefined ? parseFloat(targetPrice) : null,
+                drop_percent: parseFloat(dropPercent),
+                status: 'active',
+                next_check_at: new Date().toISOString()
+            });
+
+            // First price straight away, without holding up the response
+            priceWatchService.checkPriceWatch(watch).catch(error => {
+                console.error(`[priceWatch] First check failed for watch ${watch.id}:`, error.message);
+            });
+
+            return res.status(201).json({
+                success: true,
+                data: watch,
+                message: 'Price watch created'
+            });
+
+        } catch (dbError) {
+            console.error('Database error creating price watch:', dbError);
+            return res.status(502).json({
+                success: false,
+                error: 'Database service unavailable',
+                message: 'Could not create price watch'
+            });
+        }
+
+    } catch (error) {
+        console.error('Create price watch error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to create price watch',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Get a user's price watches
+ * GET /api/users/:userId/price-watches
+ */
+const getPriceWatches = async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        try {
+            const watches = await priceWatchStore.getUserPriceWatches(userId);
+
+            return res.json({
+                success: true,
+                data: {
+                    userId,
+                    watches: watches || [],
+                    count: watches?.length || 0
+                },
+                meta: {
+                    retrievedAt: new Date().toISOString()
+                }
+            });
+
+        } catch (dbError) {
+            console.error('Database error getting price watches:', dbError);
+            return res.status(502).json({
+                success: false,
+                error: 'Database service unavailable',
+                message: 'Could not retrieve price watches'
+            });
+        }
+
+    } catch (error) {
+        console.error('Get price watches error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to get price watches',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Get the observed price history of a watch, for charting
+ * GET /api/users/:userId/price-watches/:watchId/history
+ */
+const getPriceWatchHistory = async (req, res) => {
+    try {
+        const { userId, watchId } = req.params;
+
+        try {
+            const watch = await priceWatchStore.getPriceWatch(watchId, userId);
+            if (!watch) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Price watch not found',
+                    watchId
+                });
+            }
+
+            const rows = await priceWatchStore.getPriceHistory(watchId);
+            const history = (rows || []).map(row => ({
+                observedAt: row.observed_at,
+                price: parseFloat(row.min_price),
+                currency: row.currency,
+                departureDate: row.departure_date,
+                returnDate: row.return_date,
+                offerCount: row.offer_count
+            }));
+            const prices = history.map(point => point.price);
+
+            return res.json({
+                success: true,
+                data: {
+                    watch,
+                    history,
+                    summary: {
+                        observations: history.length,
+                        lowestPrice: prices.length ? Math.min(...prices) : null,
+                        highestPrice: prices.length ? Math.max(...prices) : null,
+                        latestPrice: prices.length ? prices[prices.length - 1] : null,
+                        targetPrice: watch.target_price !== null ? parseFloat(watch.target_price) : null
+                    }
+                }
+            });
+
+        } catch (dbError) {
+            console.error('Database error getting price history:', dbError);
+            return res.status(502).json({
+                success: false,
+                error: 'Database service unavailable',
+                message: 'Could not retrieve price history'
+            });
+        }
+
+    } catch (error) {
+        console.error('Get price history error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to get price history',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Delete a price watch
+ * DELETE /api/users/:userId/price-watches/:watchId
+ */
+const deletePriceWatch = async (req, res) => {
+    try {
+        const { userId, watchId } = req.params;
+
+        try {
+            const deleted = await priceWatchStore.deletePriceWatch(watchId, userId);
+            if (!deleted) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Price watch not found',
+                    watchId
+                });
+            }
+
+            return res.json({
+                success: true,
+                data: deleted,
+                message: 'Price watch deleted'
+            });
+
+        } catch (dbError) {
+            console.error('Database error deleting price watch:', dbError);
+            return res.status(502).json({
+                success: false,
+                error: 'Database service unavailable',
+                message: 'Could not delete price watch'
+            });
+        }
+
+    } catch (error) {
+        console.error('Delete price watch error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to delete price watch',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Get a user's notifications (price alerts)
+ * GET /api/users/:userId/notifications?limit=50
+ */
+const getNotifications = async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+        try {
+            const notifications = await notificationService.getNotifications(userId, limit);
+
+            return res.json({
+                success: true,
+                data: {
+                    userId,
+                    notifications: notifications || [],
+                    count: notifications?.length || 0
+                }
+            });
+
+        } catch (dbError) {
+            console.error('Database error getting notifications:', dbError);
+            return res.status(502).json({
+                success: false,
+                error: 'Database service unavailable',
+                message: 'Could not retrieve notifications'
+            });
+        }
+
+    } catch (error) {
+        console.error('Get notifications error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to get notifications',
+            message: error.message
+        });
+    }
+};
+
+module.exports = {
+    createPriceWatch,
+    getPriceWatches,
+    getPriceWatchHistory,
+    deletePriceWatch,
+    getNotifications
+};
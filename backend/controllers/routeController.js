@@ -1,5 +1,6 @@
 const amadeusService = require('../services/amadeusService');
 const cacheService = require('../services/cacheService');
+const { createNdjsonResponse, streamEvent } = require('../utils/ndjsonStream');
 
 /**
  * Calculate optimal route between airports and cities
@@ -140,6 +141,8 @@ const calculateOptimalRoute = async (req, res) => {
                             totalCost += groundSegment.estimatedCost || 0;
                             totalDuration += groundSegment.estimatedDuration || 0;
                         }
+
+                        streamEvent(res, { type: 'results', index: i, segment: routeSegments[routeSegments.length - 1] });
                     }
 
                     // Add return journey if specified
@@ -199,6 +202,7 @@ const calculateOptimalRoute = async (req, res) => {
                                 });
 
                                 totalCost += parseFloat(bestReturnFlight.price.total);
+                                streamEvent(res, { type: 'results', index: routeSegments.length - 1, segment: routeSegments[routeSegments.length - 1] });
                             }
                         }
                     }
@@ -254,6 +258,14 @@ const calculateOptimalRoute = async (req, res) => {
     }
 };
 
+/**
+ * Calculate a route, streaming each segment as its flight search completes
+ * POST /api/routes/calculate/stream (same body as /api/routes/calculate)
+ * Responds with NDJSON: a results event per segment, then a summary event holding the
+ * /api/routes/calculate response. Cached routes go straight to the summary.
+ */
+const calculateOptimalRouteStream = async (req, res) => calculateOptimalRoute(req, createNdjsonResponse(res));
+
 /**
  * Get direct route between two points
  * GET /api/routes/direct?originType=airport&originCode=LAX&destType=airport&destCode=JFK&date=2025-07-01
@@ -922,6 +934,7 @@ const calculateGroundTransport = async (from, to) => {
 
 module.exports = {
     calculateOptimalRoute,
+    calculateOptimalRouteStream,
     getDirectRoute,
     getCachedRoute,
     saveCachedRoute,
@@ -0,0 +1,108 @@
+// Airlines we show by name, with their alliance
+// Carriers missing here still get a name from the Amadeus dictionaries of live searches.
+// logo is a slug for the frontend's logo assets.
+
+module.exports = [
+    // Star Alliance
+    { iataCode: 'A3', icaoCode: 'AEE', name: 'Aegean Airlines', alliance: 'star', logo: 'aegean-airlines' },
+    { iataCode: 'AC', icaoCode: 'ACA', name: 'Air Canada', alliance: 'star', logo: 'air-canada' },
+    { iataCode: 'CA', icaoCode: 'CCA', name: 'Air China', alliance: 'star', logo: 'air-china' },
+    { iataCode: 'AI', icaoCode: 'AIC', name: 'Air India', alliance: 'star', logo: 'air-india' },
+    { iataCode: 'NZ', icaoCode: 'ANZ', name: 'Air New Zealand', alliance: 'star', logo: 'air-new-zealand' },
+    { iataCode: 'NH', icaoCode: 'ANA', name: 'All Nippon Airways', alliance: 'star', logo: 'all-nippon-airways' },
+    { iataCode: 'OZ', icaoCode: 'AAR', name: 'Asiana Airlines', alliance: 'star', logo: 'asiana-airlines' },
+    { iataCode: 'OS', icaoCode: 'AUA', name: 'Austrian Airlines', alliance: 'star', logo: 'austrian-airlines' },
+    { iataCode: 'AV', icaoCode: 'AVA', name: 'Avianca', alliance: 'star', logo: 'avianca' },
+    { iataCode: 'SN', icaoCode: 'BEL', name: 'Brussels Airlines', alliance: 'star', logo: 'brussels-airlines' },
+    { iataCode: 'CM', icaoCode: 'CMP', name: 'Copa Airlines', alliance: 'star', logo: 'copa-airlines' },
+    { iataCode: 'OU', icaoCode: 'CTN', name: 'Croatia Airlines', alliance: 'star', logo: 'croatia-airlines' },
+    { iataCode: 'MS', icaoCode: 'MSR', name: 'EgyptAir', alliance: 'star', logo: 'egyptair' },
+    { iataCode: 'ET', icaoCode: 'ETH', name: 'Ethiopian Airlines', alliance: 'star', logo: 'ethiopian-airlines' },
+    { iataCode: 'BR', icaoCode: 'EVA', name: 'EVA Air', alliance: 'star', logo: 'eva-air' },
+    { iataCode: 'LO', icaoCode: 'LOT', name: 'LOT Polish Airlines', alliance: 'star', logo: 'lot-polish-airlines' },
+    { iataCode: 'LH', icaoCode: 'DLH', name: 'Lufthansa', alliance: 'star', logo: 'lufthansa' },
+    { iataCode: 'ZH', icaoCode: 'CSZ', name: 'Shenzhen Airlines', alliance: 'star', logo: 'shenzhen-airlines' },
+    { iataCode: 'SQ', icaoCode: 'SIA', name: 'Singapore Airlines', alliance: 'star', logo: 'singapore-airlines' },
+    { iataCode: 'SA', icaoCode: 'SAA', name: 'South African Airways', alliance: 'star', logo: 'south-african-airways' },
+    { iataCode: 'LX', icaoCode: 'SWR', name: 'Swiss International Air Lines', alliance: 'star', logo: 'swiss' },
+    { iataCode: 'TP', icaoCode: 'TAP', name: 'TAP Air Portugal', alliance: 'star', logo: 'tap-air-portugal' },
+    { iataCode: 'TG', icaoCode: 'THA', name: 'Thai Airways', alliance: 'star', logo: 'thai-airways' },
+    { iataCode: 'TK', icaoCode: 'THY', name: 'Turkish Airlines', alliance: 'star', logo: 'turkish-airlines' },
+    { iataCode: 'UA', icaoCode: 'UAL', name: 'United Airlines', alliance: 'star', logo: 'united-airlines' },
+
+    // oneworld
+    { iataCode: 'AS', icaoCode: 'ASA', name: 'Alaska Airlines', alliance: 'oneworld', logo: 'alaska-airlines' },
+    { iataCode: 'AA', icaoCode: 'AAL', name: 'American Airlines', alliance: 'oneworld', logo: 'american-airlines' },
+    { iataCode: 'BA', icaoCode: 'BAW', name: 'British Airways', alliance: 'oneworld', logo: 'british-airways' },
+    { iataCode: 'CX', icaoCode: 'CPA', name: 'Cathay Pacific', alliance: 'oneworld', logo: 'cathay-pacific' },
+    { iataCode: 'AY', icaoCode: 'FIN', name: 'Finnair', alliance: 'oneworld', logo: 'finnair' },
+    { iataCode: 'FJ', icaoCode: 'FJI', name: 'Fiji Airways', alliance: 'oneworld', logo: 'fiji-airways' },
+    { iataCode: 'IB', icaoCode: 'IBE', name: 'Iberia', alliance: 'oneworld', logo: 'iberia' },
+    { iataCode: 'JL', icaoCode: 'JAL', name: 'Japan Airlines', alliance: 'oneworld', logo: 'japan-airlines' },
+    { iataCode: 'MH', icaoCode: 'MAS', name: 'Malaysia Airlines', alliance: 'oneworld', logo: 'malaysia-airlines' },
+    { iataCode: 'WY', icaoCode: 'OMA', name: 'Oman Air', alliance: 'oneworld', logo: 'oman-air' },
+    { iataCode: 'QF', icaoCode: 'QFA', name: 'Qantas', alliance: 'oneworld', logo: 'qantas' },
+    { iataCode: 'QR', icaoCode: 'QTR', name: 'Qatar Airways', alliance: 'oneworld', logo: 'qatar-airways' },
+    { iataCode: 'AT', icaoCode: 'RAM', name: 'Royal Air Maroc', alliance: 'oneworld', logo: 'royal-air-maroc' },
+    { iataCode: 'RJ', icaoCode: 'RJA', name: 'Royal Jordanian', alliance: 'oneworld', logo: 'royal-jordanian' },
+    { iataCode: 'UL', icaoCode: 'ALK', name: 'SriLankan Airlines', alliance: 'oneworld', logo: 'srilankan-airlines' },
+
+    // SkyTeam
+    { iataCode: 'AR', icaoCode: 'ARG', name: 'Aerolineas Argentinas', alliance: 'skyteam', logo: 'aerolineas-argentinas' },
+    { iataCode: 'AM', icaoCode: 'AMX', name: 'Aeromexico', alliance: 'skyteam', logo: 'aeromexico' },
+    { iataCode: 'UX', icaoCode: 'AEA', name: 'Air Europa', alliance: 'skyteam', logo: 'air-europa' },
+    { iataCode: 'AF', icaoCode: 'AFR', name: 'Air France', alliance: 'skyteam', logo: 'air-france' },
+    { iataCode: 'CI', icaoCode: 'CAL', name: 'China Airlines', alliance: 'skyteam', logo: 'china-airlines' },
+    { iataCode: 'MU', icaoCode: 'CES', name: 'China Eastern Airlines', alliance: 'skyteam', logo: 'china-eastern-airlines' },
+    { iataCode: 'DL', icaoCode: 'DAL', name: 'Delta Air Lines', alliance: 'skyteam', logo: 'delta-air-lines' },
+    { iataCode: 'GA', icaoCode: 'GIA', name: 'Garuda Indonesia', alliance: 'skyteam', logo: 'garuda-indonesia' },
+    { iataCode: 'KQ', icaoCode: 'KQA', name: 'Kenya Airways', alliance: 'skyteam', logo: 'kenya-airways' },
+    { iataCode: 'KL', icaoCode: 'KLM', name: 'KLM Royal Dutch Airlines', alliance: 'skyteam', logo: 'klm' },
+    { iataCode: 'KE', icaoCode: 'KAL', name: 'Korean Air', alliance: 'skyteam', logo: 'korean-air' },
+    { iataCode: 'ME', icaoCode: 'MEA', name: 'Middle East Airlines', alliance: 'skyteam', logo: 'middle-east-airlines' },
+    { iataCode: 'SK', icaoCode: 'SAS', name: 'SAS Scandinavian Airlines', alliance: 'skyteam', logo: 'sas' },
+    { iataCode: 'SV', icaoCode: 'SVA', name: 'Saudia', alliance: 'skyteam', logo: 'saudia' },
+    { iataCode: 'RO', icaoCode: 'ROT', name: 'TAROM', alliance: 'skyteam', logo: 'tarom' },
+    { iataCode: 'VN', icaoCode: 'HVN', name: 'Vietnam Airlines', alliance: 'skyteam', logo: 'vietnam-airlines' },
+    { iataCode: 'VS', icaoCode: 'VIR', name: 'Virgin Atlantic', alliance: 'skyteam', logo: 'virgin-atlantic' },
+    { iataCode: 'MF', icaoCode: 'CXA', name: 'Xiamen Airlines', alliance: 'skyteam', logo: 'xiamen-airlines' },
+
+    // Not in an alliance
+    { iataCode: 'EK', icaoCode: 'UAE', name: 'Emirates', alliance: null, logo: 'emirates' },
+    { iataCode: 'EY', icaoCode: 'ETD', name: 'Etihad Airways', alliance: null, logo: 'etihad-airways' },
+    { iataCode: 'WN', icaoCode: 'SWA', name: 'Southwest Airlines', alliance: null, logo: 'southwest-airlines' },
+    { iataCode: 'B6', icaoCode: 'JBU', name: 'JetBlue Airways', alliance: null, logo: 'jetblue-airways' },
+    { iataCode: 'NK', icaoCode: 'NKS', name: 'Spirit Airlines', alliance: null, logo: 'spirit-airlines' },
+    { iataCode: 'F9', icaoCode: 'FFT', name: 'Frontier Airlines', alliance: null, logo: 'frontier-airlines' },
+    { iataCode: 'HA', icaoCode: 'HAL', name: 'Hawaiian Airlines', alliance: null, logo: 'hawaiian-airlines' },
+    { iataCode: 'WS', icaoCode: 'WJA', name: 'WestJet', alliance: null, logo: 'westjet' },
+    { iataCode: 'FR', icaoCode: 'RYR', name: 'Ryanair', alliance: null, logo: 'ryanair' },
+    { iataCode: 'U2', icaoCode: 'EZY', name: 'easyJet', alliance: null, logo: 'easyjet' },
+    { iataCode: 'W6', icaoCode: 'WZZ', name: 'Wizz Air', alliance: null, logo: 'wizz-air' },
+    { iataCode: 'VY', icaoCode: 'VLG', name: 'Vueling', alliance: null, logo: 'vueling' },
+    { iataCode: 'EW', icaoCode: 'EWG', name: 'Eurowings', alliance: null, logo: 'eurowings' },
+    { iataCode: 'DY', icaoCode: 'NOZ', name: 'Norwegian', alliance: null, logo: 'norwegian' },
+    { iataCode: 'EI', icaoCode: 'EIN', name: 'Aer Lingus', alliance: null, logo: 'aer-lingus' },
+    { iataCode: 'PC', icaoCode: 'PGT', name: 'Pegasus Airlines', alliance: null, logo: 'pegasus-airlines' },
+    { iataCode: 'LY', icaoCode: 'ELY', name: 'El Al', alliance: null, logo: 'el-al' },
+    { iataCode: 'CZ', icaoCode: 'CSN', name: 'China Southern Airlines', alliance: null, logo: 'china-southern-airlines' },
+    { iataCode: 'HU', icaoCode: 'CHH', name: 'Hainan Airlines', alliance: null, logo: 'hainan-airlines' },
+    { iataCode: 'TR', icaoCode: 'TGW', name: 'Scoot', alliance: null, logo: 'scoot' },
+    { iataCode: '3K', icaoCode: 'JSA', name: 'Jetstar Asia', alliance: null, logo: 'jetstar-asia' },
+    { iataCode: 'JQ', icaoCode: 'JST', name: 'Jetstar Airways', alliance: null, logo: 'jetstar' },
+    { iataCode: 'AK', icaoCode: 'AXM', name: 'AirAsia', alliance: null, logo: 'airasia' },
+    { iataCode: 'D7', icaoCode: 'XAX', name: 'AirAsia X', alliance: null, logo: 'airasia-x' },
+    { iataCode: '5J', icaoCode: 'CEB', name: 'Cebu Pacific', alliance: null, logo: 'cebu-pacific' },
+    { iataCode: 'PR', icaoCode: 'PAL', name: 'Philippine Airlines', alliance: null, logo: 'philippine-airlines' },
+    { iataCode: 'VJ', icaoCode: 'VJC', name: 'VietJet Air', alliance: null, logo: 'vietjet-air' },
+    { iataCode: 'FD', icaoCode: 'AIQ', name: 'Thai AirAsia', alliance: null, logo: 'thai-airasia' },
+    { iataCode: '6E', icaoCode: 'IGO', name: 'IndiGo', alliance: null, logo: 'indigo' },
+    { iataCode: 'UK', icaoCode: 'VTI', name: 'Vistara', alliance: null, logo: 'vistara' },
+    { iataCode: 'FZ', icaoCode: 'FDB', name: 'flydubai', alliance: null, logo: 'flydubai' },
+    { iataCode: 'G9', icaoCode: 'ABY', name: 'Air Arabia', alliance: null, logo: 'air-arabia' },
+    { iataCode: 'VA', icaoCode: 'VOZ', name: 'Virgin Australia', alliance: null, logo: 'virgin-australia' },
+    { iataCode: 'LA', icaoCode: 'LAN', name: 'LATAM Airlines', alliance: null, logo: 'latam-airlines' },
+    { iataCode: 'G3', icaoCode: 'GLO', name: 'GOL Linhas Aereas', alliance: null, logo: 'gol' },
+    { iataCode: 'AD', icaoCode: 'AZU', name: 'Azul Brazilian Airlines', alliance: null, logo: 'azul' },
+    { iataCode: 'AZ', icaoCode: 'ITY', name: 'ITA Airways', alliance: null, logo: 'ita-airways' }
+];
@@ -0,0 +1,47 @@
+// Flight emission factors for the CO2 estimate
+// Based on the UK government (DEFRA/DESNZ) passenger flight conversion factors,
+// in kg CO2e per passenger-km, including the radiative forcing uplift they recommend for reporting.
+
+module.exports = {
+    // Added to the great-circle distance for routing, holding and approach
+    distanceUplift: 0.08,
+
+    // Economy factor and cabin multipliers by flight length, first band that fits wins.
+    // Premium cabins take more floor space per seat, so they carry more of the emissions.
+    distanceBands: [
+        {
+            name: 'domestic',
+            maxDistanceKm: 500,
+            economyKgPerKm: 0.246,
+            cabinMultipliers: { ECONOMY: 1, PREMIUM_ECONOMY: 1, BUSINESS: 1.5, FIRST: 1.5 }
+        },
+        {
+            name: 'short-haul',
+            maxDistanceKm: 3700,
+            economyKgPerKm: 0.151,
+            cabinMultipliers: { ECONOMY: 1, PREMIUM_ECONOMY: 1.2, BUSINESS: 1.5, FIRST: 1.5 }
+        },
+        {
+            name: 'long-haul',
+            maxDistanceKm: Infinity,
+            economyKgPerKm: 0.148,
+            cabinMultipliers: { ECONOMY: 1, PREMIUM_ECONOMY: 1.6, BUSINESS: 2.9, FIRST: 4 }
+        }
+    ],
+
+    // Fuel burn of an aircraft type (IATA code, as in segment.aircraft) relative to
+    // the average fleet the factors above describe. Unlisted types count as 1.
+    aircraftAdjustments: {
+        // New-generation narrowbodies
+        '32N': 0.85, '32Q': 0.85, '31N': 0.85, '7M7': 0.85, '7M8': 0.85, '7M9': 0.85,
+        '221': 0.85, '223': 0.85, 'E2': 0.88, '290': 0.88, '295': 0.88,
+        // New-generation widebodies
+        '788': 0.8, '789': 0.8, '78X': 0.8, '359': 0.8, '351': 0.8, '339': 0.85, '338': 0.85,
+        // Older narrowbodies and widebodies
+        '757': 1.15, '75W': 1.15, '752': 1.15, '753': 1.15, '762': 1.15, '763': 1.15, '764': 1.1,
+        '744': 1.25, '74H': 1.1, '343': 1.2, '346': 1.25, '388': 1.1, 'M88': 1.25, 'M90': 1.2,
+        // Regional jets burn more per seat than turboprops on the same sector
+        'CR7': 1.15, 'CR9': 1.15, 'CRK': 1.15, 'ER4': 1.2, 'E70': 1.1, 'E75': 1.1, 'E90': 1.05, 'E95': 1.05,
+        'AT7': 0.9, 'AT5': 0.95, 'ATR': 0.9, 'DH4': 0.95
+    }
+};
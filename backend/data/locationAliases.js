@@ -0,0 +1,60 @@
+// Alternative names people search for, mapped to an airport IATA code or a
+// metro area code from metroAreas.js. Old names, local spellings and nicknames.
+
+module.exports = {
+    // Former names
+    'Bombay': 'BOM',
+    'Peking': 'PEK',
+    'Madras': 'MAA',
+    'Calcutta': 'CCU',
+    'Bangalore': 'BLR',
+    'Bengaluru': 'BLR',
+    'Saigon': 'SGN',
+    'Canton': 'CAN',
+    'Rangoon': 'RGN',
+    'Leningrad': 'LED',
+    'Constantinople': 'IST',
+    'Cochin': 'COK',
+    'Trivandrum': 'TRV',
+
+    // Local spellings
+    'Muenchen': 'MUC',
+    'Munchen': 'MUC',
+    'Koln': 'CGN',
+    'Wien': 'VIE',
+    'Praha': 'PRG',
+    'Lisboa': 'LIS',
+    'Roma': 'ROM',
+    'Milano': 'MIL',
+    'Venezia': 'VCE',
+    'Firenze': 'FLR',
+    'Napoli': 'NAP',
+    'Warszawa': 'WAW',
+    'Kobenhavn': 'CPH',
+    'Moskva': 'MOW',
+    'Beograd': 'BEG',
+    'Tokio': 'TYO',
+
+    // Cities whose airport names do not mention them
+    'Florence': 'FLR',
+    'Saint Petersburg': 'LED',
+    'St Petersburg': 'LED',
+    'Yangon': 'RGN',
+    'Kochi': 'COK',
+    'Bali': 'DPS',
+    'Denpasar': 'DPS',
+    'Goa': 'GOI',
+    'Yerevan': 'EVN',
+    'Bishkek': 'FRU',
+
+    // Nicknames and abbreviations
+    'New York City': 'NYC',
+    'Big Apple': 'NYC',
+    'Washington DC': 'WAS',
+    'Washington D C': 'WAS',
+    'LA': 'LAX',
+    'Vegas': 'LAS',
+    'Bay Area': 'SFO',
+    'HCMC': 'SGN',
+    'KL': 'KUL'
+};
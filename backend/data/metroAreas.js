@@ -0,0 +1,99 @@
+// Major cities and the airports that serve them
+// The City column of controllers/airports_cleaned.csv is misaligned for most rows
+// (LHR is listed under "Lodja"), so these entries are the source of truth for
+// major airports. Multi-airport cities use their IATA metropolitan area code.
+
+module.exports = [
+    // Europe
+    { code: 'LON', name: 'London', country: 'United Kingdom', airports: ['LHR', 'LGW', 'STN', 'LTN', 'LCY', 'SEN'] },
+    { code: 'PAR', name: 'Paris', country: 'France', airports: ['CDG', 'ORY', 'BVA'] },
+    { code: 'MIL', name: 'Milan', country: 'Italy', airports: ['MXP', 'LIN', 'BGY'] },
+    { code: 'ROM', name: 'Rome', country: 'Italy', airports: ['FCO', 'CIA'] },
+    { code: 'STO', name: 'Stockholm', country: 'Sweden', airports: ['ARN', 'BMA', 'NYO', 'VST'] },
+    { code: 'MOW', name: 'Moscow', country: 'Russia', airports: ['SVO', 'DME', 'VKO', 'ZIA'] },
+    { code: 'BER', name: 'Berlin', country: 'Germany', airports: ['TXL', 'SXF'] },
+    { code: 'IST', name: 'Istanbul', country: 'Turkey', airports: ['IST', 'SAW'] },
+    { code: 'FRA', name: 'Frankfurt', country: 'Germany', airports: ['FRA', 'HHN'] },
+    { code: 'MUC', name: 'Munich', country: 'Germany', airports: ['MUC'] },
+    { code: 'ZRH', name: 'Zurich', country: 'Switzerland', airports: ['ZRH'] },
+    { code: 'VIE', name: 'Vienna', country: 'Austria', airports: ['VIE'] },
+    { code: 'MAD', name: 'Madrid', country: 'Spain', airports: ['MAD'] },
+    { code: 'BCN', name: 'Barcelona', country: 'Spain', airports: ['BCN'] },
+    { code: 'ATH', name: 'Athens', country: 'Greece', airports: ['ATH'] },
+    { code: 'PRG', name: 'Prague', country: 'Czech Republic', airports: ['PRG'] },
+    { code: 'OPO', name: 'Porto', country: 'Portugal', airports: ['OPO'] },
+    { code: 'CPH', name: 'Copenhagen', country: 'Denmark', airports: ['CPH'] },
+    { code: 'OSL', name: 'Oslo', country: 'Norway', airports: ['OSL'] },
+    { code: 'AMS', name: 'Amsterdam', country: 'Netherlands', airports: ['AMS'] },
+
+    // North America
+    { code: 'NYC', name: 'New York', country: 'United States', airports: ['JFK', 'LGA', 'EWR'] },
+    { code: 'CHI', name: 'Chicago', country: 'United States', airports: ['ORD', 'MDW'] },
+    { code: 'WAS', name: 'Washington', country: 'United States', airports: ['IAD', 'DCA', 'BWI'] },
+    { code: 'LAX', name: 'Los Angeles', country: 'United States', airports: ['LAX', 'BUR', 'LGB', 'SNA', 'ONT'] },
+    { code: 'SFO', name: 'San Francisco', country: 'United States', airports: ['SFO', 'OAK', 'SJC'] },
+    { code: 'DFW', name: 'Dallas', country: 'United States', airports: ['DFW', 'DAL'] },
+    { code: 'HOU', name: 'Houston', country: 'United States', airports: ['IAH', 'HOU'] },
+    { code: 'MIA', name: 'Miami', country: 'United States', airports: ['MIA', 'FLL', 'PBI'] },
+    { code: 'ORL', name: 'Orlando', country: 'United States', airports: ['MCO', 'ORL'] },
+    { code: 'DTT', name: 'Detroit', country: 'United States', airports: ['DTW'] },
+    { code: 'BOS', name: 'Boston', country: 'United States', airports: ['BOS'] },
+    { code: 'ATL', name: 'Atlanta', country: 'United States', airports: ['ATL'] },
+    { code: 'LAS', name: 'Las Vegas', country: 'United States', airports: ['LAS'] },
+    { code: 'HNL', name: 'Honolulu', country: 'United States', airports: ['HNL'] },
+    { code: 'MSY', name: 'New Orleans', country: 'United States', airports: ['MSY'] },
+    { code: 'MSP', name: 'Minneapolis', country: 'United States', airports: ['MSP'] },
+    { code: 'YTO', name: 'Toronto', country: 'Canada', airports: ['YYZ', 'YTZ'] },
+    { code: 'YMQ', name: 'Montreal', country: 'Canada', airports: ['YUL', 'YMX'] },
+    { code: 'MEX', name: 'Mexico City', country: 'Mexico', airports: ['MEX'] },
+
+    // South America
+    { code: 'SAO', name: 'Sao Paulo', country: 'Brazil', airports: ['GRU', 'CGH', 'VCP'] },
+    { code: 'RIO', name: 'Rio de Janeiro', country: 'Brazil', airports: ['GIG', 'SDU'] },
+    { code: 'BHZ', name: 'Belo Horizonte', country: 'Brazil', airports: ['CNF', 'PLU'] },
+    { code: 'BSB', name: 'Brasilia', country: 'Brazil', airports: ['BSB'] },
+    { code: 'BUE', name: 'Buenos Aires', country: 'Argentina', airports: ['EZE', 'AEP'] },
+    { code: 'SCL', name: 'Santiago', country: 'Chile', airports: ['SCL'] },
+    { code: 'LIM', name: 'Lima', country: 'Peru', airports: ['LIM'] },
+    { code: 'BOG', name: 'Bogota', country: 'Colombia', airports: ['BOG'] },
+
+    // Asia
+    { code: 'TYO', name: 'Tokyo', country: 'Japan', airports: ['HND', 'NRT'] },
+    { code: 'OSA', name: 'Osaka', country: 'Japan', airports: ['KIX', 'ITM', 'UKB'] },
+    { code: 'SEL', name: 'Seoul', country: 'South Korea', airports: ['ICN', 'GMP'] },
+    { code: 'BJS', name: 'Beijing', country: 'China', airports: ['PEK', 'PKX'] },
+    { code: 'SHA', name: 'Shanghai', country: 'China', airports: ['PVG', 'SHA'] },
+    { code: 'TPE', name: 'Taipei', country: 'Taiwan', airports: ['TPE', 'TSA'] },
+    { code: 'SIN', name: 'Singapore', country: 'Singapore', airports: ['SIN'] },
+    { code: 'HKG', name: 'Hong Kong', country: 'Hong Kong', airports: ['HKG'] },
+    { code: 'BKK', name: 'Bangkok', country: 'Thailand', airports: ['BKK', 'DMK'] },
+    { code: 'JKT', name: 'Jakarta', country: 'Indonesia', airports: ['CGK', 'HLP'] },
+    { code: 'KUL', name: 'Kuala Lumpur', country: 'Malaysia', airports: ['KUL', 'SZB'] },
+    { code: 'MNL', name: 'Manila', country: 'Philippines', airports: ['MNL'] },
+    { code: 'HAN', name: 'Hanoi', country: 'Vietnam', airports: ['HAN'] },
+    { code: 'SGN', name: 'Ho Chi Minh City', country: 'Vietnam', airports: ['SGN'] },
+    { code: 'BOM', name: 'Mumbai', country: 'India', airports: ['BOM'] },
+    { code: 'DEL', name: 'Delhi', country: 'India', airports: ['DEL'] },
+    { code: 'BLR', name: 'Bangalore', country: 'India', airports: ['BLR'] },
+    { code: 'CCU', name: 'Kolkata', country: 'India', airports: ['CCU'] },
+    { code: 'HYD', name: 'Hyderabad', country: 'India', airports: ['HYD'] },
+    { code: 'KHI', name: 'Karachi', country: 'Pakistan', airports: ['KHI'] },
+    { code: 'LHE', name: 'Lahore', country: 'Pakistan', airports: ['LHE'] },
+    { code: 'DAC', name: 'Dhaka', country: 'Bangladesh', airports: ['DAC'] },
+    { code: 'CMB', name: 'Colombo', country: 'Sri Lanka', airports: ['CMB'] },
+    { code: 'KTM', name: 'Kathmandu', country: 'Nepal', airports: ['KTM'] },
+    { code: 'GYD', name: 'Baku', country: 'Azerbaijan', airports: ['GYD'] },
+
+    // Middle East and Africa
+    { code: 'DXB', name: 'Dubai', country: 'United Arab Emirates', airports: ['DXB', 'DWC'] },
+    { code: 'DOH', name: 'Doha', country: 'Qatar', airports: ['DOH'] },
+    { code: 'TLV', name: 'Tel Aviv', country: 'Israel', airports: ['TLV'] },
+    { code: 'RUH', name: 'Riyadh', country: 'Saudi Arabia', airports: ['RUH'] },
+    { code: 'JED', name: 'Jeddah', country: 'Saudi Arabia', airports: ['JED'] },
+    { code: 'JNB', name: 'Johannesburg', country: 'South Africa', airports: ['JNB'] },
+    { code: 'CAI', name: 'Cairo', country: 'Egypt', airports: ['CAI'] },
+
+    // Oceania
+    { code: 'SYD', name: 'Sydney', country: 'Australia', airports: ['SYD'] },
+    { code: 'MEL', name: 'Melbourne', country: 'Australia', airports: ['MEL'] }
+];
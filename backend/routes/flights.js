@@ -10,29 +10,71 @@ try {
     // Create placeholder functions
     flightController = {
         searchFlights: (req, res) => res.status(501).json({ error: 'Flight search not implemented yet' }),
+        searchFlightsStream: (req, res) => res.status(501).json({ error: 'Flight search not implemented yet' }),
+        searchGroupFlights: (req, res) => res.status(501).json({ error: 'Group flight search not implemented yet' }),
+        getFlightInspiration: (req, res) => res.status(501).json({ error: 'Flight inspiration not implemented yet' }),
+        getCheapestDates: (req, res) => res.status(501).json({ error: 'Cheapest dates not implemented yet' }),
+        getAirlines: (req, res) => res.status(501).json({ error: 'Get airlines not implemented yet' }),
         getAirports: (req, res) => res.status(501).json({ error: 'Get airports not implemented yet' }),
         getAirportsByLocation: (req, res) => res.status(501).json({ error: 'Airport location search not implemented yet' }),
         getAirportByCode: (req, res) => res.status(501).json({ error: 'Airport by code not implemented yet' }),
         getAirportsByCity: (req, res) => res.status(501).json({ error: 'Airports by city not implemented yet' }),
         getFlightOffer: (req, res) => res.status(501).json({ error: 'Flight offer not implemented yet' }),
-        getFlightStatus: (req, res) => res.status(501).json({ error: 'Flight status not implemented yet' })
+        getFlightOfferSeatMap: (req, res) => res.status(501).json({ error: 'Seat maps not implemented yet' }),
+        createFlightOrder: (req, res) => res.status(501).json({ error: 'Flight booking not implemented yet' }),
+        getFlightOrder: (req, res) => res.status(501).json({ error: 'Flight order not implemented yet' }),
+        cancelFlightOrder: (req, res) => res.status(501).json({ error: 'Flight order cancellation not implemented yet' }),
+        getFlightStatus: (req, res) => res.status(501).json({ error: 'Flight status not implemented yet' }),
+        streamFlightStatus: (req, res) => res.status(501).json({ error: 'Flight status stream not implemented yet' })
     };
 }
 
 // Search flights
 // GET /api/flights/search?origin=LAX&destination=JFK&departureDate=2025-07-01&returnDate=2025-07-08&passengers=2
+// Connection filters: minLayover, maxLayover, maxTotalDuration (minutes or PT2H30M),
+// avoidOvernightLayover, avoidAirportChange, connectionAirports, avoidConnectionAirports
+// Fare filters: checkedBags (minimum included), cabin (ECONOMY|PREMIUM_ECONOMY|BUSINESS|FIRST)
+// Emissions: maxCo2 (kg per passenger)
+// Carriers: alliance=star|oneworld|skyteam
+// Order and pages: sort=price|duration|departure|arrival|co2|score (durationWeight 0-100), pageSize
+// Next page: GET /api/flights/search?cursor=...  Re-sort: GET /api/flights/search?searchId=...&sort=duration
 router.get('/search', flightController.searchFlights);
 
 // Alternative POST route for complex flight searches
 // POST /api/flights/search
+// Multi-city: POST /api/flights/search { originDestinations: [{ origin, destination, departureDate }, ...] }
+// Travelers: POST { ..., travelers: [{ type: 'adult' }, { type: 'child', age: 3 }, { type: 'infant', age: 1, seated: false }] }
+// (types adult|senior|young|student|child|infant; at most 9 seated, no more infants than adults)
 router.post('/search', flightController.searchFlights);
 
+// Streaming flight search (NDJSON progress events per upstream search, then a summary)
+// GET /api/flights/search/stream?origin=SIN&destination=LHR&departureDate=2025-07-01&flexDays=2
+router.get('/search/stream', flightController.searchFlightsStream);
+router.post('/search/stream', flightController.searchFlightsStream);
+
+// Cheapest destinations from an origin ("Anywhere" searches), enriched with city names and coordinates
+// GET /api/flights/inspiration?origin=SIN&maxPrice=400&departureWindow=2025-07-01,2025-07-31&duration=3,10&oneWay=false&nonStop=false
+router.get('/inspiration', flightController.getFlightInspiration);
+
+// Lowest fare per day of a month on one route (round trip when duration is given)
+// GET /api/flights/cheapest-dates?origin=SIN&destination=BKK&month=2025-07&duration=3,7&nonStop=false
+router.get('/cheapest-dates', flightController.getCheapestDates);
+
+// Group search for parties above 9: split into sub-groups, searched in parallel, combined on common flights
+// POST /api/flights/search/group { origin, destination, departureDate, returnDate, groupSize: 25 } (or travelers: [...])
+router.get('/search/group', flightController.searchGroupFlights);
+router.post('/search/group', flightController.searchGroupFlights);
+
+// Airline names, codes and alliances (local dataset merged with carriers seen in searches)
+// GET /api/flights/airlines?alliance=star&q=singapore&codes=SQ,TR
+router.get('/airlines', flightController.getAirlines);
+
 // Get all airports (with optional filters)
 // GET /api/flights/airports?keyword=New York&country=USA&max=10
 router.get('/airports', flightController.getAirports);
 
 // Search airports by location
-// GET /api/flights/airports/location?latitude=40.7128&longitude=-74.0060&radius=100
+// GET /api/flights/airports/location?latitude=40.7128&longitude=-74.0060&radius=100&limit=5&scheduledOnly=true
 router.get('/airports/location', flightController.getAirportsByLocation);
 
 // Get specific airport by IATA/ICAO code
@@ -44,12 +86,30 @@ router.get('/airports/:code', flightController.getAirportByCode);
 // GET /api/flights/airports/city/New York?country=USA
 router.get('/airports/city/:city', flightController.getAirportsByCity);
 
-// Get flight offers (if using Amadeus flight offers)
-// GET /api/flights/offers/:offerId
+// Confirm the price of an offer from a previous search
+// GET /api/flights/offers/:offerId?searchId=...&include=detailed-fare-rules
 router.get('/offers/:offerId', flightController.getFlightOffer);
 
+// Seat maps of an offer from a previous search, as rows and columns of seats
+// GET /api/flights/offers/:offerId/seatmap?searchId=...&seatPreference=aisle (or &userId=... to use the profile)
+router.get('/offers/:offerId/seatmap', flightController.getFlightOfferSeatMap);
+
+// Book a priced flight offer
+// POST /api/flights/orders
+router.post('/orders', flightController.createFlightOrder);
+
+// Get or cancel a flight order
+// GET /api/flights/orders/:orderId
+router.get('/orders/:orderId', flightController.getFlightOrder);
+// DELETE /api/flights/orders/:orderId
+router.delete('/orders/:orderId', flightController.cancelFlightOrder);
+
 // Get flight status
 // GET /api/flights/status?carrier=AA&flight=100&date=2025-07-01
 router.get('/status', flightController.getFlightStatus);
 
+// Live flight status over Server-Sent Events ('snapshot', then 'update' events with changed fields)
+// GET /api/flights/status/stream?carrier=AA&flight=100&date=2025-07-01
+router.get('/status/stream', flightController.streamFlightStatus);
+
 module.exports = router;
\ No newline at end of file
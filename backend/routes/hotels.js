@@ -10,8 +10,10 @@ try {
     // Create placeholder functions
     hotelController = {
         searchHotels: (req, res) => res.status(501).json({ error: 'Hotel search not implemented yet' }),
+        searchHotelsStream: (req, res) => res.status(501).json({ error: 'Hotel search not implemented yet' }),
         getHotelDetails: (req, res) => res.status(501).json({ error: 'Hotel details not implemented yet' }),
         searchHotelsByLocation: (req, res) => res.status(501).json({ error: 'Hotel location search not implemented yet' }),
+        searchHotelsNearAirport: (req, res) => res.status(501).json({ error: 'Hotels near airport not implemented yet' }),
         getHotelsByCity: (req, res) => res.status(501).json({ error: 'Hotels by city not implemented yet' }),
         getHotelRatings: (req, res) => res.status(501).json({ error: 'Hotel ratings not implemented yet' }),
         createHotelBooking: (req, res) => res.status(501).json({ error: 'Hotel booking not implemented yet' }),
@@ -22,14 +24,24 @@ try {
 
 // Search hotels - GET and POST
 // GET /api/hotels/search?city=Paris&country=France&checkIn=2025-07-01&checkOut=2025-07-05
+// Order and pages: sort=price, pageSize; next page: ?cursor=...; re-sort: ?searchId=...&sort=price
 router.get('/search', hotelController.searchHotels);
-// POST /api/hotels/search
+// POST /api/hotels/search (travelers: [{ type: 'adult' }, { type: 'child', age: 11 }] are shared across the rooms)
 router.post('/search', hotelController.searchHotels);
 
-// Search hotels by location (coordinates)
+// Streaming hotel search (NDJSON events as each Amadeus call completes, then a summary)
+// GET /api/hotels/search/stream?city=Paris&checkIn=2025-07-01&checkOut=2025-07-05
+router.get('/search/stream', hotelController.searchHotelsStream);
+router.post('/search/stream', hotelController.searchHotelsStream);
+
+// Search hotels by location (coordinates), nearest first
 // GET /api/hotels/location?latitude=40.7128&longitude=-74.0060&radius=50&checkIn=2025-07-01&checkOut=2025-07-05
 router.get('/location', hotelController.searchHotelsByLocation);
 
+// Hotels near an airport (IATA code), nearest first
+// GET /api/hotels/airport/JFK?radius=10&checkIn=2025-07-01&checkOut=2025-07-05
+router.get('/airport/:code', hotelController.searchHotelsNearAirport);
+
 // Get hotels by city
 // GET /api/hotels/city/Paris?country=France&checkIn=2025-07-01&checkOut=2025-07-05
 router.get('/city/:city', hotelController.getHotelsByCity);
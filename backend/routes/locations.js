@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controller - but handle missing controllers gracefully
+let locationController;
+try {
+    locationController = require('../controllers/locationController');
+} catch (error) {
+    console.warn('⚠️  locationController not found, using placeholder functions');
+    // Create placeholder functions
+    locationController = {
+        autocompleteLocations: (req, res) => res.status(501).json({ error: 'Location autocomplete not implemented yet' })
+    };
+}
+
+// Airport and city autocomplete (offline, no database round trip)
+// GET /api/locations/autocomplete?q=bombay&limit=10&type=airport
+router.get('/autocomplete', locationController.autocompleteLocations);
+
+module.exports = router;
@@ -10,6 +10,7 @@ try {
     // Create placeholder functions
     routeController = {
         calculateOptimalRoute: (req, res) => res.status(501).json({ error: 'Route calculation not implemented yet' }),
+        calculateOptimalRouteStream: (req, res) => res.status(501).json({ error: 'Route calculation not implemented yet' }),
         getDirectRoute: (req, res) => res.status(501).json({ error: 'Direct route not implemented yet' }),
         getCachedRoute: (req, res) => res.status(501).json({ error: 'Cached route not implemented yet' }),
         saveCachedRoute: (req, res) => res.status(501).json({ error: 'Save route not implemented yet' }),
@@ -29,6 +30,10 @@ try {
 // POST /api/routes/calculate
 router.post('/calculate', routeController.calculateOptimalRoute);
 
+// Same calculation, streamed as NDJSON: one event per segment, then a summary
+// POST /api/routes/calculate/stream
+router.post('/calculate/stream', routeController.calculateOptimalRouteStream);
+
 // Get direct route between two points
 // GET /api/routes/direct?originCode=LAX&destCode=JFK&date=2025-07-01&passengers=1
 router.get('/direct', routeController.getDirectRoute);
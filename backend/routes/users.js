@@ -25,6 +25,20 @@ try {
     };
 }
 
+let priceWatchController;
+try {
+    priceWatchController = require('../controllers/priceWatchController');
+} catch (error) {
+    console.warn('⚠️  priceWatchController not found, using placeholder functions');
+    priceWatchController = {
+        createPriceWatch: (req, res) => res.status(501).json({ error: 'Price watches not implemented yet' }),
+        getPriceWatches: (req, res) => res.status(501).json({ error: 'Price watches not implemented yet' }),
+        getPriceWatchHistory: (req, res) => res.status(501).json({ error: 'Price watch history not implemented yet' }),
+        deletePriceWatch: (req, res) => res.status(501).json({ error: 'Price watches not implemented yet' }),
+        getNotifications: (req, res) => res.status(501).json({ error: 'Notifications not implemented yet' })
+    };
+}
+
 // User location management
 
 // Get all user locations
@@ -73,6 +87,28 @@ router.delete('/:userId/search-history/:searchId', userController.deleteUserSear
 // DELETE /api/users/123/search-history
 router.delete('/:userId/search-history', userController.clearUserSearchHistory);
 
+// Price watches
+
+// Watch a route for price drops
+// POST /api/users/123/price-watches { origin, destination, departureDateFrom, departureDateTo, tripLength, targetPrice }
+router.post('/:userId/price-watches', priceWatchController.createPriceWatch);
+
+// Get all price watches of a user
+// GET /api/users/123/price-watches
+router.get('/:userId/price-watches', priceWatchController.getPriceWatches);
+
+// Get the observed prices of a watch, for charting
+// GET /api/users/123/price-watches/456/history
+router.get('/:userId/price-watches/:watchId/history', priceWatchController.getPriceWatchHistory);
+
+// Stop watching a route
+// DELETE /api/users/123/price-watches/456
+router.delete('/:userId/price-watches/:watchId', priceWatchController.deletePriceWatch);
+
+// Get price alerts and other notifications
+// GET /api/users/123/notifications?limit=50
+router.get('/:userId/notifications', priceWatchController.getNotifications);
+
 // User preferences and profile
 
 // Get user profile/preferences
@@ -174,18 +174,32 @@ app.get('/api', (req, res) => {
             test: 'GET /test - Basic server test',
             database: 'GET /test-db - Database connection test',
             flights: {
-                search: 'GET|POST /api/flights/search - Search flights',
+                search: 'GET|POST /api/flights/search - Search flights (POST with originDestinations for multi-city, ?cursor= for more pages)',
+                searchStream: 'GET|POST /api/flights/search/stream - Search flights, streamed as NDJSON',
+                groupSearch: 'GET|POST /api/flights/search/group - Flights for parties above 9, split into bookable sub-groups',
+                inspiration: 'GET /api/flights/inspiration?origin= - Cheapest destinations from an origin',
+                cheapestDates: 'GET /api/flights/cheapest-dates?origin=&destination=&month= - Lowest fare per day of a month',
+                airlines: 'GET /api/flights/airlines - Airline names and alliances',
                 airports: 'GET /api/flights/airports - Search airports',
-                airportsByLocation: 'GET /api/flights/airports/location - Airports near coordinates',
+                airportsByLocation: 'GET /api/flights/airports/location - Nearest airports to coordinates',
                 airportByCode: 'GET /api/flights/airports/{code} - Get specific airport',
                 airportsByCity: 'GET /api/flights/airports/city/{city} - Airports in city',
                 flightStatus: 'GET /api/flights/status - Real-time flight status',
-                offers: 'GET /api/flights/offers/{id} - Flight offer details'
+                flightStatusStream: 'GET /api/flights/status/stream - Live flight status (Server-Sent Events)',
+                offers: 'GET /api/flights/offers/{id}?searchId= - Confirm price of a searched offer',
+                seatMap: 'GET /api/flights/offers/{id}/seatmap?searchId= - Seat map of a searched offer',
+                orders: 'POST /api/flights/orders - Book a priced offer',
+                order: 'GET|DELETE /api/flights/orders/{id} - Get or cancel a flight order'
+            },
+            locations: {
+                autocomplete: 'GET /api/locations/autocomplete?q= - Airport and city autocomplete'
             },
             hotels: {
-                search: 'GET|POST /api/hotels/search - Search hotels',
+                search: 'GET|POST /api/hotels/search - Search hotels (?cursor= for more pages)',
+                searchStream: 'GET|POST /api/hotels/search/stream - Search hotels, streamed as NDJSON',
                 details: 'GET /api/hotels/{id} - Get hotel details',
-                byLocation: 'GET /api/hotels/location - Hotels near coordinates',
+                byLocation: 'GET /api/hotels/location - Hotels near coordinates, nearest first',
+                nearAirport: 'GET /api/hotels/airport/{code} - Hotels near an airport',
                 byCity: 'GET /api/hotels/city/{city} - Hotels in city',
                 ratings: 'GET /api/hotels/ratings - Hotel ratings and reviews',
                 booking: 'POST /api/hotels/booking - Create hotel booking',
@@ -194,6 +208,7 @@ app.get('/api', (req, res) => {
             },
             routes: {
                 calculate: 'POST /api/routes/calculate - Calculate optimal route',
+                calculateStream: 'POST /api/routes/calculate/stream - Calculate route, streamed as NDJSON',
                 direct: 'GET /api/routes/direct - Direct route between points',
                 cached: 'GET|POST /api/routes/cached - Cached route management',
                 optimize: 'POST /api/routes/optimize - Multi-destination optimization',
@@ -205,6 +220,9 @@ app.get('/api', (req, res) => {
                 locations: 'GET|POST /api/users/{id}/locations - User saved locations',
                 favorites: 'GET|POST /api/users/{id}/favorites - User favorites',
                 searchHistory: 'GET|POST /api/users/{id}/search-history - Search history',
+                priceWatches: 'GET|POST /api/users/{id}/price-watches - Price drop alerts for a route',
+                priceHistory: 'GET /api/users/{id}/price-watches/{watchId}/history - Observed prices of a watch',
+                notifications: 'GET /api/users/{id}/notifications - Price alerts',
                 profile: 'GET|PUT /api/users/{id}/profile - User profile'
             }
         },
@@ -218,6 +236,7 @@ app.get('/api', (req, res) => {
             flightSearch: 'GET /api/flights/search?origin=LAX&destination=JFK&departureDate=2025-07-01&adults=2',
             hotelSearch: 'GET /api/hotels/search?city=Paris&country=France&checkIn=2025-07-01&checkOut=2025-07-05&adults=2',
             airportSearch: 'GET /api/flights/airports?keyword=New York&max=10',
+            locationAutocomplete: 'GET /api/locations/autocomplete?q=bombay',
             routeCalculation: 'POST /api/routes/calculate (with JSON body)'
         }
     });
@@ -226,7 +245,7 @@ app.get('/api', (req, res) => {
 // Import route modules with error handling
 console.log('📁 Loading route modules...');
 
-let hotelRoutes, flightRoutes, userRoutes, routeRoutes;
+let hotelRoutes, flightRoutes, locationRoutes, userRoutes, routeRoutes;
 
 try {
     hotelRoutes = require('./routes/hotels');
@@ -253,6 +272,15 @@ try {
     flightRoutes.get('/status', (req, res) => res.status(501).json({ error: 'Flight routes not implemented yet' }));
 }
 
+try {
+    locationRoutes = require('./routes/locations');
+    console.log('✅ Location routes loaded');
+} catch (error) {
+    console.warn('⚠️  Location routes not found, creating fallback router');
+    locationRoutes = express.Router();
+    locationRoutes.get('/autocomplete', (req, res) => res.status(501).json({ error: 'Location routes not implemented yet' }));
+}
+
 try {
     userRoutes = require('./routes/users');
     console.log('✅ User routes loaded');
@@ -293,6 +321,13 @@ try {
     console.error('❌ Failed to mount flight routes:', error.message);
 }
 
+try {
+    app.use('/api/locations', locationRoutes);
+    console.log('✅ Location routes mounted at /api/locations');
+} catch (error) {
+    console.error('❌ Failed to mount location routes:', error.message);
+}
+
 try {
     app.use('/api/users', userRoutes);
     console.log('✅ User routes mounted at /api/users');
@@ -394,6 +429,15 @@ app.listen(PORT, () => {
         console.log('💡 Add AMADEUS_CLIENT_ID and AMADEUS_CLIENT_SECRET to enable full functionality');
     }
     
+    // Price watches need both a database and flight search
+    if (process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY && process.env.AMADEUS_CLIENT_ID && process.env.AMADEUS_CLIENT_SECRET) {
+        try {
+            require('./services/priceWatchService').startScheduler();
+        } catch (error) {
+            console.warn('⚠️  Price watch scheduler not started:', error.message);
+        }
+    }
+    
     console.log('====================================');
     console.log('✅ Server is ready and listening!');
 });
@@ -0,0 +1,95 @@
+// Airline reference data
+// The local dataset (data/airlines.js) is merged with the carrier names Amadeus returns in
+// the dictionaries of live searches, so carriers we do not list still get a name.
+
+const airlines = require('../data/airlines');
+
+const ALLIANCES = {
+    star: 'Star Alliance',
+    oneworld: 'oneworld',
+    skyteam: 'SkyTeam'
+};
+
+const localByIata = new Map(airlines.map(airline => [airline.iataCode, airline]));
+
+// Names learned from Amadeus dictionaries, for carriers missing from the dataset
+const liveNames = new Map();
+
+// Amadeus returns names in capitals ("SINGAPORE AIRLINES"); title-case them for display
+const toDisplayName = (name) => String(name)
+    .toLowerCase()
+    .replace(/\b([a-z])/g, letter => letter.toUpperCase());
+
+const toAirline = (code) => {
+    const local = localByIata.get(code);
+    if (local) return { ...local, allianceName: local.alliance ? ALLIANCES[local.alliance] : null, source: 'local' };
+
+    const liveName = liveNames.get(code);
+    if (liveName) return { iataCode: code, icaoCode: null, name: liveName, alliance: null, allianceName: null, logo: null, source: 'amadeus' };
+
+    return null;
+};
+
+/**
+ * Remember carrier names from an Amadeus dictionaries.carriers object ({ SQ: 'SINGAPORE AIRLINES' })
+ */
+const mergeCarrierDictionary = (carriers) => {
+    Object.entries(carriers || {}).forEach(([code, name]) => {
+        if (!localByIata.has(code) && name) liveNames.set(code, toDisplayName(name));
+    });
+};
+
+/**
+ * Normalise an alliance name ("Star Alliance", "star", "SkyTeam") to its key, or null
+ */
+const parseAlliance = (value) => {
+    const normalized = String(value || '').toLowerCase().replace(/[^a-z]/g, '').replace(/alliance$/, '');
+    return ALLIANCES[normalized] ? normalized : null;
+};
+
+/**
+ * Get an airline by IATA code
+ */
+const getAirline = (code) => toAirline(String(code || '').toUpperCase());
+
+/**
+ * Get airlines, local dataset first, then carriers learned from live searches
+ * @param {Object} options - { alliance, query (name or code), codes }
+ */
+const getAirlines = (options = {}) => {
+    const { alliance, query, codes } = options;
+
+    let results = codes
+        ? codes.map(getAirline).filter(Boolean)
+        : [...localByIata.keys(), ...liveNames.keys()].map(toAirline);
+
+    if (alliance) {
+        results = results.filter(airline => airline.alliance === alliance);
+    }
+
+    if (query) {
+        const search = String(query).toLowerCase();
+        results = results.filter(airline =>
+            airline.iataCode.toLowerCase() === search ||
+            (airline.icaoCode || '').toLowerCase() === search ||
+            airline.name.toLowerCase().includes(search)
+        );
+    }
+
+    return results;
+};
+
+/**
+ * Whether every carrier code belongs to the alliance
+ */
+const allInAlliance = (carrierCodes, alliance) =>
+    carrierCodes.every(code => localByIata.get(code)?.alliance === alliance);
+
+module.exports = {
+    ALLIANCES,
+    mergeCarrierDictionary,
+    parseAlliance,
+    getAirline,
+    getAirlines,
+    allInAlliance
+};
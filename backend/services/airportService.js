@@ -0,0 +1,311 @@
+// Offline airport directory
+// Loads controllers/airports_cleaned.csv once and answers airport lookups in-process,
+// so code and city lookups no longer need a (paid) Amadeus call.
+
+const fs = require('fs');
+const path = require('path');
+const countryCodes = require('../data/countries');
+const metroAreas = require('../data/metroAreas');
+const { calculateDistance, toUnitVector, chordLength } = require('../utils/geo');
+const { createKdTree } = require('../utils/kdTree');
+const { isValidTimeZone } = require('../utils/timeZone');
+
+const AIRPORTS_CSV = path.join(__dirname, '../controllers/airports_cleaned.csv');
+
+let directory = null;
+
+// Lowercase and strip accents so "Zürich" matches "zurich"
+const normalizeText = (value) => String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+// Split one CSV line, honouring quoted fields and "" escapes
+const parseCsvLine = (line) => {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    fields.push(field);
+    return fields;
+};
+
+// The dataset uses \N for missing values
+const csvValue = (value) => (value === undefined || value === '' || value === '\\N' ? null : value);
+
+const TIME_ZONE_INFERENCE_RADIUS_KM = 300;
+
+// The dataset has no scheduled-service column; these kinds of fields rarely see airline traffic
+const NON_SCHEDULED_NAME_PATTERN = /\b(air base|air force|army|naval|military|heliport|seaplane base|airstrip)\b/i;
+
+const addToIndex = (index, key, airport) => {
+    if (!key) return;
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(airport);
+};
+
+/**
+ * Parse the CSV and build the lookup indexes
+ * Runs once, on first use
+ */
+const loadDirectory = () => {
+    if (directory) return directory;
+
+    const metroByAirport = new Map();
+    metroAreas.forEach(metro => {
+        metro.airports.forEach(code => metroByAirport.set(code, metro));
+    });
+
+    const lines = fs.readFileSync(AIRPORTS_CSV, 'utf8').split(/\r?\n/).filter(Boolean);
+    const airports = [];
+
+    lines.slice(1).forEach(line => {
+        const [airportId, name, csvCity, country, iata, icao, latitude, longitude, altitude, utcOffset, , timeZone] = parseCsvLine(line);
+        if (!csvValue(iata)) return;
+
+        // The City column is misaligned for most rows, so only trust it when the
+        // airport name agrees; curated metro areas take precedence
+        const metro = metroByAirport.get(iata);
+        const cityFromCsv = csvValue(csvCity) && normalizeText(name).includes(normalizeText(csvCity)) ? csvCity : null;
+
+        airports.push({
+            id: airportId,
+            name,
+            iataCode: iata,
+            icaoCode: csvValue(icao),
+            type: 'AIRPORT',
+            city: metro ? metro.name : cityFromCsv,
+            cityCode: metro ? metro.code : null,
+            country,
+            countryCode: countryCodes[country] || null,
+            coordinates: {
+                latitude: parseFloat(latitude),
+                longitude: parseFloat(longitude)
+            },
+            altitude: csvValue(altitude) !== null ? parseInt(altitude) : null,
+            timeZone: isValidTimeZone(csvValue(timeZone)) ? timeZone : null,
+            utcOffsetHours: csvValue(utcOffset) !== null ? parseFloat(utcOffset) : null,
+            scheduledService: Boolean(metro) || !NON_SCHEDULED_NAME_PATTERN.test(name)
+        });
+    });
+
+    const byIata = new Map();
+    const byIcao = new Map();
+    const byCity = new Map();
+    const byCountry = new Map();
+
+    airports.forEach(airport => {
+        byIata.set(airport.iataCode, airport);
+        if (airport.icaoCode) byIcao.set(airport.icaoCode, airport);
+        addToIndex(byCity, normalizeText(airport.city), airport);
+        addToIndex(byCountry, normalizeText(airport.country), airport);
+        if (airport.countryCode) addToIndex(byCountry, airport.countryCode.toLowerCase(), airport);
+    });
+
+    // Nearest-airport queries run on unit vectors so distances work across the poles and the antimeridian
+    const spatialIndex = createKdTree(airports
+        .filter(airport => Number.isFinite(airport.coordinates.latitude) && Number.isFinite(airport.coordinates.longitude))
+        .map(airport => ({
+            vector: toUnitVector(airport.coordinates.latitude, airport.coordinates.longitude),
+            item: airport
+        })));
+
+    // Some rows have no tz database zone (IST, DOH, ...); borrow the zone of the nearest
+    // airport in the same country, which keeps DST rules a fixed offset would miss
+    airports.filter(airport => !airport.timeZone).forEach(airport => {
+        const { latitude, longitude } = airport.coordinates;
+        if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return;
+
+        const [neighbour] = spatialIndex.nearest(toUnitVector(latitude, longitude), {
+            k: 1,
+            maxDistance: chordLength(TIME_ZONE_INFERENCE_RADIUS_KM),
+            filter: other => other.timeZone && other.country === airport.country
+        });
+        if (neighbour) {
+            airport.timeZone = neighbour.item.timeZone;
+            airport.timeZoneInferred = true;
+        }
+    });
+
+    directory = { airports, byIata, byIcao, byCity, byCountry, spatialIndex };
+    console.log(`✈️ Airport directory loaded: ${airports.length} airports`);
+
+    return directory;
+};
+
+/**
+ * Get every airport in the directory
+ */
+const getAllAirports = () => loadDirectory().airports;
+
+/**
+ * Get an airport by IATA code (e.g. "LHR")
+ */
+const getAirportByIata = (code) => loadDirectory().byIata.get(String(code || '').toUpperCase()) || null;
+
+/**
+ * Get an airport by ICAO code (e.g. "EGLL")
+ */
+const getAirportByIcao = (code) => loadDirectory().byIcao.get(String(code || '').toUpperCase()) || null;
+
+/**
+ * Get an airport by code
+ * @param {string} code - IATA or ICAO code
+ * @param {string} type - 'iata' or 'icao'
+ */
+const getAirportByCode = (code, type = 'iata') => (
+    type === 'icao' ? getAirportByIcao(code) : getAirportByIata(code)
+);
+
+/**
+ * Get a city or airport by IATA code, such as the destinations of an inspiration search
+ * Metro area codes ("PAR") give the city, placed at its main airport
+ * @returns {Object|null} { code, type: 'CITY' | 'AIRPORT', name, city, country, countryCode, coordinates, airports }
+ */
+const getLocationByCode = (code) => {
+    const upperCode = String(code || '').toUpperCase();
+    const metro = metroAreas.find(area => area.code === upperCode);
+
+    if (metro) {
+        const mainAirport = getAirportByIata(metro.airports[0]);
+        return {
+            code: upperCode,
+            type: 'CITY',
+            name: metro.name,
+            city: metro.name,
+            country: metro.country,
+            countryCode: countryCodes[metro.country] || null,
+            coordinates: mainAirport ? mainAirport.coordinates : null,
+            airports: metro.airports
+        };
+    }
+
+    const airport = getAirportByIata(upperCode);
+    if (!airport) return null;
+
+    return {
+        code: upperCode,
+        type: 'AIRPORT',
+        name: airport.name,
+        city: airport.city,
+        country: airport.country,
+        countryCode: airport.countryCode,
+        coordinates: airport.coordinates,
+        airports: [upperCode]
+    };
+};
+
+/**
+ * Get what is known about an airport's time zone
+ * @returns {Object|null} { timeZone } IANA zone, { offsetMinutes } fixed offset, or null when unknown
+ */
+const getAirportTimeZone = (code) => {
+    const airport = getAirportByIata(code);
+    if (!airport) return null;
+    if (airport.timeZone) return { timeZone: airport.timeZone };
+    if (Number.isFinite(airport.utcOffsetHours)) return { offsetMinutes: Math.round(airport.utcOffsetHours * 60) };
+    return null;
+};
+
+/**
+ * Get airports in a country
+ * @param {string} country - Country name or ISO alpha-2 code
+ */
+const getAirportsByCountry = (country) => loadDirectory().byCountry.get(normalizeText(country)) || [];
+
+/**
+ * Get airports serving a city
+ * Matches the city (or its metro area code, e.g. "LON"), then airports named
+ * after the city, e.g. "Hamburg Airport"
+ * @param {string} city - City name or metro area code
+ * @param {Object} options - { country } name or ISO alpha-2 code
+ */
+const getAirportsByCity = (city, options = {}) => {
+    const { airports, byCity } = loadDirectory();
+    const query = normalizeText(city);
+    if (!query) return [];
+
+    const metro = metroAreas.find(area =>
+        area.code === String(city).toUpperCase().trim() || normalizeText(area.name) === query
+    );
+    let matches = metro
+        ? metro.airports.map(getAirportByIata).filter(Boolean)
+        : byCity.get(query) || [];
+
+    if (matches.length === 0) {
+        const namePattern = new RegExp(`(^| )${query}( |$)`);
+        matches = airports.filter(airport => namePattern.test(normalizeText(airport.name)));
+    }
+
+    if (options.country) {
+        const countryQuery = normalizeText(options.country);
+        matches = matches.filter(airport =>
+            normalizeText(airport.country) === countryQuery ||
+            (airport.countryCode || '').toLowerCase() === countryQuery
+        );
+    }
+
+    return matches;
+};
+
+/**
+ * Get the airports nearest to a point
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {Object} options - { radius (km), limit, scheduledOnly }
+ * @returns {Array} airports with a distance (km) field, nearest first
+ */
+const getNearestAirports = (latitude, longitude, options = {}) => {
+    const { radius = 50, limit = 10, scheduledOnly = false } = options;
+
+    const matches = loadDirectory().spatialIndex.nearest(toUnitVector(latitude, longitude), {
+        k: limit,
+        maxDistance: chordLength(radius),
+        filter: scheduledOnly ? airport => airport.scheduledService : undefined
+    });
+
+    return matches.map(({ item }) => ({
+        ...item,
+        distance: Math.round(calculateDistance(
+            latitude, longitude,
+            item.coordinates.latitude, item.coordinates.longitude
+        ) * 10) / 10
+    }));
+};
+
+module.exports = {
+    normalizeText,
+    getAllAirports,
+    getAirportByIata,
+    getAirportByIcao,
+    getAirportByCode,
+    getLocationByCode,
+    getAirportTimeZone,
+    getAirportsByCountry,
+    getAirportsByCity,
+    getNearestAirports
+};
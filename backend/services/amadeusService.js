@@ -107,9 +107,47 @@ const searchFlightOffers = async (searchParams) => {
             excludedAirlineCodes, // Optional array of airline codes
             nonStop = false,
             currencyCode = 'USD',
-            max = 250
+            max = 250,
+            travelers // Optional [{ id, travelerType, associatedAdultId }] for seniors, students, seated infants...
         } = searchParams;
 
+        // The GET search only takes adult/child/infant counts; typed travelers need the POST search
+        if (travelers) {
+            const originDestinations = [
+                { id: '1', originLocationCode, destinationLocationCode, departureDateTimeRange: { date: departureDate } }
+            ];
+            if (returnDate) {
+                originDestinations.push({
+                    id: '2',
+                    originLocationCode: destinationLocationCode,
+                    destinationLocationCode: originLocationCode,
+                    departureDateTimeRange: { date: returnDate }
+                });
+            }
+
+            const flightFilters = {
+                cabinRestrictions: [{
+                    cabin: travelClass,
+                    coverage: 'MOST_SEGMENTS',
+                    originDestinationIds: originDestinations.map(originDestination => originDestination.id)
+                }]
+            };
+            if (nonStop) flightFilters.connectionRestriction = { maxNumberOfConnections: 0 };
+            if (includedAirlineCodes) {
+                flightFilters.carrierRestrictions = { includedCarrierCodes: includedAirlineCodes };
+            } else if (excludedAirlineCodes) {
+                flightFilters.carrierRestrictions = { excludedCarrierCodes: excludedAirlineCodes };
+            }
+
+            return await searchFlightOffersMultiCity({
+                currencyCode,
+                originDestinations,
+                travelers,
+                sources: ['GDS'],
+                searchCriteria: { maxFlightOffers: max, flightFilters }
+            });
+        }
+
         const flightSearchParams = {
             originLocationCode,
             destinationLocationCode,
@@ -132,50 +170,8 @@ const searchFlightOffers = async (searchParams) => {
         
         return {
             success: true,
-            data: response.data.map(offer => ({
-                id: offer.id,
-                type: offer.type,
-                source: offer.source,
-                instantTicketingRequired: offer.instantTicketingRequired,
-                nonHomogeneous: offer.nonHomogeneous,
-                oneWay: offer.oneWay,
-                lastTicketingDate: offer.lastTicketingDate,
-                numberOfBookableSeats: offer.numberOfBookableSeats,
-                itineraries: offer.itineraries.map(itinerary => ({
-                    duration: itinerary.duration,
-                    segments: itinerary.segments.map(segment => ({
-                        departure: {
-                            iataCode: segment.departure.iataCode,
-                            terminal: segment.departure.terminal,
-                            at: segment.departure.at
-                        },
-                        arrival: {
-                            iataCode: segment.arrival.iataCode,
-                            terminal: segment.arrival.terminal,
-                            at: segment.arrival.at
-                        },
-                        carrierCode: segment.carrierCode,
-                        number: segment.number,
-                        aircraft: segment.aircraft,
-                        operating: segment.operating,
-                        duration: segment.duration,
-                        id: segment.id,
-                        numberOfStops: segment.numberOfStops,
-                        blacklistedInEU: segment.blacklistedInEU
-                    }))
-                })),
-                price: {
-                    currency: offer.price.currency,
-                    total: offer.price.total,
-                    base: offer.price.base,
-                    fees: offer.price.fees,
-                    grandTotal: offer.price.grandTotal
-                },
-                pricingOptions: offer.pricingOptions,
-                validatingAirlineCodes: offer.validatingAirlineCodes,
-                travelerPricings: offer.travelerPricings
-            })),
-            dictionaries: response.dictionaries,
+            data: response.data, // Unchanged, so offers can be priced and booked later
+            dictionaries: response.result?.dictionaries,
             meta: response.meta
         };
     } catch (error) {
@@ -188,6 +184,35 @@ const searchFlightOffers = async (searchParams) => {
     }
 };
 
+/**
+ * Flight Offers Search (POST form)
+ * Supports multi-city and open-jaw itineraries through an originDestinations array
+ * https://developers.amadeus.com/self-service/category/flights/api-doc/flight-offers-search
+ */
+const searchFlightOffersMultiCity = async (searchBody) => {
+    checkAmadeusConfig();
+    
+    try {
+        const response = await amadeus.shopping.flightOffersSearch.post(
+            JSON.stringify(searchBody)
+        );
+        
+        return {
+            success: true,
+            data: response.data, // Unchanged, so offers can be priced and booked later
+            dictionaries: response.result?.dictionaries,
+            meta: response.meta
+        };
+    } catch (error) {
+        console.error('Error searching multi-city flight offers:', error);
+        return {
+            success: false,
+            error: error.message,
+            details: error.response?.data || null
+        };
+    }
+};
+
 /**
  * Flight Availabilities Search
  * Provides a list of flights with seats for sale on a given itinerary
@@ -204,7 +229,7 @@ const searchFlightAvailabilities = async (searchParams) => {
         return {
             success: true,
             data: response.data,
-            dictionaries: response.dictionaries,
+            dictionaries: response.result?.dictionaries,
             meta: response.meta
         };
     } catch (error) {
@@ -217,6 +242,60 @@ const searchFlightAvailabilities = async (searchParams) => {
     }
 };
 
+/**
+ * Flight Inspiration Search
+ * Cheapest destinations from an origin, from Amadeus' daily cache of flight prices
+ * https://developers.amadeus.com/self-service/category/flights/api-doc/flight-inspiration-search
+ */
+const searchFlightDestinations = async (searchParams) => {
+    checkAmadeusConfig();
+
+    try {
+        const response = await amadeus.shopping.flightDestinations.get(searchParams);
+
+        return {
+            success: true,
+            data: response.data,
+            dictionaries: response.result?.dictionaries,
+            meta: response.result?.meta
+        };
+    } catch (error) {
+        console.error('Error searching flight destinations:', error);
+        return {
+            success: false,
+            error: error.message,
+            details: error.response?.data || null
+        };
+    }
+};
+
+/**
+ * Flight Cheapest Date Search
+ * Cheapest dates to fly a route, from the same daily price cache as inspiration search
+ * https://developers.amadeus.com/self-service/category/flights/api-doc/flight-cheapest-date-search
+ */
+const searchFlightDates = async (searchParams) => {
+    checkAmadeusConfig();
+
+    try {
+        const response = await amadeus.shopping.flightDates.get(searchParams);
+
+        return {
+            success: true,
+            data: response.data,
+            dictionaries: response.result?.dictionaries,
+            meta: response.result?.meta
+        };
+    } catch (error) {
+        console.error('Error searching flight dates:', error);
+        return {
+            success: false,
+            error: error.message,
+            details: error.response?.data || null
+        };
+    }
+};
+
 /**
  * Flight Offers Price
  * Confirms the availability and final price of flights
@@ -233,19 +312,19 @@ const priceFlightOffers = async (flightOffers, options = {}) => {
             }
         };
 
-        // Add optional parameters
-        if (options.include) {
-            request.data.include = options.include; // ['credit-card-fees', 'detailed-fare-rules', 'other-services']
+        // include is only read from the query string, which pricing.post() cannot send
+        let path = '/v1/shopping/flight-offers/pricing';
+        if (options.include?.length) {
+            path += `?include=${options.include.join(',')}`; // ['credit-card-fees', 'bags', 'other-services', 'detailed-fare-rules']
         }
 
-        const response = await amadeus.shopping.flightOffers.pricing.post(
-            JSON.stringify(request)
-        );
+        const response = await amadeus.client.post(path, JSON.stringify(request));
         
         return {
             success: true,
             data: response.data,
-            dictionaries: response.dictionaries,
+            included: response.result?.included, // detailed-fare-rules, credit-card-fees, bags...
+            dictionaries: response.result?.dictionaries,
             meta: response.meta
         };
     } catch (error) {
@@ -258,6 +337,35 @@ const priceFlightOffers = async (flightOffers, options = {}) => {
     }
 };
 
+/**
+ * SeatMap Display
+ * Seat maps of every segment of a flight offer, with per-traveler availability and prices
+ * https://developers.amadeus.com/self-service/category/flights/api-doc/seatmap-display
+ */
+const getSeatMaps = async (flightOffer) => {
+    checkAmadeusConfig();
+
+    try {
+        const response = await amadeus.shopping.seatmaps.post(
+            JSON.stringify({ data: [flightOffer] })
+        );
+
+        return {
+            success: true,
+            data: response.data,
+            dictionaries: response.result?.dictionaries,
+            meta: response.meta
+        };
+    } catch (error) {
+        console.error('Error getting seat maps:', error);
+        return {
+            success: false,
+            error: error.message,
+            details: error.response?.data || null
+        };
+    }
+};
+
 /**
  * Flight Create Orders
  * Performs the final booking for a chosen flight
@@ -274,7 +382,7 @@ const createFlightOrder = async (orderData) => {
         return {
             success: true,
             data: response.data,
-            dictionaries: response.dictionaries,
+            dictionaries: response.result?.dictionaries,
             meta: response.meta
         };
     } catch (error) {
@@ -287,6 +395,60 @@ const createFlightOrder = async (orderData) => {
     }
 };
 
+/**
+ * Flight Order Management
+ * Retrieves a flight order created with Flight Create Orders
+ * https://developers.amadeus.com/self-service/category/flights/api-doc/flight-order-management
+ */
+const getFlightOrder = async (orderId) => {
+    checkAmadeusConfig();
+    
+    try {
+        const response = await amadeus.booking.flightOrder(orderId).get();
+        
+        return {
+            success: true,
+            data: response.data,
+            dictionaries: response.result?.dictionaries,
+            meta: response.meta
+        };
+    } catch (error) {
+        console.error('Error getting flight order:', error);
+        return {
+            success: false,
+            error: error.message,
+            status: error.response?.statusCode,
+            details: error.response?.data || null
+        };
+    }
+};
+
+/**
+ * Flight Order Management
+ * Cancels a flight order created with Flight Create Orders
+ * https://developers.amadeus.com/self-service/category/flights/api-doc/flight-order-management
+ */
+const cancelFlightOrder = async (orderId) => {
+    checkAmadeusConfig();
+    
+    try {
+        const response = await amadeus.booking.flightOrder(orderId).delete();
+        
+        return {
+            success: true,
+            data: response.data || null
+        };
+    } catch (error) {
+        console.error('Error cancelling flight order:', error);
+        return {
+            success: false,
+            error: error.message,
+            status: error.response?.statusCode,
+            details: error.response?.data || null
+        };
+    }
+};
+
 /**
  * On Demand Flight Status
  * Provides real-time flight schedule data
@@ -374,7 +536,10 @@ const getHotelList = async (searchParams) => {
         if (amenities) requestParams.amenities = amenities.join(',');
         if (ratings) requestParams.ratings = ratings.join(',');
 
-        const response = await amadeus.referenceData.locations.hotels.get(requestParams);
+        // Hotel List API has separate by-city and by-geocode endpoints
+        const response = cityCode
+            ? await amadeus.referenceData.locations.hotels.byCity.get(requestParams)
+            : await amadeus.referenceData.locations.hotels.byGeocode.get(requestParams);
         
         return {
             success: true,
@@ -566,17 +731,21 @@ const searchHotelOffers = async (searchParams) => {
             checkInDate,
             checkOutDate,
             roomQuantity = 1,
-            currency = 'USD'
+            currency = 'USD',
+            childAges // Optional ages of the children in each room
         } = searchParams;
 
-        const response = await amadeus.shopping.hotelOffersSearch.get({
+        const hotelSearchParams = {
             hotelIds: Array.isArray(hotelIds) ? hotelIds.join(',') : hotelIds,
             adults,
             checkInDate,
             checkOutDate,
             roomQuantity,
             currency
-        });
+        };
+        if (childAges) hotelSearchParams.childAges = childAges.join(',');
+
+        const response = await amadeus.shopping.hotelOffersSearch.get(hotelSearchParams);
         
         return {
             success: true,
@@ -588,7 +757,8 @@ const searchHotelOffers = async (searchParams) => {
         return {
             success: false,
             error: error.message,
-            details: error.response?.data || null
+            // Parsed error body ({ errors: [{ code, title, source }] }); the SDK has no response.data for errors
+            details: error.response?.result || null
         };
     }
 };
@@ -607,7 +777,7 @@ const getHotelRatings = async (hotelIds) => {
             hotelIds: Array.isArray(hotelIds) ? hotelIds.join(',') : hotelIds
         };
 
-        const response = await amadeus.ereputation.hotelSentiments.get(requestParams);
+        const response = await amadeus.eReputation.hotelSentiments.get(requestParams);
         
         return {
             success: true,
@@ -695,9 +865,15 @@ module.exports = {
     // Airport & Flight APIs
     searchAirportsAndCities,
     searchFlightOffers,
+    searchFlightOffersMultiCity,
     searchFlightAvailabilities,
+    searchFlightDestinations,
+    searchFlightDates,
     priceFlightOffers,
+    getSeatMaps,
     createFlightOrder,
+    getFlightOrder,
+    cancelFlightOrder,
     getFlightStatus,
     
     // Hotel APIs
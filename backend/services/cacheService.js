@@ -14,9 +14,6 @@ class SimpleCache {
         this.cache.set(key, value);
         this.ttlMap.set(key, expiryTime);
 
-        console.log("[from cacheServices.js : SimpleCache]")
-        console.log('Cache contents:', Array.from(this.cache.entries()));
-        
         // Clean up expired entries periodically
         this.cleanup();
         
@@ -117,11 +114,24 @@ const cacheService = {
     },
 
     // Flight search cache (shorter TTL due to dynamic pricing)
-    getFlights: async (origin, destination, date, fetchFunction) => {
-        const key = generateCacheKey('flights', origin, destination, date);
+    // Keyed on every search parameter so round trips, passenger mixes and filters never collide
+    getFlights: async (searchParams, fetchFunction) => {
+        const key = generateCacheKey('flights', JSON.stringify(searchParams));
         return await withCache(key, fetchFunction, 300); // 5 minutes
     },
 
+    // Destination inspiration cache (Amadeus builds these prices once a day)
+    getInspiration: async (searchParams, fetchFunction) => {
+        const key = generateCacheKey('inspiration', JSON.stringify(searchParams));
+        return await withCache(key, fetchFunction, 6 * 3600); // 6 hours
+    },
+
+    // Cheapest dates of a route (same daily refresh as inspiration)
+    getFlightDates: async (searchParams, fetchFunction) => {
+        const key = generateCacheKey('flight-dates', JSON.stringify(searchParams));
+        return await withCache(key, fetchFunction, 6 * 3600); // 6 hours
+    },
+
     // Route calculation cache
     getRoute: async (routeParams, fetchFunction) => {
         const key = generateCacheKey('route', JSON.stringify(routeParams));
@@ -166,6 +176,6 @@ const cacheService = {
 // Cleanup expired entries every 5 minutes
 setInterval(() => {
     cache.cleanup();
-}, 5 * 60 * 1000);
+}, 5 * 60 * 1000).unref(); // Never keep the process alive on its own
 
 module.exports = cacheService;
\ No newline at end of file
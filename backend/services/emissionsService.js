@@ -0,0 +1,89 @@
+// Per-passenger CO2 estimate for flight offers
+// Great-circle distance of each segment from the offline airport directory, times a
+// distance-band and cabin factor, adjusted for the aircraft type.
+
+const airportService = require('./airportService');
+const emissionFactors = require('../data/emissionFactors');
+const { calculateDistance } = require('../utils/geo');
+
+const DEFAULT_CABIN = 'ECONOMY';
+
+/**
+ * Great-circle distance between two airports in km, or null if either is unknown
+ */
+const getSegmentDistance = (fromCode, toCode) => {
+    const from = airportService.getAirportByIata(fromCode);
+    const to = airportService.getAirportByIata(toCode);
+    if (!from || !to) return null;
+
+    return calculateDistance(
+        from.coordinates.latitude, from.coordinates.longitude,
+        to.coordinates.latitude, to.coordinates.longitude
+    );
+};
+
+/**
+ * CO2 of one passenger on one segment
+ * @param {Object} segment - { from, to, cabin, aircraft }
+ * @returns {Object|null} { distanceKm, co2Kg, band } or null when an airport is unknown
+ */
+const estimateSegmentEmissions = ({ from, to, cabin, aircraft }) => {
+    const distance = getSegmentDistance(from, to);
+    if (distance === null) return null;
+
+    const band = emissionFactors.distanceBands.find(item => distance <= item.maxDistanceKm);
+    const cabinMultiplier = band.cabinMultipliers[cabin] || band.cabinMultipliers[DEFAULT_CABIN];
+    const aircraftAdjustment = emissionFactors.aircraftAdjustments[aircraft] || 1;
+    const flownDistance = distance * (1 + emissionFactors.distanceUplift);
+
+    return {
+        distanceKm: Math.round(distance),
+        co2Kg: flownDistance * band.economyKgPerKm * cabinMultiplier * aircraftAdjustment,
+        band: band.name
+    };
+};
+
+/**
+ * CO2 of one passenger for a whole offer
+ * @param {Array} journeys - normalised journeys (segments with departure/arrival airports and aircraft)
+ * @param {Object} fareSummary - cabins per segment, in segment order; null falls back to options.cabin
+ * @param {Object} options - { cabin } searched travel class
+ * @returns {Object} { co2Kg, distanceKm, segments } with co2Kg null if any segment could not be estimated
+ */
+const estimateOfferEmissions = (journeys, fareSummary, options = {}) => {
+    const fareSegments = fareSummary?.segments || [];
+    const segments = journeys
+        .flatMap(journey => journey?.segments || [])
+        .map((segment, index) => {
+            const cabin = fareSegments[index]?.cabin || options.cabin || DEFAULT_CABIN;
+            const estimate = estimateSegmentEmissions({
+                from: segment.departure.airport,
+                to: segment.arrival.airport,
+                cabin,
+                aircraft: segment.aircraft
+            });
+
+            return {
+                from: segment.departure.airport,
+                to: segment.arrival.airport,
+                aircraft: segment.aircraft || null,
+                cabin,
+                distanceKm: estimate ? estimate.distanceKm : null,
+                band: estimate ? estimate.band : null,
+                co2Kg: estimate ? Math.round(estimate.co2Kg) : null
+            };
+        });
+
+    const complete = segments.length > 0 && segments.every(segment => segment.co2Kg !== null);
+
+    return {
+        co2Kg: complete ? segments.reduce((total, segment) => total + segment.co2Kg, 0) : null,
+        distanceKm: complete ? segments.reduce((total, segment) => total + segment.distanceKm, 0) : null,
+        segments
+    };
+};
+
+module.exports = {
+    estimateSegmentEmissions,
+    estimateOfferEmissions
+};
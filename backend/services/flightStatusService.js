@@ -0,0 +1,190 @@
+// Live flight status tracking
+// One poller per flight, shared by every client watching it. Polls Amadeus more often as
+// departure approaches and hands subscribers only the fields that changed.
+
+const amadeusService = require('./amadeusService');
+
+// Poll intervals by time to scheduled departure, first match wins
+const POLL_SCHEDULE = [
+    { beforeDepartureMs: 24 * 60 * 60 * 1000, intervalMs: 30 * 60 * 1000 },
+    { beforeDepartureMs: 6 * 60 * 60 * 1000, intervalMs: 10 * 60 * 1000 },
+    { beforeDepartureMs: 2 * 60 * 60 * 1000, intervalMs: 5 * 60 * 1000 },
+    { beforeDepartureMs: 0, intervalMs: 2 * 60 * 1000 }
+];
+const IN_FLIGHT_INTERVAL_MS = 60 * 1000; // From departure until arrival
+const ERROR_RETRY_MS = 2 * 60 * 1000;
+const TRACKING_GRACE_MS = 60 * 60 * 1000; // Keep tracking this long after the scheduled arrival
+
+// Tracked fields, in the order they are reported
+const STATUS_FIELDS = ['terminal', 'gate', 'scheduled', 'estimated', 'actual', 'delayMinutes'];
+
+const trackers = new Map();
+
+const trackerKey = (carrier, flight, date) => `${carrier}-${flight}-${date}`;
+
+// "PT1H20M" -> 80
+const durationToMinutes = (duration) => {
+    const match = /^PT(?:(\d+)H)?(?:(\d+)M)?/.exec(duration || '');
+    return match ? parseInt(match[1] || 0) * 60 + parseInt(match[2] || 0) : null;
+};
+
+// Departure or arrival point of an Amadeus flight status ("D" timings STD/ETD/ATD, "A" STA/ETA/ATA)
+const normalizeFlightPoint = (point, kind) => {
+    const details = point?.[kind === 'D' ? 'departure' : 'arrival'];
+    const timings = details?.timings || [];
+    const timing = (qualifier) => timings.find(item => item.qualifier === `${qualifier}${kind}`);
+    const delay = timings.flatMap(item => item.delays || [])[0];
+
+    return {
+        airport: point?.iataCode || null,
+        terminal: details?.terminal?.code || null,
+        gate: details?.gate?.mainGate || null,
+        scheduled: timing('ST')?.value || null,
+        estimated: timing('ET')?.value || null,
+        actual: timing('AT')?.value || null,
+        delayMinutes: delay ? durationToMinutes(delay.duration) : null
+    };
+};
+
+/**
+ * Reduce an Amadeus flight status to the fields we track
+ */
+const normalizeFlightStatus = (flightStatus) => {
+    const points = flightStatus?.flightPoints || [];
+
+    return {
+        carrier: flightStatus?.flightDesignator?.carrierCode || null,
+        flightNumber: flightStatus?.flightDesignator?.flightNumber || null,
+        date: flightStatus?.scheduledDepartureDate || null,
+        departure: normalizeFlightPoint(points[0], 'D'),
+        arrival: normalizeFlightPoint(points[points.length - 1], 'A')
+    };
+};
+
+/**
+ * Fields that differ between two snapshots
+ * @returns {Object} e.g. { 'departure.gate': { from: 'B4', to: 'B7' } }
+ */
+const diffFlightStatus = (previous, next) => {
+    const changes = {};
+
+    ['departure', 'arrival'].forEach(side => {
+        STATUS_FIELDS.forEach(field => {
+            const from = previous?.[side]?.[field] ?? null;
+            const to = next?.[side]?.[field] ?? null;
+            if (from !== to) changes[`${side}.${field}`] = { from, to };
+        });
+    });
+
+    return changes;
+};
+
+// Best known time of a point, as epoch ms
+const bestTime = (point) => Date.parse(point.actual || point.estimated || point.scheduled || '') || null;
+
+/**
+ * How long to wait before the next poll; null once the flight has landed
+ */
+const nextPollDelay = (snapshot, now = Date.now()) => {
+    const departure = bestTime(snapshot.departure);
+    const arrival = bestTime(snapshot.arrival);
+
+    if (snapshot.arrival.actual || (arrival && now > arrival + TRACKING_GRACE_MS)) return null;
+    if (!departure) return POLL_SCHEDULE[0].intervalMs;
+    if (now >= departure) return IN_FLIGHT_INTERVAL_MS;
+
+    const untilDeparture = departure - now;
+    return POLL_SCHEDULE.find(step => untilDeparture > step.beforeDepartureMs)?.intervalMs || IN_FLIGHT_INTERVAL_MS;
+};
+
+const broadcast = (tracker, event) => {
+    tracker.subscribers.forEach(listener => {
+        try {
+            listener(event);
+        } catch (error) {
+            console.error('[flightStatus] Subscriber failed:', error.message);
+        }
+    });
+};
+
+const isTracking = (tracker) => trackers.get(tracker.key) === tracker;
+
+const stopTracker = (tracker) => {
+    clearTimeout(tracker.timer);
+    if (isTracking(tracker)) trackers.delete(tracker.key);
+};
+
+const poll = async (tracker) => {
+    const result = await amadeusService.getFlightStatus(tracker.carrier, tracker.flight, tracker.date);
+    if (!isTracking(tracker)) return; // Everyone left while we waited
+
+    let delay;
+    if (!result.success) {
+        broadcast(tracker, { type: 'unavailable', error: 'Flight status service unavailable', message: result.error });
+        delay = ERROR_RETRY_MS;
+    } else if (result.data.length === 0) {
+        broadcast(tracker, { type: 'unavailable', error: 'Flight not found', message: `No status for ${tracker.key}` });
+        delay = POLL_SCHEDULE[0].intervalMs;
+    } else {
+        const snapshot = normalizeFlightStatus(result.data[0]);
+        const changes = diffFlightStatus(tracker.snapshot, snapshot);
+
+        if (!tracker.snapshot) {
+            broadcast(tracker, { type: 'snapshot', status: snapshot });
+        } else if (Object.keys(changes).length > 0) {
+            broadcast(tracker, { type: 'update', changes });
+        }
+        tracker.snapshot = snapshot;
+        delay = nextPollDelay(snapshot);
+    }
+
+    if (delay === null) {
+        broadcast(tracker, { type: 'end', reason: 'landed', status: tracker.snapshot });
+        stopTracker(tracker);
+        return;
+    }
+
+    tracker.nextPollAt = new Date(Date.now() + delay).toISOString();
+    tracker.timer = setTimeout(() => runPoll(tracker), delay);
+};
+
+// Poll, and end the tracking if the poll itself blows up (e.g. Amadeus not configured)
+const runPoll = (tracker) => poll(tracker).catch(error => {
+    console.error(`[flightStatus] Poll failed for ${tracker.key}:`, error.message);
+    broadcast(tracker, { type: 'unavailable', error: 'Flight status tracking failed', message: error.message });
+    broadcast(tracker, { type: 'end', reason: 'error', status: tracker.snapshot });
+    stopTracker(tracker);
+});
+
+/**
+ * Follow a flight's status
+ * The listener gets { type: 'snapshot' | 'update' | 'unavailable' | 'end', ... } events. A listener
+ * joining a flight that is already tracked gets the latest snapshot straight away.
+ * @returns {Function} unsubscribe
+ */
+const subscribe = (carrier, flight, date, listener) => {
+    const key = trackerKey(carrier, flight, date);
+    let tracker = trackers.get(key);
+
+    if (!tracker) {
+        tracker = { key, carrier, flight, date, subscribers: new Set(), snapshot: null, timer: null, nextPollAt: null };
+        trackers.set(key, tracker);
+        tracker.subscribers.add(listener);
+        runPoll(tracker);
+    } else {
+        tracker.subscribers.add(listener);
+        if (tracker.snapshot) listener({ type: 'snapshot', status: tracker.snapshot });
+    }
+
+    return () => {
+        tracker.subscribers.delete(listener);
+        if (tracker.subscribers.size === 0) stopTracker(tracker);
+    };
+};
+
+module.exports = {
+    normalizeFlightStatus,
+    diffFlightStatus,
+    nextPollDelay,
+    subscribe
+};
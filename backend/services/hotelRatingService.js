@@ -0,0 +1,97 @@
+// Traveler sentiment ratings of hotels
+// Amadeus Hotel Ratings takes at most 3 hotel ids per call and its scores change slowly, so
+// ratings are fetched in small batches and cached per hotel for days.
+
+const amadeusService = require('./amadeusService');
+const cacheService = require('./cacheService');
+const { mapWithConcurrency, chunk } = require('../utils/concurrency');
+
+const RATINGS_BATCH_SIZE = 3; // Amadeus limit per call
+const RATINGS_CONCURRENCY = 3;
+const RATINGS_TTL = 3 * 24 * 3600; // 3 days
+
+const ratingKey = (hotelId) => `hotel-rating:${hotelId}`;
+
+/**
+ * Normalise one item of amadeusService.getHotelRatings
+ * Scores are 0-100
+ * @returns {Object} { hotelId, overall: { rating, numberOfRatings, numberOfReviews }, categories }
+ */
+const normalizeRating = (rating) => ({
+    hotelId: rating.hotelId,
+    overall: {
+        rating: rating.overallRating,
+        numberOfRatings: rating.numberOfRatings,
+        numberOfReviews: rating.numberOfReviews
+    },
+    categories: {
+        sleepQuality: rating.sentiments?.sleepQuality,
+        service: rating.sentiments?.service,
+        facilities: rating.sentiments?.facilities,
+        roomComfort: rating.sentiments?.roomComfort,
+        valueForMoney: rating.sentiments?.valueForMoney,
+        catering: rating.sentiments?.catering,
+        swimming: rating.sentiments?.swimming,
+        location: rating.sentiments?.location,
+        internet: rating.sentiments?.internet,
+        pointsOfInterest: rating.sentiments?.pointsOfInterest,
+        staff: rating.sentiments?.staff
+    }
+});
+
+/**
+ * Ratings of many hotels, from the cache where possible
+ * Hotels Amadeus has no ratings for map to null (and are cached as such); hotels in a failed
+ * batch are left out, so the next search tries them again.
+ * @returns {Object} { ratings: Map(hotelId -> rating | null), cachedHotels, calls, failedCalls }
+ */
+const getRatings = async (hotelIds) => {
+    const ratings = new Map();
+    const missing = [];
+
+    const uniqueIds = [...new Set(hotelIds)];
+    uniqueIds.forEach(hotelId => {
+        const cached = cacheService.get(ratingKey(hotelId));
+        if (cached !== undefined) {
+            ratings.set(hotelId, cached);
+        } else {
+            missing.push(hotelId);
+        }
+    });
+
+    const batches = chunk(missing, RATINGS_BATCH_SIZE);
+
+    const results = await mapWithConcurrency(batches, RATINGS_CONCURRENCY, async (batch) => {
+        let result;
+        try {
+            result = await amadeusService.getHotelRatings(batch);
+        } catch (error) {
+            result = { success: false, error: error.message };
+        }
+
+        if (!result?.success) {
+            console.warn(`Hotel ratings failed for ${batch.join(', ')}:`, result?.error);
+            return false;
+        }
+
+        const found = new Map((result.data || []).map(rating => [rating.hotelId, normalizeRating(rating)]));
+        batch.forEach(hotelId => {
+            const rating = found.get(hotelId) || null;
+            cacheService.set(ratingKey(hotelId), rating, RATINGS_TTL);
+            ratings.set(hotelId, rating);
+        });
+        return true;
+    });
+
+    return {
+        ratings,
+        cachedHotels: uniqueIds.length - missing.length,
+        calls: batches.length,
+        failedCalls: results.filter(success => !success).length
+    };
+};
+
+module.exports = {
+    normalizeRating,
+    getRatings
+};
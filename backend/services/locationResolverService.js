@@ -0,0 +1,190 @@
+// Turns free-text origins, destinations and cities into IATA codes for searches
+// When a name matches several places, the caller gets the candidates and a resume
+// token instead of a guess, so the client can ask the user and re-issue the search.
+
+const crypto = require('crypto');
+const cacheService = require('./cacheService');
+const locationSearchService = require('./locationSearchService');
+const { supabase, userService } = require('./supabaseService');
+const { calculateDistance } = require('../utils/geo');
+
+const RESUME_TOKEN_TTL = 15 * 60; // 15 minutes to pick a location
+const MAX_CANDIDATES = 10;
+const MATCH_TYPE_RANK = { exact: 0, prefix: 1, token: 2, fuzzy: 3 };
+
+const resumeKey = (resumeToken) => `search:resume:${resumeToken}`;
+
+/**
+ * Find the user's home location
+ * Uses explicit coordinates when given, otherwise the saved 'home' location of the user
+ * @returns {Object|null} { latitude, longitude }
+ */
+const getHomeLocation = async ({ homeLatitude, homeLongitude, userId } = {}) => {
+    const latitude = parseFloat(homeLatitude);
+    const longitude = parseFloat(homeLongitude);
+    if (!isNaN(latitude) && !isNaN(longitude)) {
+        return { latitude, longitude };
+    }
+
+    if (!userId || !supabase) return null;
+
+    try {
+        const locations = await userService.getUserLocations(userId);
+        const home = (locations || []).find(location => location.type === 'home' && location.latitude && location.longitude);
+        return home ? { latitude: parseFloat(home.latitude), longitude: parseFloat(home.longitude) } : null;
+    } catch (error) {
+        // Distances are a nice-to-have; resolve without them
+        console.warn('[locationResolver] Could not load home location:', error.message);
+        return null;
+    }
+};
+
+const toCandidate = (location, home) => ({
+    code: location.code,
+    name: location.name,
+    city: location.city,
+    country: location.country,
+    countryCode: location.countryCode,
+    type: location.type,
+    cityCode: location.type === 'city' ? location.code : location.cityCode,
+    airports: location.airports,
+    distanceKm: home && location.coordinates
+        ? Math.round(calculateDistance(
+            home.latitude, home.longitude,
+            location.coordinates.latitude, location.coordinates.longitude
+        ))
+        : null
+});
+
+/**
+ * Resolve a place name to a single IATA code
+ * Names that cover several codes, like "London" (LON, LHR, LGW, ...), are ambiguous
+ * @param {string} query - Name or code typed by the user
+ * @param {Object} options - { home: { latitude, longitude }, preferCity }
+ * @returns {Object} { status: 'resolved', code, location } | { status: 'ambiguous', candidates } | { status: 'not_found' }
+ */
+const resolveLocation = (query, options = {}) => {
+    const { home, preferCity = false } = options;
+    const matches = locationSearchService.searchLocations(query, { limit: 25 });
+
+    if (matches.length === 0) {
+        return { status: 'not_found' };
+    }
+
+    // Only the best kind of match counts: "London" should not compete with "Londrina"
+    const bestRank = Math.min(...matches.map(match => MATCH_TYPE_RANK[match.matchType]));
+    const best = matches.filter(match => MATCH_TYPE_RANK[match.matchType] === bestRank);
+
+    // Single-airport cities share their code with the airport (SIN, BOM), so count codes
+    const codes = new Set(best.map(match => match.code));
+    if (codes.size === 1) {
+        return { status: 'resolved', code: best[0].code, location: best[0] };
+    }
+
+    // Hotel searches only care about the city, so a city and its own airports are one place
+    if (preferCity) {
+        const cities = best.filter(match => match.type === 'city');
+        const cityCodes = new Set(cities.map(city => city.code));
+        if (cities.length === 1 && best.every(match => cityCodes.has(match.type === 'city' ? match.code : match.cityCode))) {
+            return { status: 'resolved', code: cities[0].code, location: cities[0] };
+        }
+    }
+
+    let candidates = best.slice(0, MAX_CANDIDATES).map(location => toCandidate(location, home));
+    if (home) {
+        // Nearest place first; a city's airports stay together under the city
+        const cityDistances = new Map(candidates
+            .filter(candidate => candidate.type === 'city')
+            .map(candidate => [candidate.code, candidate.distanceKm]));
+        const placeDistance = (candidate) => cityDistances.get(candidate.cityCode) ?? candidate.distanceKm ?? Infinity;
+
+        candidates = candidates.sort((a, b) => placeDistance(a) - placeDistance(b));
+    }
+
+    return { status: 'ambiguous', candidates };
+};
+
+/**
+ * Remember a search that is waiting for the user to pick a location
+ * @param {string} searchType - 'flights', 'group-flights', 'hotels', 'inspiration' or 'cheapest-dates'
+ * @param {Object} searchParams - Original request parameters
+ */
+const createResumeToken = (searchType, searchParams) => {
+    const resumeToken = crypto.randomUUID();
+    const expiresAt = new Date(Date.now() + RESUME_TOKEN_TTL * 1000).toISOString();
+
+    cacheService.set(resumeKey(resumeToken), {
+        searchType,
+        searchParams,
+        expiresAt
+    }, RESUME_TOKEN_TTL);
+
+    return { resumeToken, expiresAt };
+};
+
+/**
+ * Get the search parameters stored under a resume token
+ * The token is single use; returns null when it is unknown, expired or for another search type
+ */
+const consumeResumeToken = (resumeToken, searchType) => {
+    const stored = cacheService.get(resumeKey(resumeToken));
+    if (!stored || stored.searchType !== searchType) {
+        return null;
+    }
+
+    cacheService.delete(resumeKey(resumeToken));
+    return stored.searchParams;
+};
+
+/**
+ * Merge the picks sent with a resume token into the parameters stored with it
+ * @returns {Object|null} The parameters unchanged when there is no token, null when it has expired
+ */
+const resumeSearchParams = (searchParams, searchType) => {
+    if (!searchParams?.resumeToken) return searchParams;
+
+    const storedParams = consumeResumeToken(searchParams.resumeToken, searchType);
+    if (!storedParams) return null;
+
+    const choices = { ...searchParams };
+    delete choices.resumeToken;
+    return { ...storedParams, ...choices };
+};
+
+/**
+ * Body of the 409 response for a search that needs the user to pick locations
+ * @param {string} searchType - 'flights', 'group-flights', 'hotels', 'inspiration' or 'cheapest-dates'
+ * @param {Object} searchParams - Original request parameters, stored for the resumed search
+ * @param {Array} ambiguities - [{ field, query, candidates }]
+ */
+const buildAmbiguityResponse = (searchType, searchParams, ambiguities) => {
+    const { resumeToken, expiresAt } = createResumeToken(searchType, { ...searchParams });
+    const example = { resumeToken };
+    ambiguities.forEach(ambiguity => {
+        example[ambiguity.field] = ambiguity.candidates[0].code;
+    });
+
+    return {
+        success: false,
+        error: 'Ambiguous location',
+        message: ambiguities
+            .map(ambiguity => `"${ambiguity.query}" matches ${ambiguity.candidates.length} places`)
+            .join('; ') + '. Pick a code for each and re-issue the search with the resume token.',
+        ambiguities,
+        resumeToken,
+        expiresAt,
+        resume: {
+            fields: ambiguities.map(ambiguity => ambiguity.field),
+            example
+        }
+    };
+};
+
+module.exports = {
+    getHomeLocation,
+    resolveLocation,
+    createResumeToken,
+    consumeResumeToken,
+    resumeSearchParams,
+    buildAmbiguityResponse
+};
@@ -0,0 +1,325 @@
+// Airport and city autocomplete over the offline airport directory
+// Everything runs in memory, so a lookup takes a few milliseconds and never touches Supabase or Amadeus.
+
+const airportService = require('./airportService');
+const countryCodes = require('../data/countries');
+const metroAreas = require('../data/metroAreas');
+const locationAliases = require('../data/locationAliases');
+
+const { normalizeText } = airportService;
+
+// Match quality, best first. Size adds at most 10 on top, so it only breaks ties within a tier.
+const MATCH_SCORES = {
+    exact: { code: 100, alias: 96, city: 94, name: 90 },
+    prefix: { code: 80, alias: 78, city: 78, name: 76 },
+    token: 66,
+    fuzzy: 56
+};
+
+let searchIndex = null;
+
+const makeKey = (text, kind) => {
+    const normalized = normalizeText(text);
+    return { text: normalized, tokens: normalized.split(' '), kind };
+};
+
+/**
+ * Rough airport size from what the dataset tells us
+ * Metro airports are listed busiest first; "International" usually means a bigger field
+ */
+const airportSize = (airport, metroRank) => {
+    if (metroRank !== undefined) return Math.max(9 - metroRank, 5);
+    if (/international/i.test(airport.name)) return 4;
+    return airport.scheduledService ? 2 : 0;
+};
+
+/**
+ * Build the search entries once, on first use
+ */
+const buildIndex = () => {
+    if (searchIndex) return searchIndex;
+
+    const aliasesByCode = {};
+    Object.entries(locationAliases).forEach(([alias, code]) => {
+        if (!aliasesByCode[code]) aliasesByCode[code] = [];
+        aliasesByCode[code].push(alias);
+    });
+
+    const metroRanks = new Map();
+    metroAreas.forEach(metro => {
+        metro.airports.forEach((code, index) => metroRanks.set(code, index));
+    });
+
+    const entries = [];
+
+    metroAreas.forEach(metro => {
+        const firstAirport = airportService.getAirportByIata(metro.airports[0]);
+
+        entries.push({
+            location: {
+                type: 'city',
+                code: metro.code,
+                name: metro.name,
+                city: metro.name,
+                country: metro.country,
+                countryCode: countryCodes[metro.country] || null,
+                airports: metro.airports,
+                coordinates: firstAirport ? firstAirport.coordinates : null
+            },
+            size: 10,
+            keys: [
+                makeKey(metro.code, 'code'),
+                makeKey(metro.name, 'city'),
+                ...(aliasesByCode[metro.code] || []).map(alias => makeKey(alias, 'alias'))
+            ]
+        });
+    });
+
+    airportService.getAllAirports().forEach(airport => {
+        const keys = [makeKey(airport.iataCode, 'code'), makeKey(airport.name, 'name')];
+        if (airport.icaoCode) keys.push(makeKey(airport.icaoCode, 'code'));
+        if (airport.city) keys.push(makeKey(airport.city, 'city'));
+        (aliasesByCode[airport.iataCode] || []).forEach(alias => keys.push(makeKey(alias, 'alias')));
+
+        entries.push({
+            location: {
+                type: 'airport',
+                code: airport.iataCode,
+                icaoCode: airport.icaoCode,
+                name: airport.name,
+                city: airport.city,
+                cityCode: airport.cityCode,
+                country: airport.country,
+                countryCode: airport.countryCode,
+                coordinates: airport.coordinates,
+                timeZone: airport.timeZone
+            },
+            size: airportSize(airport, metroRanks.get(airport.iataCode)),
+            keys
+        });
+    });
+
+    // Word -> entries containing it, so a search only scores entries that share a word with the query
+    const entriesByToken = new Map();
+    entries.forEach((entry, index) => {
+        entry.keys.forEach(key => {
+            key.tokens.forEach(token => {
+                if (!entriesByToken.has(token)) entriesByToken.set(token, new Set());
+                entriesByToken.get(token).add(index);
+            });
+        });
+    });
+
+    const wordsByLength = new Map();
+    entriesByToken.forEach((_, word) => {
+        if (!wordsByLength.has(word.length)) wordsByLength.set(word.length, []);
+        wordsByLength.get(word.length).push(word);
+    });
+
+    searchIndex = { entries, entriesByToken, wordsByLength, prefixesByLength: new Map() };
+    return searchIndex;
+};
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent swaps)
+ * Gives up early and returns maxDistance + 1 once the distance is out of reach
+ */
+const editDistance = (a, b, maxDistance) => {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let previousPrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previousPrevious[j - 2] + 1);
+            }
+
+            current.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+
+        if (rowMin > maxDistance) return maxDistance + 1;
+        previousPrevious = previous;
+        previous = current;
+    }
+
+    return previous[b.length];
+};
+
+// Typos allowed for a query token of this length
+const allowedTypos = (length) => {
+    if (length < 4) return 0;
+    return length < 7 ? 1 : 2;
+};
+
+/**
+ * Indexed words grouped by their first `length` characters
+ * Built on demand per length and kept, since queries are typed one character at a time
+ */
+const getPrefixGroups = (index, length) => {
+    if (!index.prefixesByLength.has(length)) {
+        const groups = new Map();
+        index.entriesByToken.forEach((_, word) => {
+            if (word.length < length) return;
+            const prefix = word.slice(0, length);
+            if (!groups.has(prefix)) groups.set(prefix, []);
+            groups.get(prefix).push(word);
+        });
+        index.prefixesByLength.set(length, groups);
+    }
+    return index.prefixesByLength.get(length);
+};
+
+/**
+ * Find the indexed words a query token can stand for
+ * @returns {Map} word -> number of typos (0 when the token starts the word)
+ */
+const matchToken = (token, index, isLastToken, allowTypos) => {
+    const maxTypos = allowTypos ? allowedTypos(token.length) : 0;
+    const prefixGroups = getPrefixGroups(index, token.length);
+    const matches = new Map();
+
+    const addMatch = (word, typos) => {
+        const current = matches.get(word);
+        if (current === undefined || typos < current) matches.set(word, typos);
+    };
+
+    (prefixGroups.get(token) || []).forEach(word => addMatch(word, 0));
+    if (maxTypos === 0) return matches;
+
+    // Whole words within a few typos
+    for (let length = token.length - maxTypos; length <= token.length + maxTypos; length++) {
+        (index.wordsByLength.get(length) || []).forEach(word => {
+            const typos = editDistance(token, word, maxTypos);
+            if (typos <= maxTypos) addMatch(word, typos);
+        });
+    }
+
+    // The last token may still be half typed, so also compare against the start of each word
+    if (isLastToken) {
+        prefixGroups.forEach((words, prefix) => {
+            const typos = editDistance(token, prefix, maxTypos);
+            if (typos <= maxTypos) words.forEach(word => addMatch(word, typos));
+        });
+    }
+
+    return matches;
+};
+
+/**
+ * Score one query against one search key
+ * @returns {Object|null} { score, matchType } or null when the key does not match
+ */
+const scoreKey = (query, tokenMatches, key) => {
+    if (key.text === query) {
+        return { score: MATCH_SCORES.exact[key.kind], matchType: 'exact' };
+    }
+
+    if (key.text.startsWith(query)) {
+        return { score: MATCH_SCORES.prefix[key.kind], matchType: 'prefix' };
+    }
+
+    // Codes only match exactly or by prefix
+    if (key.kind === 'code') return null;
+
+    // Every query token has to start, or be a near miss of, some word of the key
+    let totalTypos = 0;
+    for (const matches of tokenMatches) {
+        let best = Infinity;
+        key.tokens.forEach(keyToken => {
+            const typos = matches.get(keyToken);
+            if (typos !== undefined && typos < best) best = typos;
+        });
+
+        if (best === Infinity) return null;
+        totalTypos += best;
+    }
+
+    // e.g. "charles gaulle" -> "Charles de Gaulle International Airport"
+    if (totalTypos === 0) {
+        return { score: MATCH_SCORES.token, matchType: 'token' };
+    }
+
+    return { score: MATCH_SCORES.fuzzy - totalTypos * 8, matchType: 'fuzzy' };
+};
+
+/**
+ * Score every entry that could match the query
+ * @param {boolean} allowTypos - Whether query tokens may be misspelt
+ */
+const findMatches = (normalizedQuery, allowTypos, type) => {
+    const index = buildIndex();
+    const { entries, entriesByToken } = index;
+    const queryTokens = normalizedQuery.split(' ');
+    const tokenMatches = queryTokens.map((token, position) =>
+        matchToken(token, index, position === queryTokens.length - 1, allowTypos)
+    );
+
+    // Any match has to contain a word matching the first query token
+    const candidates = new Set();
+    tokenMatches[0].forEach((typos, word) => {
+        entriesByToken.get(word).forEach(entryIndex => candidates.add(entryIndex));
+    });
+
+    const matches = [];
+    candidates.forEach(entryIndex => {
+        const entry = entries[entryIndex];
+        if (type && entry.location.type !== type) return;
+
+        let best = null;
+        entry.keys.forEach(key => {
+            const match = scoreKey(normalizedQuery, tokenMatches, key);
+            if (match && (!best || match.score > best.score)) {
+                best = { ...match, matchedOn: key.kind };
+            }
+        });
+
+        if (best) {
+            matches.push({ entry, best, score: best.score + entry.size });
+        }
+    });
+
+    return matches;
+};
+
+/**
+ * Search airports and cities
+ * Typo matches are only looked for when nothing matches as typed
+ * @param {string} query - What the user typed so far
+ * @param {Object} options - { limit, type: 'airport' | 'city' }
+ * @returns {Array} locations ranked by match quality, then size
+ */
+const searchLocations = (query, options = {}) => {
+    const { limit = 10, type } = options;
+    const normalizedQuery = normalizeText(query);
+    if (!normalizedQuery) return [];
+
+    let matches = findMatches(normalizedQuery, false, type);
+    if (matches.length === 0) {
+        matches = findMatches(normalizedQuery, true, type);
+    }
+
+    return matches
+        .sort((a, b) => b.score - a.score ||
+            a.entry.location.name.length - b.entry.location.name.length ||
+            a.entry.location.name.localeCompare(b.entry.location.name))
+        .slice(0, limit)
+        .map(({ entry, best, score }) => ({
+            ...entry.location,
+            matchedOn: best.matchedOn,
+            matchType: best.matchType,
+            score
+        }));
+};
+
+module.exports = {
+    searchLocations
+};
@@ -0,0 +1,53 @@
+// User notifications (price alerts, ...)
+// Notifications are saved to Supabase when it is configured and emitted in-process,
+// so other parts of the server can push them to connected clients.
+
+const { EventEmitter } = require('events');
+const { supabase, notificationService: notificationStore } = require('./supabaseService');
+
+const events = new EventEmitter();
+
+/**
+ * Send a notification to a user
+ * @param {string} userId
+ * @param {Object} notification - { type, title, message, data }
+ * @returns {Object} the notification as saved (or as emitted when there is no database)
+ */
+const notify = async (userId, notification) => {
+    let saved = null;
+
+    if (supabase) {
+        try {
+            saved = await notificationStore.saveNotification(userId, notification);
+        } catch (error) {
+            // Still emit it; losing the stored copy is better than losing the alert
+            console.error('[notifications] Could not save notification:', error.message);
+        }
+    }
+
+    const delivered = saved || { user_id: userId, ...notification, created_at: new Date().toISOString() };
+    console.log(`🔔 [notifications] ${userId}: ${notification.title}`);
+    events.emit('notification', delivered);
+
+    return delivered;
+};
+
+/**
+ * Get a user's notifications, newest first
+ */
+const getNotifications = async (userId, limit = 50) => notificationStore.getUserNotifications(userId, limit);
+
+/**
+ * Listen for notifications as they are sent
+ * @returns {Function} unsubscribe
+ */
+const onNotification = (listener) => {
+    events.on('notification', listener);
+    return () => events.off('notification', listener);
+};
+
+module.exports = {
+    notify,
+    getNotifications,
+    onNotification
+};
@@ -0,0 +1,117 @@
+// Server-side store for flight offers returned by searches
+// Amadeus offer ids ("1", "2", ...) are only unique within one search response,
+// so every offer is stored under the search session that produced it.
+
+const crypto = require('crypto');
+const cacheService = require('./cacheService');
+
+const SEARCH_OFFERS_TTL = 30 * 60; // 30 minutes - roughly how long Amadeus offers stay priceable
+const PRICED_OFFER_TTL = 20 * 60; // 20 minutes - a confirmed price should be booked promptly
+
+const searchKey = (searchId) => `offers:search:${searchId}`;
+const pricedKey = (pricedOfferId) => `offers:priced:${pricedOfferId}`;
+
+/**
+ * Start a new search session
+ * Returns an id that groups the offers of a single search response
+ */
+const createSearchSession = () => crypto.randomUUID();
+
+/**
+ * Store the raw Amadeus offers of a search
+ * @param {string} searchId - Session id from createSearchSession
+ * @param {Array} offers - Offers as returned by amadeusService.searchFlightOffers
+ * @param {Object} context - dictionaries and searchParams of the response
+ */
+const saveSearchOffers = (searchId, offers, context = {}) => {
+    const expiresAt = new Date(Date.now() + SEARCH_OFFERS_TTL * 1000).toISOString();
+    const offersById = {};
+
+    offers.forEach(offer => {
+        offersById[offer.id] = offer;
+    });
+
+    cacheService.set(searchKey(searchId), {
+        searchId,
+        offers: offersById,
+        dictionaries: context.dictionaries || {},
+        searchParams: context.searchParams || {},
+        createdAt: new Date().toISOString(),
+        expiresAt
+    }, SEARCH_OFFERS_TTL);
+
+    return { searchId, expiresAt, offerCount: offers.length };
+};
+
+/**
+ * Look up a stored offer
+ * Returns null when the search session is unknown or has expired
+ */
+const getOffer = (searchId, offerId) => {
+    const session = cacheService.get(searchKey(searchId));
+    if (!session || !session.offers[offerId]) {
+        return null;
+    }
+
+    return {
+        searchId,
+        offerId,
+        offer: session.offers[offerId],
+        dictionaries: session.dictionaries,
+        searchParams: session.searchParams,
+        expiresAt: session.expiresAt
+    };
+};
+
+/**
+ * Store an offer confirmed by the Flight Offers Price API
+ * Returns the id clients use to book the confirmed offer
+ */
+const savePricedOffer = (searchId, offerId, pricedOffer, details = {}) => {
+    const pricedOfferId = crypto.randomUUID();
+    const expiresAt = new Date(Date.now() + PRICED_OFFER_TTL * 1000).toISOString();
+
+    cacheService.set(pricedKey(pricedOfferId), {
+        pricedOfferId,
+        searchId,
+        offerId,
+        offer: pricedOffer,
+        bookingRequirements: details.bookingRequirements || null,
+        pricedAt: new Date().toISOString(),
+        expiresAt
+    }, PRICED_OFFER_TTL);
+
+    return { pricedOfferId, expiresAt };
+};
+
+/**
+ * Look up a priced offer
+ * Returns null when the id is unknown or the confirmed price has expired
+ */
+const getPricedOffer = (pricedOfferId) => cacheService.get(pricedKey(pricedOfferId)) || null;
+
+/**
+ * Remove a priced offer before it is booked
+ * Prevents the same confirmed offer from being ordered twice
+ */
+const removePricedOffer = (pricedOfferId) => cacheService.delete(pricedKey(pricedOfferId));
+
+/**
+ * Put back a removed priced offer whose booking failed, for the rest of its lifetime
+ */
+const restorePricedOffer = (priced) => {
+    const ttl = Math.floor((Date.parse(priced.expiresAt) - Date.now()) / 1000);
+    if (ttl > 0) {
+        cacheService.set(pricedKey(priced.pricedOfferId), priced, ttl);
+    }
+};
+
+module.exports = {
+    createSearchSession,
+    saveSearchOffers,
+    getOffer,
+    savePricedOffer,
+    getPricedOffer,
+    removePricedOffer,
+    restorePricedOffer
+};
@@ -0,0 +1,245 @@
+// Price watches
+// A background scheduler re-runs the watched flight search, stores the lowest price of
+// each check and notifies the user when it falls below their target or drops sharply.
+
+const amadeusService = require('./amadeusService');
+const notificationService = require('./notificationService');
+const { priceWatchService: priceWatchStore } = require('./supabaseService');
+
+const CHECK_INTERVAL_MINUTES = parseInt(process.env.PRICE_WATCH_INTERVAL_MINUTES) || 360;
+const SCHEDULER_TICK_MS = 5 * 60 * 1000;
+const MAX_WATCH_WINDOW_DAYS = 7; // Each date in the window costs one Amadeus search per check
+const OFFERS_PER_SEARCH = 20;
+
+let schedulerTimer = null;
+let checkInProgress = false;
+
+const addDays = (date, days) => {
+    const shifted = new Date(`${date}T00:00:00Z`);
+    shifted.setUTCDate(shifted.getUTCDate() + days);
+    return shifted.toISOString().split('T')[0];
+};
+
+const nextCheckAt = () => new Date(Date.now() + CHECK_INTERVAL_MINUTES * 60 * 1000).toISOString();
+
+/**
+ * Departure/return date pairs of a watch that are still in the future
+ */
+const getWatchDatePairs = (watch) => {
+    const today = new Date().toISOString().split('T')[0];
+    const pairs = [];
+
+    for (let date = watch.departure_date_from; date <= watch.departure_date_to; date = addDays(date, 1)) {
+        if (date < today) continue;
+
+        let returnDate = null;
+        if (watch.return_date) returnDate = watch.return_date;
+        else if (watch.trip_length) returnDate = addDays(date, watch.trip_length);
+
+        if (!returnDate || returnDate >= date) {
+            pairs.push({ departureDate: date, returnDate });
+        }
+    }
+
+    return pairs;
+};
+
+const offerPrice = (offer) => parseFloat(offer.price?.grandTotal || offer.price?.total);
+
+/**
+ * Find the lowest price for every date of a watch
+ * @returns {Object|null} { minPrice, currency, departureDate, returnDate, offerCount } for the cheapest date
+ */
+const findLowestPrice = async (watch, datePairs) => {
+    let best = null;
+
+    // One date at a time to stay under the Amadeus rate limit
+    for (const pair of datePairs) {
+        const searchParams = {
+            originLocationCode: watch.origin,
+            destinationLocationCode: watch.destination,
+            departureDate: pair.departureDate,
+            adults: watch.adults,
+            children: watch.children,
+            infants: watch.infants,
+            travelClass: watch.travel_class,
+            nonStop: watch.non_stop,
+            currencyCode: watch.currency,
+            max: OFFERS_PER_SEARCH
+        };
+        if (pair.returnDate) searchParams.returnDate = pair.returnDate;
+
+        const result = await amadeusService.searchFlightOffers(searchParams);
+        if (!result.success) {
+            console.warn(`[priceWatch] Search failed for watch ${watch.id} on ${pair.departureDate}:`, result.error);
+            continue;
+        }
+
+        const prices = result.data.map(offerPrice).filter(Number.isFinite);
+        if (prices.length === 0) continue;
+
+        const minPrice = Math.min(...prices);
+        if (!best || minPrice < best.min_price) {
+            best = {
+                min_price: minPrice,
+                currency: result.data[0].price?.currency || watch.currency,
+                departure_date: pair.departureDate,
+                return_date: pair.returnDate,
+                offer_count: prices.length
+            };
+        }
+    }
+
+    return best;
+};
+
+/**
+ * Notifications due for a newly observed price
+ * A target alert fires when the price crosses below the target; a drop alert when it falls
+ * by at least drop_percent since the previous check
+ */
+const buildAlerts = (watch, observation) => {
+    const price = observation.min_price;
+    const previous = watch.last_min_price !== null && watch.last_min_price !== undefined
+        ? parseFloat(watch.last_min_price)
+        : null;
+    const target = watch.target_price !== null && watch.target_price !== undefined
+        ? parseFloat(watch.target_price)
+        : null;
+    const route = `${watch.origin} → ${watch.destination}`;
+    const data = {
+        watchId: watch.id,
+        origin: watch.origin,
+        destination: watch.destination,
+        price,
+        previousPrice: previous,
+        targetPrice: target,
+        currency: observation.currency,
+        departureDate: observation.departure_date,
+        returnDate: observation.return_date
+    };
+
+    if (target !== null && price <= target && (previous === null || previous > target)) {
+        return [{
+            type: 'price_target',
+            title: `${route} is now ${observation.currency} ${price.toFixed(2)}`,
+            message: `Below your target of ${observation.currency} ${target.toFixed(2)} for ${observation.departure_date}`,
+            data
+        }];
+    }
+
+    const dropPercent = parseFloat(watch.drop_percent);
+    if (previous !== null && Number.isFinite(dropPercent) && previous > 0) {
+        const drop = (previous - price) / previous * 100;
+        if (drop >= dropPercent) {
+            return [{
+                type: 'price_drop',
+                title: `${route} dropped ${Math.round(drop)}%`,
+                message: `Now ${observation.currency} ${price.toFixed(2)}, down from ${observation.currency} ${previous.toFixed(2)}`,
+                data: { ...data, dropPercent: Math.round(drop * 10) / 10 }
+            }];
+        }
+    }
+
+    return [];
+};
+
+/**
+ * Run one price check for a watch
+ * @returns {Object} { watch, observation, notifications }
+ */
+const checkPriceWatch = async (watch) => {
+    const datePairs = getWatchDatePairs(watch);
+
+    if (datePairs.length === 0) {
+        const expired = await priceWatchStore.updatePriceWatch(watch.id, {
+            status: 'expired',
+            last_checked_at: new Date().toISOString()
+        });
+        return { watch: expired, observation: null, notifications: [] };
+    }
+
+    const observation = await findLowestPrice(watch, datePairs);
+    if (!observation) {
+        const unchanged = await priceWatchStore.updatePriceWatch(watch.id, {
+            last_checked_at: new Date().toISOString(),
+            next_check_at: nextCheckAt()
+        });
+        return { watch: unchanged, observation: null, notifications: [] };
+    }
+
+    await priceWatchStore.addPriceObservation(watch.id, observation);
+
+    const notifications = [];
+    for (const alert of buildAlerts(watch, observation)) {
+        notifications.push(await notificationService.notify(watch.user_id, alert));
+    }
+
+    const lowest = watch.lowest_price !== null && watch.lowest_price !== undefined
+        ? Math.min(parseFloat(watch.lowest_price), observation.min_price)
+        : observation.min_price;
+
+    const updated = await priceWatchStore.updatePriceWatch(watch.id, {
+        last_min_price: observation.min_price,
+        lowest_price: lowest,
+        last_checked_at: new Date().toISOString(),
+        next_check_at: nextCheckAt()
+    });
+
+    return { watch: updated, observation, notifications };
+};
+
+/**
+ * Check every watch that is due
+ * Skips the run if the previous one is still going
+ */
+const runDueChecks = async () => {
+    if (checkInProgress) return;
+    checkInProgress = true;
+
+    try {
+        const dueWatches = await priceWatchStore.getDuePriceWatches();
+        for (const watch of dueWatches) {
+            try {
+                await checkPriceWatch(watch);
+            } catch (error) {
+                console.error(`[priceWatch] Check failed for watch ${watch.id}:`, error.message);
+            }
+        }
+    } catch (error) {
+        console.error('[priceWatch] Could not load due watches:', error.message);
+    } finally {
+        checkInProgress = false;
+    }
+};
+
+/**
+ * Start the background scheduler
+ */
+const startScheduler = () => {
+    if (schedulerTimer) return;
+
+    schedulerTimer = setInterval(runDueChecks, SCHEDULER_TICK_MS);
+    schedulerTimer.unref(); // Never keep the process alive on its own
+    console.log(`⏰ Price watch scheduler started (checks every ${CHECK_INTERVAL_MINUTES} minutes)`);
+};
+
+/**
+ * Stop the background scheduler
+ */
+const stopScheduler = () => {
+    if (schedulerTimer) {
+        clearInterval(schedulerTimer);
+        schedulerTimer = null;
+    }
+};
+
+module.exports = {
+    MAX_WATCH_WINDOW_DAYS,
+    getWatchDatePairs,
+    buildAlerts,
+    checkPriceWatch,
+    runDueChecks,
+    startScheduler,
+    stopScheduler
+};
@@ -0,0 +1,119 @@
+// Stored search results for paging and re-sorting
+// A search saves its full normalised result set once. Later pages and re-sorts read the
+// stored copy, so they never call Amadeus again while the results are fresh.
+
+const crypto = require('crypto');
+const cacheService = require('./cacheService');
+
+const RESULTS_TTL = 30 * 60; // 30 minutes - as long as searched flight offers stay priceable
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const resultsKey = (kind, resultId) => `results:${kind}:${resultId}`;
+
+/**
+ * New id for a stored result set
+ */
+const createResultId = () => crypto.randomUUID();
+
+/**
+ * Store the full result set of a search
+ * @param {string} kind - 'flights' or 'hotels'
+ * @param {string} resultId - Flight searches reuse their offer search id
+ * @param {Object} results - Response data with every item, in the default order
+ */
+const saveResults = (kind, resultId, results) => {
+    const expiresAt = new Date(Date.now() + RESULTS_TTL * 1000).toISOString();
+    cacheService.set(resultsKey(kind, resultId), { ...results, resultsExpireAt: expiresAt }, RESULTS_TTL);
+    return { resultId, expiresAt };
+};
+
+/**
+ * Look up a stored result set
+ * Returns null when the id is unknown or the results have expired
+ */
+const getResults = (kind, resultId) => cacheService.get(resultsKey(kind, resultId)) || null;
+
+/**
+ * Cursors are opaque to clients: base64url JSON of { kind, id, sort, offset, pageSize, ... }
+ */
+const encodeCursor = (position) => Buffer.from(JSON.stringify(position)).toString('base64url');
+
+/**
+ * Read a cursor, or null when it is not one of ours
+ */
+const decodeCursor = (cursor) => {
+    try {
+        const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        const valid = position && typeof position.kind === 'string' && typeof position.id === 'string' &&
+            Number.isInteger(position.offset) && position.offset >= 0 &&
+            Number.isInteger(position.pageSize) && position.pageSize > 0 && position.pageSize <= MAX_PAGE_SIZE;
+        return valid ? position : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Read sort and pageSize from search parameters
+ * @param {Object} options - { sorts: allowed sort names, defaultSort }
+ * @returns {Object} { options: { sort, pageSize }, errors }
+ */
+const parsePageOptions = (searchParams, { sorts, defaultSort = null }) => {
+    const errors = [];
+    const { sort, pageSize } = searchParams;
+    const options = { sort: defaultSort, pageSize: DEFAULT_PAGE_SIZE };
+
+    if (sort !== undefined && sort !== '') {
+        if (sorts.includes(sort)) {
+            options.sort = sort;
+        } else {
+            errors.push(`sort must be one of ${sorts.join(', ')}`);
+        }
+    }
+
+    if (pageSize !== undefined && pageSize !== '') {
+        const size = /^\d+$/.test(String(pageSize)) ? parseInt(pageSize) : 0;
+        if (size >= 1 && size <= MAX_PAGE_SIZE) {
+            options.pageSize = size;
+        } else {
+            errors.push(`pageSize must be a whole number between 1 and ${MAX_PAGE_SIZE}`);
+        }
+    }
+
+    return { options, errors };
+};
+
+/**
+ * Slice one page out of an ordered list
+ * @param {Array} items - Every item, already in the requested order
+ * @param {Object} position - { kind, id, sort, offset, pageSize } plus any options the order depends on
+ * @returns {Object} { items, page } where page.nextCursor is null on the last page
+ */
+const getPage = (items, position) => {
+    const pageItems = items.slice(position.offset, position.offset + position.pageSize);
+    const nextOffset = position.offset + pageItems.length;
+    const hasMore = nextOffset < items.length;
+
+    return {
+        items: pageItems,
+        page: {
+            sort: position.sort,
+            offset: position.offset,
+            pageSize: position.pageSize,
+            returned: pageItems.length,
+            total: items.length,
+            hasMore,
+            nextCursor: hasMore ? encodeCursor({ ...position, offset: nextOffset }) : null
+        }
+    };
+};
+
+module.exports = {
+    createResultId,
+    saveResults,
+    getResults,
+    decodeCursor,
+    parsePageOptions,
+    getPage
+};
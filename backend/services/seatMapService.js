@@ -0,0 +1,166 @@
+// Seat map normalisation
+// Turns Amadeus SeatMap Display decks into rows and columns of seats, with availability and
+// price per traveler, and picks out seats that suit a traveler's seat preference.
+
+// IATA seat characteristic codes we surface as flags
+const SEAT_CHARACTERISTICS = {
+    window: ['W'],
+    aisle: ['A'],
+    middle: ['9'],
+    exitRow: ['E'],
+    extraLegroom: ['L'],
+    bulkhead: ['K'],
+    bassinet: ['B'],
+    chargeable: ['CH'],
+    restrictedRecline: ['1D']
+};
+
+const SEAT_PREFERENCES = ['window', 'aisle'];
+const MAX_RECOMMENDED_SEATS = 5;
+
+// Best status across travelers: a seat anyone can take counts as available
+const AVAILABILITY_RANK = { AVAILABLE: 0, BLOCKED: 1, OCCUPIED: 2 };
+
+/**
+ * Normalise a seat preference ("Aisle", "window seat") to 'window' or 'aisle', or null
+ */
+const parseSeatPreference = (value) => {
+    const text = String(value || '').toLowerCase();
+    return SEAT_PREFERENCES.find(preference => text.includes(preference)) || null;
+};
+
+const toPrice = (price) => price
+    ? { total: parseFloat(price.total), currency: price.currency }
+    : null;
+
+// Seat row number and column letter from its number ("12A" -> 12, "A")
+const splitSeatNumber = (number) => {
+    const match = /^(\d+)([A-Z]+)$/.exec(number || '');
+    return match ? { row: parseInt(match[1]), column: match[2] } : { row: null, column: null };
+};
+
+function normalizeSeat(seat, deckConfiguration, preference) {
+    const codes = seat.characteristicsCodes || [];
+    const characteristics = Object.fromEntries(
+        Object.entries(SEAT_CHARACTERISTICS).map(([name, seatCodes]) => [name, seatCodes.some(code => codes.includes(code))])
+    );
+    const x = seat.coordinates?.x;
+    if ((deckConfiguration?.exitRowsX || []).includes(x)) characteristics.exitRow = true;
+    characteristics.overWing = x !== undefined &&
+        x >= deckConfiguration?.startWingsX && x <= deckConfiguration?.endWingsX;
+
+    const travelers = (seat.travelerPricing || []).map(pricing => ({
+        travelerId: pricing.travelerId,
+        availability: pricing.seatAvailabilityStatus,
+        price: toPrice(pricing.price)
+    }));
+    const availability = travelers.map(traveler => traveler.availability)
+        .sort((a, b) => (AVAILABILITY_RANK[a] ?? 3) - (AVAILABILITY_RANK[b] ?? 3))[0] || 'OCCUPIED';
+    const availablePrices = travelers
+        .filter(traveler => traveler.availability === 'AVAILABLE' && traveler.price)
+        .map(traveler => traveler.price);
+
+    return {
+        number: seat.number,
+        ...splitSeatNumber(seat.number),
+        cabin: seat.cabin,
+        availability,
+        available: availability === 'AVAILABLE',
+        // Cheapest price of the seat for a traveler who can take it; null when it is free
+        price: availablePrices.length > 0
+            ? availablePrices.reduce((lowest, price) => (price.total < lowest.total ? price : lowest))
+            : null,
+        characteristics,
+        characteristicsCodes: codes,
+        travelers,
+        matchesPreference: preference ? characteristics[preference] : null,
+        coordinates: seat.coordinates || null
+    };
+}
+
+// One deck as a grid: columns left to right (null marks an aisle), rows front to back
+function normalizeDeck(deck, preference) {
+    const configuration = deck.deckConfiguration || {};
+    const seats = (deck.seats || []).map(seat => normalizeSeat(seat, configuration, preference));
+
+    // Column letters by their position across the cabin; gaps in y are aisles
+    const columnsByY = new Map();
+    seats.forEach(seat => {
+        if (seat.coordinates && seat.column) columnsByY.set(seat.coordinates.y, seat.column);
+    });
+    const width = configuration.width || (columnsByY.size > 0 ? Math.max(...columnsByY.keys()) + 1 : 0);
+    const columns = Array.from({ length: width }, (_, y) => columnsByY.get(y) || null);
+
+    const rowsByNumber = new Map();
+    seats.forEach(seat => {
+        if (!rowsByNumber.has(seat.row)) rowsByNumber.set(seat.row, []);
+        rowsByNumber.get(seat.row).push(seat);
+    });
+
+    const rows = [...rowsByNumber.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([number, rowSeats]) => ({
+            number,
+            exitRow: rowSeats.some(seat => seat.characteristics.exitRow),
+            overWing: rowSeats.some(seat => seat.characteristics.overWing),
+            seats: columns.map(column => (column ? rowSeats.find(seat => seat.column === column) || null : null))
+        }));
+
+    return {
+        deckType: deck.deckType,
+        columns,
+        rows,
+        facilities: (deck.facilities || []).map(facility => ({
+            code: facility.code,
+            row: facility.row ? parseInt(facility.row) : null,
+            column: facility.column || null,
+            position: facility.position || null
+        })),
+        seatCount: seats.length,
+        availableSeatCount: seats.filter(seat => seat.available).length
+    };
+}
+
+/**
+ * Normalise the seat map of one segment
+ * @param {Object} seatMap - One entry of the Amadeus SeatMap Display response
+ * @param {Object} options - { preference: 'window' | 'aisle' | null }
+ */
+const normalizeSeatMap = (seatMap, options = {}) => {
+    const preference = options.preference || null;
+    const decks = (seatMap.decks || []).map(deck => normalizeDeck(deck, preference));
+
+    // Free seats first, then cheapest, then nearest the front
+    const recommendedSeats = preference
+        ? decks.flatMap(deck => deck.rows.flatMap(row => row.seats))
+            .filter(seat => seat && seat.available && seat.matchesPreference)
+            .sort((a, b) => (a.price?.total || 0) - (b.price?.total || 0) || a.row - b.row)
+            .slice(0, MAX_RECOMMENDED_SEATS)
+            .map(seat => ({ number: seat.number, price: seat.price, characteristics: seat.characteristics }))
+        : [];
+
+    return {
+        segmentId: seatMap.segmentId,
+        flight: {
+            carrier: seatMap.carrierCode,
+            number: seatMap.number,
+            aircraft: seatMap.aircraft?.code || null,
+            departure: { airport: seatMap.departure?.iataCode, time: seatMap.departure?.at },
+            arrival: { airport: seatMap.arrival?.iataCode, time: seatMap.arrival?.at }
+        },
+        cabin: seatMap.class || null,
+        availableSeatsByTraveler: (seatMap.availableSeatsCounters || []).map(counter => ({
+            travelerId: counter.travelerId,
+            availableSeats: counter.value
+        })),
+        decks,
+        preference,
+        recommendedSeats
+    };
+};
+
+module.exports = {
+    SEAT_PREFERENCES,
+    parseSeatPreference,
+    normalizeSeatMap
+};
@@ -337,6 +337,250 @@ const routeService = {
     }
 };
 
+/**
+ * Flight booking records
+ */
+const bookingService = {
+    // Save a confirmed flight order
+    async saveFlightBooking(bookingData) {
+        checkSupabaseConfig();
+        
+        const { data, error } = await supabase
+            .from('flight_bookings')
+            .insert({
+                ...bookingData,
+                created_at: new Date().toISOString()
+            })
+            .select()
+            .single();
+        
+        if (error) throw error;
+        return data;
+    },
+
+    // Get booking by Amadeus order ID
+    async getFlightBooking(orderId) {
+        checkSupabaseConfig();
+        
+        const { data, error } = await supabase
+            .from('flight_bookings')
+            .select('*')
+            .eq('order_id', orderId)
+            .single();
+        
+        if (error) {
+            if (error.code === 'PGRST116') return null; // No rows found
+            throw error;
+        }
+        
+        return data;
+    },
+
+    // Update booking status (e.g. after cancellation)
+    async updateFlightBookingStatus(orderId, status) {
+        checkSupabaseConfig();
+        
+        const { data, error } = await supabase
+            .from('flight_bookings')
+            .update({
+                status,
+                updated_at: new Date().toISOString()
+            })
+            .eq('order_id', orderId)
+            .select()
+            .single();
+        
+        if (error) {
+            if (error.code === 'PGRST116') return null; // No rows found
+            throw error;
+        }
+        
+        return data;
+    }
+};
+
+/**
+ * Price watches and the prices observed for them
+ */
+const priceWatchService = {
+    // Create a price watch
+    async createPriceWatch(userId, watchData) {
+        checkSupabaseConfig();
+        
+        const { data, error } = await supabase
+            .from('price_watches')
+            .insert({
+                user_id: userId,
+                ...watchData,
+                created_at: new Date().toISOString()
+            })
+            .select()
+            .single();
+        
+        if (error) throw error;
+        return data;
+    },
+
+    // Get a user's price watches
+    async getUserPriceWatches(userId) {
+        checkSupabaseConfig();
+        
+        const { data, error } = await supabase
+            .from('price_watches')
+            .select('*')
+            .eq('user_id', userId)
+            .order('created_at', { ascending: false });
+        
+        if (error) throw error;
+        return data;
+    },
+
+    // Get one price watch of a user
+    async getPriceWatch(watchId, userId) {
+        checkSupabaseConfig();
+        
+        const { data, error } = await supabase
+            .from('price_watches')
+            .select('*')
+            .eq('id', watchId)
+            .eq('user_id', userId)
+            .single();
+        
+        if (error) {
+            if (error.code === 'PGRST116') return null; // No rows found
+            throw error;
+        }
+        
+        return data;
+    },
+
+    // Get active watches that are due for a price check
+    async getDuePriceWatches(limit = 50) {
+        checkSupabaseConfig();
+        
+        const { data, error } = await supabase
+            .from('price_watches')
+            .select('*')
+            .eq('status', 'active')
+            .lte('next_check_at', new Date().toISOString())
+            .order('next_check_at', { ascending: true })
+            .limit(limit);
+        
+        if (error) throw error;
+        return data;
+    },
+
+    // Update a price watch (check results, status)
+    async updatePriceWatch(watchId, updates) {
+        checkSupabaseConfig();
+        
+        const { data, error } = await supabase
+            .from('price_watches')
+            .update({
+                ...updates,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', watchId)
+            .select()
+            .single();
+        
+        if (error) throw error;
+        return data;
+    },
+
+    // Delete a price watch
+    async deletePriceWatch(watchId, userId) {
+        checkSupabaseConfig();
+        
+        const { data, error } = await supabase
+            .from('price_watches')
+            .delete()
+            .eq('id', watchId)
+            .eq('user_id', userId)
+            .select()
+            .single();
+        
+        if (error) {
+            if (error.code === 'PGRST116') return null; // No rows found
+            throw error;
+        }
+        
+        return data;
+    },
+
+    // Record the lowest price seen by one check
+    async addPriceObservation(watchId, observation) {
+        checkSupabaseConfig();
+        
+        const { data, error } = await supabase
+            .from('price_watch_history')
+            .insert({
+                watch_id: watchId,
+                ...observation,
+                observed_at: new Date().toISOString()
+            })
+            .select()
+            .single();
+        
+        if (error) throw error;
+        return data;
+    },
+
+    // Get the observed prices of a watch, oldest first
+    async getPriceHistory(watchId, limit = 500) {
+        checkSupabaseConfig();
+        
+        const { data, error } = await supabase
+            .from('price_watch_history')
+            .select('*')
+            .eq('watch_id', watchId)
+            .order('observed_at', { ascending: true })
+            .limit(limit);
+        
+        if (error) throw error;
+        return data;
+    }
+};
+
+/**
+ * In-app notifications
+ */
+const notificationService = {
+    // Save a notification for a user
+    async saveNotification(userId, notification) {
+        checkSupabaseConfig();
+        
+        const { data, error } = await supabase
+            .from('user_notifications')
+            .insert({
+                user_id: userId,
+                ...notification,
+                read: false,
+                created_at: new Date().toISOString()
+            })
+            .select()
+            .single();
+        
+        if (error) throw error;
+        return data;
+    },
+
+    // Get a user's notifications, newest first
+    async getUserNotifications(userId, limit = 50) {
+        checkSupabaseConfig();
+        
+        const { data, error } = await supabase
+            .from('user_notifications')
+            .select('*')
+            .eq('user_id', userId)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+        
+        if (error) throw error;
+        return data;
+    }
+};
+
 /**
  * Analytics and statistics functions
  */
@@ -521,6 +765,72 @@ const createTables = async () => {
                 updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
             );
         `,
+        flight_bookings: `
+            CREATE TABLE IF NOT EXISTS flight_bookings (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                user_id UUID REFERENCES user_profiles(id),
+                order_id VARCHAR(255) UNIQUE NOT NULL,
+                booking_reference VARCHAR(20),
+                status VARCHAR(50) NOT NULL DEFAULT 'CONFIRMED', -- 'CONFIRMED', 'CANCELLED'
+                total_price DECIMAL(10, 2),
+                currency VARCHAR(3),
+                traveler_count INTEGER DEFAULT 1,
+                itinerary JSONB DEFAULT '[]',
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+            );
+        `,
+        price_watches: `
+            CREATE TABLE IF NOT EXISTS price_watches (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                user_id UUID REFERENCES user_profiles(id),
+                origin VARCHAR(3) NOT NULL,
+                destination VARCHAR(3) NOT NULL,
+                departure_date_from DATE NOT NULL,
+                departure_date_to DATE NOT NULL,
+                return_date DATE,
+                trip_length INTEGER, -- nights, for return trips over a date window
+                adults INTEGER DEFAULT 1,
+                children INTEGER DEFAULT 0,
+                infants INTEGER DEFAULT 0,
+                travel_class VARCHAR(20) DEFAULT 'ECONOMY',
+                non_stop BOOLEAN DEFAULT FALSE,
+                currency VARCHAR(3) DEFAULT 'USD',
+                target_price DECIMAL(10, 2),
+                drop_percent DECIMAL(5, 2) DEFAULT 10,
+                status VARCHAR(20) NOT NULL DEFAULT 'active', -- 'active', 'expired'
+                last_min_price DECIMAL(10, 2),
+                lowest_price DECIMAL(10, 2),
+                last_checked_at TIMESTAMP WITH TIME ZONE,
+                next_check_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+            );
+        `,
+        price_watch_history: `
+            CREATE TABLE IF NOT EXISTS price_watch_history (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                watch_id UUID REFERENCES price_watches(id) ON DELETE CASCADE,
+                min_price DECIMAL(10, 2) NOT NULL,
+                currency VARCHAR(3),
+                departure_date DATE,
+                return_date DATE,
+                offer_count INTEGER DEFAULT 0,
+                observed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+            );
+        `,
+        user_notifications: `
+            CREATE TABLE IF NOT EXISTS user_notifications (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                user_id UUID REFERENCES user_profiles(id),
+                type VARCHAR(50) NOT NULL, -- 'price_target', 'price_drop'
+                title VARCHAR(255),
+                message TEXT,
+                data JSONB DEFAULT '{}',
+                read BOOLEAN DEFAULT FALSE,
+                created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+            );
+        `,
         search_analytics: `
             CREATE TABLE IF NOT EXISTS search_analytics (
                 id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -590,6 +900,9 @@ module.exports = {
     // Service modules
     userService,
     routeService,
+    bookingService,
+    priceWatchService,
+    notificationService,
     analyticsService,
     cacheService,
 
@@ -0,0 +1,245 @@
+// Traveler (passenger and guest) model for flight and hotel searches
+// A search can send a `travelers` array instead of adults/children/infants counts, so ages,
+// seniors, students and seated or held infants are priced as what they are.
+//
+//   travelers: [{ type: 'adult' }, { type: 'child', age: 3 }, { type: 'infant', age: 1, seated: false }]
+
+// Age limits used by Amadeus traveler types, in years at the date of travel
+const TRAVELER_AGE_LIMITS = {
+    ADULT: { min: 12 },
+    SENIOR: { min: 12 },
+    YOUNG: { min: 12 },
+    STUDENT: { min: 12 },
+    CHILD: { min: 2, max: 11 },
+    SEATED_INFANT: { max: 1 },
+    HELD_INFANT: { max: 1 }
+};
+
+const TRAVELER_TYPES = ['adult', 'senior', 'young', 'student', 'child', 'infant'];
+const ADULT_TRAVELER_TYPES = ['ADULT', 'SENIOR', 'YOUNG', 'STUDENT'];
+const MAX_SEATED_TRAVELERS = 9; // Amadeus limit per flight search
+const MAX_ADULTS_PER_ROOM = 9; // Amadeus limit per hotel room
+
+// Traveler type from an age when the type is left out
+const typeFromAge = (age) => {
+    if (age < 2) return 'infant';
+    if (age < 12) return 'child';
+    return 'adult';
+};
+
+const isAdult = (traveler) => ADULT_TRAVELER_TYPES.includes(traveler.travelerType);
+
+/**
+ * Validate and normalise a travelers array
+ * Infants are held on an adult's lap unless `seated: true`; each held infant is paired with its own adult.
+ * @param {Object} options - { maxSeated } seat cap, for group searches that split the party later
+ * @returns {Object} { travelers: [{ id, type, age, seated, travelerType, associatedAdultId }], errors }
+ */
+const parseTravelers = (input, options = {}) => {
+    const maxSeated = options.maxSeated || MAX_SEATED_TRAVELERS;
+    const errors = [];
+
+    if (!Array.isArray(input) || input.length === 0) {
+        return { travelers: [], errors: ['travelers must be a non-empty array'] };
+    }
+
+    const travelers = input.map((traveler, index) => {
+        const label = `Traveler ${index + 1}`;
+        const hasAge = traveler?.age !== undefined && traveler?.age !== null && traveler?.age !== '';
+        const age = hasAge ? Number(traveler.age) : null;
+
+        if (hasAge && (!Number.isInteger(age) || age < 0 || age > 120)) {
+            errors.push(`${label}: age must be a whole number of years`);
+            return null;
+        }
+
+        let type = traveler?.type ? String(traveler.type).toLowerCase() : null;
+        // Amadeus spellings are accepted too
+        if (type === 'held_infant' || type === 'seated_infant') type = 'infant';
+        if (!type && hasAge) type = typeFromAge(age);
+
+        if (!TRAVELER_TYPES.includes(type)) {
+            errors.push(`${label}: type must be one of ${TRAVELER_TYPES.join(', ')} (or give an age)`);
+            return null;
+        }
+        if ((type === 'child' || type === 'infant') && !hasAge) {
+            errors.push(`${label}: age is required for every ${type}`);
+            return null;
+        }
+
+        const seated = type !== 'infant' || traveler.seated === true || String(traveler.type).toLowerCase() === 'seated_infant';
+        const travelerType = type === 'infant' ? (seated ? 'SEATED_INFANT' : 'HELD_INFANT') : type.toUpperCase();
+
+        const limits = TRAVELER_AGE_LIMITS[travelerType];
+        if (hasAge && ((limits.min !== undefined && age < limits.min) || (limits.max !== undefined && age > limits.max))) {
+            errors.push(`${label}: age ${age} does not match traveler type ${type}`);
+            return null;
+        }
+
+        return { id: String(index + 1), type, age, seated, travelerType, associatedAdultId: null };
+    });
+
+    if (errors.length > 0) return { travelers: [], errors };
+
+    const adults = travelers.filter(isAdult);
+    const infants = travelers.filter(traveler => traveler.type === 'infant');
+    const seatedCount = travelers.filter(traveler => traveler.seated).length;
+
+    if (adults.length === 0) {
+        errors.push('At least one traveler must be an adult (12 or over)');
+    }
+    if (infants.length > adults.length) {
+        errors.push(`Infants cannot outnumber adults (${infants.length} infants, ${adults.length} adults)`);
+    }
+    if (seatedCount > maxSeated) {
+        errors.push(`At most ${maxSeated} seated travelers per search (${seatedCount} given)`);
+    }
+
+    if (errors.length > 0) return { travelers: [], errors };
+
+    // One lap per adult
+    travelers
+        .filter(traveler => traveler.travelerType === 'HELD_INFANT')
+        .forEach((infant, index) => {
+            infant.associatedAdultId = adults[index].id;
+        });
+
+    return { travelers, errors };
+};
+
+/**
+ * Travelers in the format of the Amadeus flight offers search body
+ */
+const toAmadeusTravelers = (travelers) => travelers.map(traveler => ({
+    id: traveler.id,
+    travelerType: traveler.travelerType,
+    ...(traveler.associatedAdultId ? { associatedAdultId: traveler.associatedAdultId } : {})
+}));
+
+/**
+ * Adult, child and infant counts, for responses and APIs that only take counts
+ */
+const countTravelers = (travelers) => ({
+    adults: travelers.filter(isAdult).length,
+    children: travelers.filter(traveler => traveler.type === 'child').length,
+    infants: travelers.filter(traveler => traveler.type === 'infant').length
+});
+
+/**
+ * Split a party into sub-groups that each fit one flight search (MAX_SEATED_TRAVELERS seats)
+ * Seats are shared out as evenly as possible. Every sub-group gets an adult, held infants stay
+ * with their adult and seated infants never outnumber a sub-group's adults.
+ * Travelers are renumbered from 1 inside each sub-group; partyId keeps their id in the whole party.
+ * @returns {Object} { subgroups: [{ id, travelers, seated }], errors }
+ */
+const partitionTravelers = (travelers) => {
+    const seatedCount = travelers.filter(traveler => traveler.seated).length;
+    const groupCount = Math.ceil(seatedCount / MAX_SEATED_TRAVELERS);
+    const adults = travelers.filter(isAdult);
+
+    if (adults.length < groupCount) {
+        return { subgroups: [], errors: [`A party of ${seatedCount} seated travelers needs at least ${groupCount} adults, one per booking`] };
+    }
+
+    const groups = Array.from({ length: groupCount }, () => ({ members: [], seated: 0, adults: 0, infants: 0 }));
+
+    // An adult and the infant on their lap are placed together; adults with infants go first to spread the laps
+    const units = [
+        ...adults
+            .map(adult => [adult, ...travelers.filter(traveler => traveler.associatedAdultId === adult.id)])
+            .sort((a, b) => b.length - a.length),
+        ...travelers.filter(traveler => traveler.type === 'child').map(child => [child]),
+        ...travelers.filter(traveler => traveler.travelerType === 'SEATED_INFANT').map(infant => [infant])
+    ];
+
+    for (const unit of units) {
+        const lead = unit[0];
+        const infantsAdded = unit.filter(traveler => traveler.type === 'infant').length;
+        const adultsAdded = isAdult(lead) ? 1 : 0;
+
+        const group = groups
+            .filter(candidate => candidate.seated < MAX_SEATED_TRAVELERS &&
+                candidate.infants + infantsAdded <= candidate.adults + adultsAdded)
+            .sort((a, b) => a.seated - b.seated)[0];
+
+        if (!group) {
+            return { subgroups: [], errors: ['The party cannot be split so that every infant travels with an adult in the same booking'] };
+        }
+
+        group.members.push(...unit);
+        group.seated += 1;
+        group.adults += adultsAdded;
+        group.infants += infantsAdded;
+    }
+
+    const subgroups = groups.map((group, index) => {
+        const ids = new Map(group.members.map((traveler, memberIndex) => [traveler.id, String(memberIndex + 1)]));
+        return {
+            id: String.fromCharCode(65 + index), // A, B, C...
+            seated: group.seated,
+            travelers: group.members.map(traveler => ({
+                ...traveler,
+                id: ids.get(traveler.id),
+                partyId: traveler.id,
+                associatedAdultId: traveler.associatedAdultId ? ids.get(traveler.associatedAdultId) : null
+            }))
+        };
+    });
+
+    return { subgroups, errors: [] };
+};
+
+/**
+ * Share travelers across hotel rooms: adults spread evenly, children (and infants) placed round-robin
+ * Amadeus prices every room for the same guests, so searches use the fullest one.
+ * @returns {Object} { rooms: [{ adults, childAges }], adultsPerRoom, childAges, errors }
+ */
+const allocateRooms = (travelers, roomCount) => {
+    const { adults } = countTravelers(travelers);
+    const childAges = travelers.filter(traveler => !isAdult(traveler)).map(traveler => traveler.age);
+    const errors = [];
+
+    if (roomCount > adults) {
+        errors.push(`Each room needs an adult (${roomCount} rooms, ${adults} adults)`);
+        return { rooms: [], adultsPerRoom: 0, childAges: [], errors };
+    }
+
+    const rooms = Array.from({ length: roomCount }, (_, index) => ({
+        adults: Math.floor(adults / roomCount) + (index < adults % roomCount ? 1 : 0),
+        childAges: []
+    }));
+    childAges.forEach((age, index) => rooms[index % roomCount].childAges.push(age));
+
+    // The first room gets any extra adult and the first child, so it is the fullest
+    const fullestRoom = rooms[0];
+
+    if (fullestRoom.adults > MAX_ADULTS_PER_ROOM) {
+        errors.push(`At most ${MAX_ADULTS_PER_ROOM} adults per room; add rooms`);
+    }
+
+    return { rooms, adultsPerRoom: fullestRoom.adults, childAges: fullestRoom.childAges, errors };
+};
+
+/**
+ * Price of each traveler from an offer's Amadeus travelerPricings
+ * travelerId matches the id of the parsed traveler the search was made for
+ */
+const buildPriceBreakdown = (travelerPricings = []) => travelerPricings.map(pricing => ({
+    travelerId: pricing.travelerId,
+    travelerType: pricing.travelerType,
+    fareOption: pricing.fareOption || null,
+    total: parseFloat(pricing.price?.total),
+    base: parseFloat(pricing.price?.base),
+    currency: pricing.price?.currency || null
+}));
+
+module.exports = {
+    TRAVELER_AGE_LIMITS,
+    MAX_SEATED_TRAVELERS,
+    parseTravelers,
+    partitionTravelers,
+    toAmadeusTravelers,
+    countTravelers,
+    allocateRooms,
+    buildPriceBreakdown
+};
@@ -0,0 +1,41 @@
+// Helpers for running many upstream API calls without flooding them
+
+/**
+ * Map over items with at most `limit` promises in flight
+ * Results keep the order of the input items
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} mapper - async (item, index) => result
+ */
+const mapWithConcurrency = async (items, limit, mapper) => {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const worker = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await mapper(items[index], index);
+        }
+    };
+
+    const workers = Array.from({ length: Math.min(limit, items.length) }, () => worker());
+    await Promise.all(workers);
+
+    return results;
+};
+
+/**
+ * Split an array into chunks of `size`
+ */
+const chunk = (items, size) => {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+};
+
+module.exports = {
+    mapWithConcurrency,
+    chunk
+};
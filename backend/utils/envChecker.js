@@ -13,7 +13,8 @@ const checkEnvironmentVariables = () => {
         'PORT',
         'NODE_ENV',
         'CORS_ORIGIN',
-        'JWT_SECRET'
+        'JWT_SECRET',
+        'PRICE_WATCH_INTERVAL_MINUTES'
     ];
 
     const missing = [];
@@ -0,0 +1,48 @@
+// Great-circle helpers shared by the airport and emissions code
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Haversine distance between two points in kilometers
+ */
+const calculateDistance = (lat1, lon1, lat2, lon2) => {
+    const dLat = toRadians(lat2 - lat1);
+    const dLon = toRadians(lon2 - lon1);
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+            Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) *
+            Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    return EARTH_RADIUS_KM * c;
+};
+
+/**
+ * Point on the unit sphere for a latitude/longitude
+ * Straight-line distance between these vectors grows with great-circle distance,
+ * which lets a plain 3D k-d tree answer "nearest on the globe" queries
+ */
+const toUnitVector = (latitude, longitude) => {
+    const lat = toRadians(latitude);
+    const lon = toRadians(longitude);
+    return [
+        Math.cos(lat) * Math.cos(lon),
+        Math.cos(lat) * Math.sin(lon),
+        Math.sin(lat)
+    ];
+};
+
+/**
+ * Straight-line (chord) length between unit vectors that are `distanceKm` apart on the surface
+ */
+const chordLength = (distanceKm) => {
+    const angle = Math.min(distanceKm / EARTH_RADIUS_KM, Math.PI);
+    return 2 * Math.sin(angle / 2);
+};
+
+module.exports = {
+    EARTH_RADIUS_KM,
+    calculateDistance,
+    toUnitVector,
+    chordLength
+};
@@ -0,0 +1,79 @@
+// Static k-d tree for nearest-neighbour queries
+// Built once over a fixed set of points; each point is { vector: [x, y, z], item }
+
+const squaredDistance = (a, b) => {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+        const diff = a[i] - b[i];
+        sum += diff * diff;
+    }
+    return sum;
+};
+
+const buildNode = (points, depth) => {
+    if (points.length === 0) return null;
+
+    const axis = depth % points[0].vector.length;
+    const sorted = [...points].sort((a, b) => a.vector[axis] - b.vector[axis]);
+    const median = Math.floor(sorted.length / 2);
+
+    return {
+        point: sorted[median],
+        axis,
+        left: buildNode(sorted.slice(0, median), depth + 1),
+        right: buildNode(sorted.slice(median + 1), depth + 1)
+    };
+};
+
+/**
+ * Build a k-d tree
+ * @param {Array} points - [{ vector, item }]
+ */
+const createKdTree = (points) => {
+    const root = buildNode(points, 0);
+
+    /**
+     * Find the k nearest items to a target vector
+     * @param {Array} target - Query vector
+     * @param {Object} options - { k, maxDistance, filter(item) }
+     * @returns {Array} [{ item, distance }] sorted nearest first
+     */
+    const nearest = (target, options = {}) => {
+        const { k = 10, maxDistance = Infinity, filter } = options;
+        const maxDistanceSq = maxDistance * maxDistance;
+        const results = []; // kept sorted by distanceSq, at most k entries
+
+        const worstAllowed = () => (results.length < k ? maxDistanceSq : results[results.length - 1].distanceSq);
+
+        const visit = (node) => {
+            if (!node) return;
+
+            const distanceSq = squaredDistance(target, node.point.vector);
+            if (distanceSq <= worstAllowed() && (!filter || filter(node.point.item))) {
+                const index = results.findIndex(result => result.distanceSq > distanceSq);
+                results.splice(index === -1 ? results.length : index, 0, { item: node.point.item, distanceSq });
+                if (results.length > k) results.pop();
+            }
+
+            const diff = target[node.axis] - node.point.vector[node.axis];
+            const near = diff < 0 ? node.left : node.right;
+            const far = diff < 0 ? node.right : node.left;
+
+            visit(near);
+            // Only cross the splitting plane when a closer point could be on the other side
+            if (diff * diff <= worstAllowed()) {
+                visit(far);
+            }
+        };
+
+        if (k > 0) visit(root);
+
+        return results.map(result => ({ item: result.item, distance: Math.sqrt(result.distanceSq) }));
+    };
+
+    return { nearest, size: points.length };
+};
+
+module.exports = {
+    createKdTree
+};
@@ -0,0 +1,72 @@
+// Newline-delimited JSON (NDJSON) responses for streaming searches
+// Each event is one JSON object on its own line: { type: 'progress' | 'results' | 'summary' | 'error', ... }.
+// NDJSON rather than Server-Sent Events so POST searches can stream too.
+
+const { openStream, writeAndFlush } = require('./streamResponse');
+
+/**
+ * Wrap an Express response so a search handler can stream events
+ * Until the first event is sent it behaves like res, so validation errors keep their status codes.
+ * After that, res.json(body) becomes the closing summary event (or error event for failures).
+ */
+const createNdjsonResponse = (res) => {
+    let statusCode = 200;
+    let opened = false;
+    let closed = false;
+
+    // Not req 'close': that fires as soon as a POST body has been read
+    res.on('close', () => {
+        closed = true;
+    });
+
+    const open = () => {
+        if (opened) return;
+        opened = true;
+        openStream(res, 'application/x-ndjson; charset=utf-8');
+    };
+
+    const stream = {
+        isNdjsonStream: true,
+
+        get closed() {
+            return closed || res.writableEnded;
+        },
+
+        send(event) {
+            if (stream.closed) return;
+            open();
+            writeAndFlush(res, `${JSON.stringify(event)}\n`);
+        },
+
+        status(code) {
+            statusCode = code;
+            return stream;
+        },
+
+        json(body) {
+            if (!opened && statusCode >= 400) {
+                return res.status(statusCode).json(body);
+            }
+
+            stream.send(body?.success === false
+                ? { type: 'error', status: statusCode, ...body }
+                : { type: 'summary', ...body });
+            if (!res.writableEnded) res.end();
+            return stream;
+        }
+    };
+
+    return stream;
+};
+
+/**
+ * Send an event when the handler is streaming; plain JSON responses ignore it
+ */
+const streamEvent = (res, event) => {
+    if (res.isNdjsonStream) res.send(event);
+};
+
+module.exports = {
+    createNdjsonResponse,
+    streamEvent
+};
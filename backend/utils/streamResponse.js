@@ -0,0 +1,30 @@
+// Shared plumbing for streamed responses: NDJSON searches and Server-Sent Events
+
+/**
+ * Send the headers of a streamed response straight away
+ * @param {string} contentType - e.g. 'application/x-ndjson; charset=utf-8' or 'text/event-stream'
+ * @param {Object} headers - Extra headers for this kind of stream
+ */
+const openStream = (res, contentType, headers = {}) => {
+    res.status(200).set({
+        'Content-Type': contentType,
+        'Cache-Control': 'no-cache',
+        'X-Accel-Buffering': 'no', // Stop proxies from buffering the stream
+        ...headers
+    });
+    res.flushHeaders();
+};
+
+/**
+ * Write a chunk and push it out now
+ * compression buffers responses; flush sends each chunk straight away
+ */
+const writeAndFlush = (res, chunk) => {
+    res.write(chunk);
+    if (typeof res.flush === 'function') res.flush();
+};
+
+module.exports = {
+    openStream,
+    writeAndFlush
+};
@@ -0,0 +1,132 @@
+// Wall-clock <-> UTC conversion for IANA time zones, using the Intl support built into Node
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+};
+
+/**
+ * Whether Intl knows the zone name
+ */
+const isValidTimeZone = (timeZone) => {
+    if (!timeZone) return false;
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Offset of a zone from UTC at an instant, in minutes (e.g. 480 for Asia/Singapore)
+ */
+const getOffsetMinutes = (timeZone, epochMs) => {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(new Date(epochMs)).forEach(part => {
+        parts[part.type] = part.value;
+    });
+
+    const asUtc = Date.UTC(
+        parseInt(parts.year), parseInt(parts.month) - 1, parseInt(parts.day),
+        parseInt(parts.hour), parseInt(parts.minute), parseInt(parts.second)
+    );
+
+    return Math.round((asUtc - Math.floor(epochMs / 1000) * 1000) / 60000);
+};
+
+/**
+ * Parse a local "YYYY-MM-DDTHH:mm[:ss]" string as if it were UTC
+ */
+const parseWallClock = (localDateTime) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?/.exec(localDateTime || '');
+    if (!match) return null;
+
+    const [, year, month, day, hour, minute, second = '0'] = match;
+    return Date.UTC(parseInt(year), parseInt(month) - 1, parseInt(day), parseInt(hour), parseInt(minute), parseInt(second));
+};
+
+/**
+ * Format an offset in minutes as "+05:30"
+ */
+const formatOffset = (offsetMinutes) => {
+    const sign = offsetMinutes < 0 ? '-' : '+';
+    const absolute = Math.abs(offsetMinutes);
+    const hours = String(Math.floor(absolute / 60)).padStart(2, '0');
+    const minutes = String(absolute % 60).padStart(2, '0');
+    return `${sign}${hours}:${minutes}`;
+};
+
+/**
+ * Convert a local wall-clock time at a place to a UTC instant
+ * @param {string} localDateTime - e.g. "2025-07-01T23:45:00"
+ * @param {Object} zone - { timeZone } IANA name, or { offsetMinutes } when only a fixed offset is known
+ * @returns {Object|null} { utc, epochMs, offsetMinutes, utcOffset }
+ */
+const toUtc = (localDateTime, zone = {}) => {
+    const wallClockMs = parseWallClock(localDateTime);
+    if (wallClockMs === null) return null;
+
+    let offsetMinutes;
+    if (zone.timeZone) {
+        // The offset depends on the instant we are solving for; a second pass settles DST edges
+        offsetMinutes = getOffsetMinutes(zone.timeZone, wallClockMs);
+        const secondGuess = getOffsetMinutes(zone.timeZone, wallClockMs - offsetMinutes * 60000);
+        if (secondGuess !== offsetMinutes) offsetMinutes = secondGuess;
+    } else if (Number.isFinite(zone.offsetMinutes)) {
+        offsetMinutes = zone.offsetMinutes;
+    } else {
+        return null;
+    }
+
+    const epochMs = wallClockMs - offsetMinutes * 60000;
+    return {
+        utc: new Date(epochMs).toISOString(),
+        epochMs,
+        offsetMinutes,
+        utcOffset: formatOffset(offsetMinutes)
+    };
+};
+
+/**
+ * Local wall-clock hour (0-23, fractional) at an instant
+ */
+const getLocalHour = (epochMs, zone = {}) => {
+    const offsetMinutes = zone.timeZone ? getOffsetMinutes(zone.timeZone, epochMs) : zone.offsetMinutes;
+    if (!Number.isFinite(offsetMinutes)) return null;
+
+    const localMs = epochMs + offsetMinutes * 60000;
+    return (((localMs / 3600000) % 24) + 24) % 24;
+};
+
+/**
+ * Whole days between the local dates of two wall-clock strings ("+1 day" arrivals)
+ */
+const localDayDelta = (fromLocalDateTime, toLocalDateTime) => {
+    const from = parseWallClock(`${String(fromLocalDateTime).slice(0, 10)}T00:00`);
+    const to = parseWallClock(`${String(toLocalDateTime).slice(0, 10)}T00:00`);
+    if (from === null || to === null) return null;
+    return Math.round((to - from) / 86400000);
+};
+
+module.exports = {
+    isValidTimeZone,
+    getOffsetMinutes,
+    formatOffset,
+    toUtc,
+    getLocalHour,
+    localDayDelta
+};
@@ -1,18 +1,217 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { Search, MapPin, Calendar, Users, Plane, Hotel, Star, Clock, Filter, Menu, X, ChevronRight, Globe, Heart, User, ChevronDown } from 'lucide-react';
+import { Search, MapPin, Calendar, Users, Plane, Hotel, Star, Clock, Filter, Menu, X, ChevronRight, Globe, Heart, User, ChevronDown, Leaf } from 'lucide-react';
 
 
+// "To" value that asks for destination ideas (cheapest places to fly) instead of flights
+const ANYWHERE = 'Anywhere';
 
+// Live status of a saved flight, streamed from /api/flights/status/stream
+const FlightStatusWidget = ({ apiBase, carrier, flightNumber, date }) => {
+  const [status, setStatus] = useState(null);
+  const [changedFields, setChangedFields] = useState([]);
+  const [connection, setConnection] = useState('connecting');
+
+  useEffect(() => {
+    if (!carrier || !flightNumber || !date) return undefined;
+
+    const params = new URLSearchParams({ carrier, flight: flightNumber, date });
+    const source = new EventSource(`${apiBase}/api/flights/status/stream?${params.toString()}`);
+
+    source.addEventListener('snapshot', (event) => {
+      setStatus(JSON.parse(event.data).status);
+      setConnection('live');
+    });
+    source.addEventListener('update', (event) => {
+      const { changes } = JSON.parse(event.data);
+      setChangedFields(Object.keys(changes));
+      setStatus(prev => {
+        const next = { ...prev, departure: { ...prev?.departure }, arrival: { ...prev?.arrival } };
+        Object.entries(changes).forEach(([path, change]) => {
+          const [side, field] = path.split('.');
+          next[side][field] = change.to;
+        });
+        return next;
+      });
+    });
+    source.addEventListener('unavailable', () => setConnection('unavailable'));
+    source.addEventListener('end', () => {
+      setConnection('ended');
+      source.close();
+    });
+    source.onerror = () => setConnection(source.readyState === EventSource.CLOSED ? 'ended' : 'reconnecting');
+
+    return () => source.close();
+  }, [apiBase, carrier, flightNumber, date]);
+
+  const formatTime = (value) => value
+    ? new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', hour12: true })
+    : '--';
+  const highlight = (path) => changedFields.includes(path) ? 'bg-yellow-100 text-yellow-900 rounded px-1' : '';
+  const departure = status?.departure || {};
+
+  return (
+    <div className="mt-3 p-3 bg-slate-50 border border-slate-200 rounded-lg text-sm">
+      <div className="flex items-center justify-between mb-2">
+        <span className="font-medium text-gray-800">{carrier} {flightNumber} live status</span>
+        <span className={`flex items-center text-xs ${connection === 'live' ? 'text-green-600' : 'text-gray-500'}`}>
+          <span className={`w-2 h-2 rounded-full mr-1 ${connection === 'live' ? 'bg-green-500' : 'bg-gray-400'}`} />
+          {connection}
+        </span>
+      </div>
+      {status ? (
+        <div className="grid grid-cols-4 gap-2 text-gray-700">
+          <div>
+            <div className="text-xs text-gray-500">Terminal</div>
+            <div className={highlight('departure.terminal')}>{departure.terminal || 'TBD'}</div>
+          </div>
+          <div>
+            <div className="text-xs text-gray-500">Gate</div>
+            <div className={highlight('departure.gate')}>{departure.gate || 'TBD'}</div>
+          </div>
+          <div>
+            <div className="text-xs text-gray-500">Departs</div>
+            <div className={highlight('departure.estimated')}>{formatTime(departure.actual || departure.estimated || departure.scheduled)}</div>
+          </div>
+          <div>
+            <div className="text-xs text-gray-500">Delay</div>
+            <div className={`${highlight('departure.delayMinutes')} ${departure.delayMinutes ? 'text-red-600' : 'text-green-600'}`}>
+              {departure.delayMinutes ? `${departure.delayMinutes} min` : 'On time'}
+            </div>
+          </div>
+        </div>
+      ) : (
+        <div className="text-gray-500">{connection === 'unavailable' ? 'Status not available yet' : 'Checking flight status...'}</div>
+      )}
+    </div>
+  );
+};
+
+// Month heatmap of the lowest fare per day on a route, from /api/flights/cheapest-dates
+// A trip length (days) makes it a round-trip calendar; picking a day fills the search dates
+const PriceCalendar = ({ apiBase, origin, destination, initialMonth, tripDays, onPickDate }) => {
+  const [month, setMonth] = useState(initialMonth);
+  const [calendar, setCalendar] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const params = new URLSearchParams({ origin, destination, month });
+    if (tripDays) params.append('duration', tripDays.toString());
+
+    setLoading(true);
+    setError(null);
+    fetch(`${apiBase}/api/flights/cheapest-dates?${params.toString()}`)
+      .then(response => response.json())
+      .then(result => {
+        if (cancelled) return;
+        if (result.success) {
+          setCalendar(result.data);
+        } else {
+          setCalendar(null);
+          setError(result.message || result.error);
+        }
+      })
+      .catch(fetchError => !cancelled && setError(fetchError.message))
+      .finally(() => !cancelled && setLoading(false));
+
+    return () => { cancelled = true; };
+  }, [apiBase, origin, destination, month, tripDays]);
+
+  const shiftMonth = (delta) => {
+    const [year, monthNumber] = month.split('-').map(Number);
+    const shifted = new Date(Date.UTC(year, monthNumber - 1 + delta, 1));
+    setMonth(shifted.toISOString().slice(0, 7));
+  };
+
+  // Cheapest fifth of the range is darkest green, dearest fifth is red
+  const heatClass = (price) => {
+    const range = calendar.priceRange;
+    if (price === null || !range) return 'bg-gray-50 text-gray-300';
+    const position = range.max > range.min ? (price - range.min) / (range.max - range.min) : 0;
+    if (position < 0.2) return 'bg-green-200 text-green-900';
+    if (position < 0.4) return 'bg-green-100 text-green-800';
+    if (position < 0.6) return 'bg-yellow-100 text-yellow-800';
+    if (position < 0.8) return 'bg-orange-100 text-orange-800';
+    return 'bg-red-100 text-red-800';
+  };
+
+  // Monday-first weeks
+  const leadingBlanks = (new Date(`${month}-01T00:00:00Z`).getUTCDay() + 6) % 7;
+  const isCurrentMonth = month <= new Date().toISOString().slice(0, 7);
+
+  return (
+    <div className="mt-6 p-4 bg-white/95 rounded-xl text-sm text-gray-800">
+      <div className="flex items-center justify-between mb-3">
+        <button
+          onClick={() => shiftMonth(-1)}
+          disabled={isCurrentMonth || loading}
+          className="px-3 py-1 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-40"
+        >
+          ‹
+        </button>
+        <div className="text-center">
+          <div className="font-semibold">
+            {new Date(`${month}-01T00:00:00Z`).toLocaleDateString([], { month: 'long', year: 'numeric', timeZone: 'UTC' })}
+            {' · '}{origin} → {destination}
+          </div>
+          <div className="text-xs text-gray-500">
+            {tripDays ? `Round trip, ${tripDays} days` : 'One way'}
+            {calendar?.currency && ` · ${calendar.currency}`}
+            {calendar?.source === 'sampled' && ' · sampled days only'}
+          </div>
+        </div>
+        <button
+          onClick={() => shiftMonth(1)}
+          disabled={loading}
+          className="px-3 py-1 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-40"
+        >
+          ›
+        </button>
+      </div>
+
+      {error && <div className="text-red-600 mb-2">{error}</div>}
+      {loading && <div className="text-gray-500 mb-2">Finding the cheapest dates...</div>}
+
+      {calendar && calendar.month === month && (
+        <div className="grid grid-cols-7 gap-1">
+          {['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].map(day => (
+            <div key={day} className="text-center text-xs font-medium text-gray-500">{day}</div>
+          ))}
+          {Array.from({ length: leadingBlanks }, (_, i) => <div key={`blank-${i}`} />)}
+          {calendar.days.map(day => (
+            <button
+              key={day.date}
+              onClick={() => onPickDate(day)}
+              disabled={day.past}
+              title={day.returnDate ? `Return ${day.returnDate}` : undefined}
+              className={`p-2 rounded-lg text-center ${heatClass(day.price)} ${day.past ? 'opacity-40 cursor-not-allowed' : 'hover:ring-2 hover:ring-blue-500'} ${day.cheapest ? 'ring-2 ring-green-600' : ''}`}
+            >
+              <div className="text-xs">{parseInt(day.date.slice(8))}</div>
+              <div className="font-semibold">{day.price !== null ? Math.round(day.price) : '–'}</div>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
 
 const Trippy = () => {
   const [activeTab, setActiveTab] = useState('search');
   const [searchType, setSearchType] = useState('flights');
   const [isLoading, setIsLoading] = useState(false);
   const [searchResults, setSearchResults] = useState([]);
+  const [resultsPage, setResultsPage] = useState(null); // { searchId, nextCursor, total } of the loaded results
   const [favorites, setFavorites] = useState([]);
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [showFilters, setShowFilters] = useState(false);
   const [sortWeight, setSortWeight] = useState(50);
+  const [locationChoice, setLocationChoice] = useState(null); // 409 ambiguous-location response awaiting a pick
+  const [airlines, setAirlines] = useState({}); // IATA code -> { name, alliance, logo }
+  const [inspiration, setInspiration] = useState(null); // "Anywhere" results: { origin, currency, destinations }
+  const [unpricedHotels, setUnpricedHotels] = useState([]); // Hotels searched without offers for the dates
+  const [showPriceCalendar, setShowPriceCalendar] = useState(false);
 
   
   // Filter state
@@ -20,8 +219,16 @@ const Trippy = () => {
     priceRange: [0, 5000],
     stops: 'any',
     airlines: [],
-    departureTime: 'any',
-    duration: 'any'
+    // Applied by the server on the next search
+    maxDuration: 'any', // hours
+    maxLayover: 'any', // hours
+    avoidOvernightLayover: false,
+    avoidAirportChange: false,
+    checkedBag: false,
+    alliance: 'any',
+    greenerFirst: false, // sort by CO2 on the server
+    minRating: 'any', // hotels: traveler rating out of 100
+    hotelSort: 'default' // hotels: price, rating or value
   });
   
   const [user] = useState({ id: 'user123', name: 'Travel Explorer' });
@@ -84,16 +291,8 @@ const Trippy = () => {
   };
 
   // Helper functions
-  const getAirlineName = (code) => {
-    const airlines = {
-      'AA': 'American Airlines', 'DL': 'Delta Air Lines', 'UA': 'United Airlines',
-      'WN': 'Southwest Airlines', 'AS': 'Alaska Airlines', 'B6': 'JetBlue Airways',
-      'NK': 'Spirit Airlines', 'F9': 'Frontier Airlines', 'LH': 'Lufthansa',
-      'BA': 'British Airways', 'AF': 'Air France', 'KL': 'KLM', 'EK': 'Emirates',
-      'QR': 'Qatar Airways', 'TK': 'Turkish Airlines', 'SQ': 'Singapore Airlines'
-    };
-    return airlines[code] || code;
-  };
+  // Names come from /api/flights/airlines and the airlines of each search response
+  const getAirlineName = (code) => airlines[code]?.name || code;
 
   const formatDuration = (duration) => {
     if (!duration) return 'Duration TBD';
@@ -105,6 +304,13 @@ const Trippy = () => {
     return (hours + minutes).trim() || duration;
   };
 
+  const formatMinutes = (totalMinutes) => {
+    if (totalMinutes === null || totalMinutes === undefined) return 'Time TBD';
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+  };
+
   // API call function
   const apiCall = useCallback(async (endpoint, options = {}) => {
     try {
@@ -122,7 +328,10 @@ const Trippy = () => {
         } catch {
           errorData = { message: responseText };
         }
-        throw new Error(`API Error: ${response.status} - ${errorData.message || errorData.error}`);
+        const apiError = new Error(`API Error: ${response.status} - ${errorData.message || errorData.error}`);
+        apiError.status = response.status;
+        apiError.data = errorData;
+        throw apiError;
       }
       
       return JSON.parse(responseText);
@@ -132,6 +341,60 @@ const Trippy = () => {
     }
   }, [API_BASE]);
 
+  // Read an NDJSON search stream; onEvent gets each progress/results event as it arrives
+  // Resolves with the closing summary event, which has the same shape as the plain search response
+  const streamApiCall = useCallback(async (endpoint, onEvent) => {
+    const response = await fetch(`${API_BASE}${endpoint}`);
+
+    if (!response.ok) {
+      const responseText = await response.text();
+      let errorData;
+      try {
+        errorData = JSON.parse(responseText);
+      } catch {
+        errorData = { message: responseText };
+      }
+      const apiError = new Error(`API Error: ${response.status} - ${errorData.message || errorData.error}`);
+      apiError.status = response.status;
+      apiError.data = errorData;
+      throw apiError;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let summary = null;
+
+    const handleLine = (line) => {
+      if (!line.trim()) return;
+      const event = JSON.parse(line);
+      if (event.type === 'error') {
+        const apiError = new Error(`API Error: ${event.status} - ${event.message || event.error}`);
+        apiError.status = event.status;
+        apiError.data = event;
+        throw apiError;
+      }
+      if (event.type === 'summary') {
+        summary = event;
+      } else {
+        onEvent(event);
+      }
+    };
+
+    let chunk = await reader.read();
+    while (!chunk.done) {
+      buffer += decoder.decode(chunk.value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+      chunk = await reader.read();
+    }
+    handleLine(buffer);
+
+    if (!summary) throw new Error('Search stream ended early');
+    return summary;
+  }, [API_BASE]);
+
   // Input change handler
   const handleInputChange = useCallback((field, value) => {
     setSearchForm(prev => ({ ...prev, [field]: value }));
@@ -174,47 +437,24 @@ const price = parseFloat(
 });
 
   
-  const Weighted_filteredResults = [...searchResults]
+  // Already in the server's order (sort=score with the price/duration balance, or co2)
+  const Weighted_filteredResults = searchResults
   .filter(item => {
     if (searchType !== 'flights') return true;
 
     const price = parseFloat(item.pricing?.total || item.pricing?.grandTotal || item.price || 0);
-    const durationStr = item.outboundJourney?.duration || '';
-    const match = durationStr.match(/PT(\d+H)?(\d+M)?/);
-    const hours = match?.[1] ? parseInt(match[1]) : 0;
-    const minutes = match?.[2] ? parseInt(match[2]) : 0;
-    const durationMins = hours * 60 + minutes;
 
     if (price < filters.priceRange[0] || price > filters.priceRange[1]) return false;
     const stops = item.outboundJourney?.segments?.length - 1 || 0;
     if (filters.stops === 'direct' && stops > 0) return false;
     if (filters.stops === '1stop' && stops !== 1) return false;
     return true;
-  })
-  .sort((a, b) => {
-    if (searchType !== 'flights') return 0;
-
-    const getPrice = (item) => parseFloat(item.pricing?.total || item.pricing?.grandTotal || item.price || 0);
-    const getDuration = (item) => {
-      const match = item.outboundJourney?.duration?.match(/PT(\d+H)?(\d+M)?/);
-      const hours = match?.[1] ? parseInt(match[1]) : 0;
-      const minutes = match?.[2] ? parseInt(match[2]) : 0;
-      return hours * 60 + minutes;
-    };
-
-    const aPrice = getPrice(a), bPrice = getPrice(b);
-    const aDur = getDuration(a), bDur = getDuration(b);
-
-    const weight = sortWeight / 100;
-    const aScore = aPrice * (1 - weight) + aDur * weight;
-    const bScore = bPrice * (1 - weight) + bDur * weight;
-
-    return aScore - bScore;
   });
 
 
   // Search function
-  const handleSearch = useCallback(async () => {
+  // `resume` re-issues a search that stopped on an ambiguous location: { resumeToken, choices: { origin: 'LHR' } }
+  const handleSearch = useCallback(async (resume = null) => {
     if (searchType === 'flights') {
       if (!searchForm.origin || !searchForm.destination) {
         alert('Please enter both origin and destination for flight search');
@@ -227,11 +467,43 @@ const price = parseFloat(
       }
     }
 
+    // Offers in streamed events (hotel results, flight progress per upstream search) are shown as they
+    // arrive; the summary then replaces them with the first page. Offer ids repeat across searches.
+    const showPartialResults = (event) => {
+      const items = event.flights || event.hotels || [];
+      if (items.length === 0) return;
+
+      setSearchResults(prev => [
+        ...prev,
+        ...items.map((item, index) => ({ ...item, uniqueId: `${searchType}-partial-${prev.length + index}` }))
+      ]);
+      setActiveTab('results');
+    };
+
     setIsLoading(true);
+    setSearchResults([]);
+    setResultsPage(null);
+    setInspiration(null);
+    setUnpricedHotels([]);
     try {
       let endpoint = '';
       let results;
       
+      if (searchType === 'flights' && searchForm.destination === ANYWHERE) {
+        // Cheapest destinations from the origin, shown as cards sorted by price
+        const params = new URLSearchParams({ origin: searchForm.origin });
+        if (searchForm.departDate) params.append('departureWindow', searchForm.departDate);
+        if (!searchForm.returnDate) params.append('oneWay', 'true');
+        if (filters.priceRange[1] < 5000) params.append('maxPrice', filters.priceRange[1].toString());
+
+        results = await apiCall(resume
+          ? `/api/flights/inspiration?${new URLSearchParams({ resumeToken: resume.resumeToken, ...resume.choices }).toString()}`
+          : `/api/flights/inspiration?${params.toString()}`);
+        setInspiration(results.data);
+        setActiveTab('results');
+        return;
+      }
+
       if (searchType === 'flights') {
         const params = new URLSearchParams({
           origin: searchForm.origin,
@@ -244,9 +516,25 @@ const price = parseFloat(
         if (searchForm.returnDate) {
           params.append('returnDate', searchForm.returnDate);
         }
+
+        // Connection filters run server-side, before results are cached
+        if (filters.maxDuration !== 'any') params.append('maxTotalDuration', (parseInt(filters.maxDuration) * 60).toString());
+        if (filters.maxLayover !== 'any') params.append('maxLayover', (parseInt(filters.maxLayover) * 60).toString());
+        if (filters.avoidOvernightLayover) params.append('avoidOvernightLayover', 'true');
+        if (filters.avoidAirportChange) params.append('avoidAirportChange', 'true');
+        if (filters.checkedBag) params.append('checkedBags', '1');
+        if (filters.alliance !== 'any') params.append('alliance', filters.alliance);
+        if (filters.greenerFirst) {
+          params.append('sort', 'co2');
+        } else {
+          params.append('sort', 'score');
+          params.append('durationWeight', sortWeight.toString());
+        }
         
-        endpoint = `/api/flights/search?${params.toString()}`;
-        results = await apiCall(endpoint, { method: 'GET' });
+        endpoint = resume
+          ? `/api/flights/search/stream?${new URLSearchParams({ resumeToken: resume.resumeToken, ...resume.choices }).toString()}`
+          : `/api/flights/search/stream?${params.toString()}`;
+        results = await streamApiCall(endpoint, showPartialResults);
         
       } else if (searchType === 'hotels') {
         let cityName = searchForm.destination.trim();
@@ -265,13 +553,17 @@ const price = parseFloat(
           adults: searchForm.passengers.toString(),
           rooms: searchForm.rooms.toString(),
           currency: 'USD',
-          max: '20'
+          max: '100'
         });
         
         if (country) params.append('country', country);
+        if (filters.minRating !== 'any') params.append('minRating', filters.minRating);
+        if (filters.hotelSort !== 'default') params.append('sort', filters.hotelSort);
         
-        endpoint = `/api/hotels/search?${params.toString()}`;
-        results = await apiCall(endpoint, { method: 'GET' });
+        endpoint = resume
+          ? `/api/hotels/search/stream?${new URLSearchParams({ resumeToken: resume.resumeToken, ...resume.choices }).toString()}`
+          : `/api/hotels/search/stream?${params.toString()}`;
+        results = await streamApiCall(endpoint, showPartialResults);
       }
 
       // Process results
@@ -280,6 +572,9 @@ const price = parseFloat(
         if (searchType === 'flights') {
           if (results.data?.flights && Array.isArray(results.data.flights)) {
             resultsArray = results.data.flights;
+            if (results.data.airlines) {
+              setAirlines(prev => ({ ...prev, ...results.data.airlines }));
+            }
           } else if (Array.isArray(results.data)) {
             resultsArray = results.data;
           } else if (Array.isArray(results.flights)) {
@@ -288,6 +583,7 @@ const price = parseFloat(
         } else if (searchType === 'hotels') {
           if (results.data?.hotels && Array.isArray(results.data.hotels)) {
             resultsArray = results.data.hotels;
+            setUnpricedHotels(results.data.unpricedHotels || []);
           } else if (Array.isArray(results.data)) {
             resultsArray = results.data;
           }
@@ -301,15 +597,100 @@ const price = parseFloat(
       }));
       
       setSearchResults(resultsWithIds);
+      setResultsPage(results?.data?.page ? {
+        kind: searchType,
+        searchId: results.data.searchId,
+        nextCursor: results.data.page.nextCursor,
+        total: results.data.page.total
+      } : null);
       setActiveTab('results');
 
     } catch (error) {
+      if (error.status === 409 && error.data?.ambiguities) {
+        // Let the user pick which airport or city they meant
+        setLocationChoice({
+          resumeToken: error.data.resumeToken,
+          ambiguities: error.data.ambiguities,
+          selections: {}
+        });
+        return;
+      }
       console.error('Search failed:', error);
       alert(`Search failed: ${error.message}`);
     } finally {
       setIsLoading(false);
     }
-  }, [searchForm, searchType, apiCall]);
+  }, [searchForm, searchType, filters, sortWeight, apiCall, streamApiCall]);
+
+  // Re-issue the search once a location has been picked for every ambiguous field
+  const handleLocationChoice = useCallback((field, candidate) => {
+    const selections = { ...locationChoice.selections, [field]: candidate };
+    const allChosen = locationChoice.ambiguities.every(ambiguity => selections[ambiguity.field]);
+
+    if (!allChosen) {
+      setLocationChoice({ ...locationChoice, selections });
+      return;
+    }
+
+    const choices = {};
+    Object.entries(selections).forEach(([choiceField, choice]) => {
+      choices[choiceField] = choice.code;
+      // Show the chosen code in the form so the next search does not ask again
+      handleInputChange(choiceField === 'city' ? 'destination' : choiceField, choice.code);
+    });
+
+    setLocationChoice(null);
+    handleSearch({ resumeToken: locationChoice.resumeToken, choices });
+  }, [locationChoice, handleInputChange, handleSearch]);
+
+  // Next pages and re-sorts read the results stored by the last search, without searching again
+  // `pageParams` is { cursor } to append the next page, or { searchId, sort, ... } to reload in a new order
+  const loadResultsPage = useCallback(async (pageParams) => {
+    if (!resultsPage) return;
+
+    setIsLoading(true);
+    try {
+      const results = await apiCall(`/api/${resultsPage.kind}/search?${new URLSearchParams(pageParams).toString()}`);
+      const items = (resultsPage.kind === 'flights' ? results.data?.flights : results.data?.hotels) || [];
+      const itemsWithIds = items.map((item, index) => ({
+        ...item,
+        uniqueId: item.id || `${resultsPage.kind}-${results.data.page.offset + index}-${Date.now()}`
+      }));
+
+      setSearchResults(prev => (pageParams.cursor ? [...prev, ...itemsWithIds] : itemsWithIds));
+      setResultsPage({ ...resultsPage, nextCursor: results.data.page.nextCursor, total: results.data.page.total });
+    } catch (error) {
+      console.error('Loading results failed:', error);
+      alert(`Loading results failed: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [resultsPage, apiCall]);
+
+  // Trip length for the price calendar, from the dates already in the form (one way without a return date)
+  const calendarTripDays = (() => {
+    if (!searchForm.departDate || !searchForm.returnDate) return null;
+    const days = Math.round((new Date(searchForm.returnDate) - new Date(searchForm.departDate)) / 86400000);
+    return days >= 1 && days <= 15 ? days : null;
+  })();
+
+  // Take an "Anywhere" destination back to the search form for real flight offers
+  const searchInspirationDestination = (item) => {
+    setSearchForm(prev => ({
+      ...prev,
+      destination: item.destination.code,
+      departDate: item.departureDate,
+      returnDate: item.returnDate || ''
+    }));
+    setInspiration(null);
+    setActiveTab('search');
+  };
+
+  // Re-rank the loaded flights once the price/duration slider is released
+  const handleSortWeightCommit = (value) => {
+    if (resultsPage?.kind !== 'flights' || filters.greenerFirst) return;
+    loadResultsPage({ searchId: resultsPage.searchId, sort: 'score', durationWeight: value });
+  };
 
   // Toggle favorite
   const toggleFavorite = useCallback(async (item) => {
@@ -328,6 +709,18 @@ const price = parseFloat(
   }, [favorites]);
 
   // Load user data
+  useEffect(() => {
+    const loadAirlines = async () => {
+      try {
+        const airlineData = await apiCall('/api/flights/airlines');
+        setAirlines(Object.fromEntries((airlineData.data || []).map(airline => [airline.iataCode, airline])));
+      } catch (error) {
+        console.error('Failed to load airlines:', error);
+      }
+    };
+    loadAirlines();
+  }, [apiCall]);
+
   useEffect(() => {
     const loadUserData = async () => {
       try {
@@ -351,6 +744,52 @@ const price = parseFloat(
         <div></div>
       </div>
 
+      {/* Ambiguous location picker */}
+      {locationChoice && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
+          <div className="bg-white rounded-xl shadow-xl w-full max-w-lg max-h-[80vh] overflow-y-auto">
+            <div className="flex items-center justify-between px-6 py-4 border-b">
+              <h3 className="text-lg font-semibold">Which one did you mean?</h3>
+              <button onClick={() => setLocationChoice(null)} className="text-gray-500 hover:text-gray-700">
+                <X size={20} />
+              </button>
+            </div>
+            {locationChoice.ambiguities.map(ambiguity => (
+              <div key={ambiguity.field} className="px-6 py-4 border-b last:border-b-0">
+                <p className="text-sm text-gray-600 mb-3">
+                  <span className="font-medium capitalize">{ambiguity.field}</span>: "{ambiguity.query}" matches several places
+                </p>
+                <div className="space-y-2">
+                  {ambiguity.candidates.map(candidate => {
+                    const selected = locationChoice.selections[ambiguity.field]?.code === candidate.code;
+                    return (
+                      <button
+                        key={`${candidate.type}-${candidate.code}`}
+                        onClick={() => handleLocationChoice(ambiguity.field, candidate)}
+                        className={`w-full flex items-center justify-between p-3 rounded-lg border text-left transition-colors ${selected ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'}`}
+                      >
+                        <div className="flex items-center space-x-3">
+                          {candidate.type === 'city' ? <MapPin size={18} className="text-blue-600" /> : <Plane size={18} className="text-blue-600" />}
+                          <div>
+                            <div className="font-medium">{candidate.name} <span className="text-gray-500">({candidate.code})</span></div>
+                            <div className="text-sm text-gray-600">
+                              {candidate.type === 'city' ? `All airports${candidate.airports ? ` · ${candidate.airports.join(', ')}` : ''}` : candidate.city || 'Airport'} · {candidate.country}
+                            </div>
+                          </div>
+                        </div>
+                        {candidate.distanceKm !== null && candidate.distanceKm !== undefined && (
+                          <span className="text-sm text-gray-500">{candidate.distanceKm.toLocaleString()} km</span>
+                        )}
+                      </button>
+                    );
+                  })}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Sidebar overlay */}
       {sidebarOpen && (
         <div
@@ -474,7 +913,18 @@ const price = parseFloat(
                           </div>
                           
                           <div>
-                            <label className="block text-sm font-medium text-white mb-2">To</label>
+                            <div className="flex items-center justify-between mb-2">
+                              <label className="block text-sm font-medium text-white">To</label>
+                              <label className="flex items-center text-xs text-white/90 cursor-pointer">
+                                <input
+                                  type="checkbox"
+                                  checked={searchForm.destination === ANYWHERE}
+                                  onChange={(e) => handleInputChange('destination', e.target.checked ? ANYWHERE : '')}
+                                  className="mr-1"
+                                />
+                                Anywhere
+                              </label>
+                            </div>
                             <div className="relative">
                               <MapPin size={18} className="absolute left-4 top-4 text-gray-400" />
                               <input
@@ -482,7 +932,8 @@ const price = parseFloat(
                                 placeholder="Destination city or airport"
                                 value={searchForm.destination}
                                 onChange={(e) => handleInputChange('destination', e.target.value)}
-                                className="w-full pl-12 pr-4 py-3 bg-white/95 border border-gray-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent text-gray-900 placeholder-gray-500 font-medium"
+                                disabled={searchForm.destination === ANYWHERE}
+                                className="w-full pl-12 pr-4 py-3 bg-white/95 border border-gray-200 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent text-gray-900 placeholder-gray-500 font-medium disabled:bg-gray-100"
                               />
                             </div>
                           </div>
@@ -515,7 +966,7 @@ const price = parseFloat(
                           
                           <div className="flex items-end">
                             <button
-                              onClick={handleSearch}
+                              onClick={() => handleSearch()}
                               disabled={isLoading}
                               className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-6 rounded-xl transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center space-x-2 shadow-lg hover:shadow-xl"
                             >
@@ -532,6 +983,32 @@ const price = parseFloat(
                               )}
                             </button>
                           </div>
+
+                          <div className="md:col-span-3 lg:col-span-5">
+                            <button
+                              onClick={() => setShowPriceCalendar(!showPriceCalendar)}
+                              disabled={!searchForm.origin || !searchForm.destination || searchForm.destination === ANYWHERE}
+                              className="flex items-center text-sm text-white/90 hover:text-white disabled:opacity-50"
+                            >
+                              <Calendar size={16} className="mr-2" />
+                              {showPriceCalendar ? 'Hide cheapest dates' : 'Show cheapest dates'}
+                            </button>
+                            {showPriceCalendar && searchForm.origin && searchForm.destination && searchForm.destination !== ANYWHERE && (
+                              <PriceCalendar
+                                key={`${searchForm.origin}-${searchForm.destination}`}
+                                apiBase={API_BASE}
+                                origin={searchForm.origin}
+                                destination={searchForm.destination}
+                                initialMonth={(searchForm.departDate || new Date().toISOString()).slice(0, 7)}
+                                tripDays={calendarTripDays}
+                                onPickDate={(day) => setSearchForm(prev => ({
+                                  ...prev,
+                                  departDate: day.date,
+                                  returnDate: day.returnDate || prev.returnDate
+                                }))}
+                              />
+                            )}
+                          </div>
                         </div>
                       ) : (
                         <div className="space-y-6">
@@ -603,7 +1080,7 @@ const price = parseFloat(
                           
                           <div className="flex justify-end">
                             <button
-                              onClick={handleSearch}
+                              onClick={() => handleSearch()}
                               disabled={isLoading}
                               className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-4 px-8 rounded-xl transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-3 shadow-lg hover:shadow-xl transform hover:scale-105"
                             >
@@ -628,12 +1105,65 @@ const price = parseFloat(
               </div>
             )}
 
+            {/* "Anywhere" destination ideas */}
+            {activeTab === 'results' && inspiration && (
+              <div className="max-w-6xl mx-auto p-6">
+                <h2 className="text-2xl font-bold text-gray-800 mb-6">
+                  Cheapest destinations from {inspiration.origin?.city || inspiration.origin?.code} ({inspiration.destinations.length})
+                </h2>
+
+                {inspiration.destinations.length === 0 ? (
+                  <div className="text-center py-12">
+                    <div className="text-gray-400 mb-4 flex justify-center">
+                      <Globe size={48} />
+                    </div>
+                    <p className="text-gray-600">No destinations found. Try a higher price or other dates.</p>
+                  </div>
+                ) : (
+                  <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+                    {inspiration.destinations.map(item => (
+                      <div key={`${item.destination.code}-${item.departureDate}`} className="bg-white rounded-lg shadow-md p-6 hover:shadow-lg transition-shadow flex flex-col">
+                        <div className="flex items-start justify-between mb-3">
+                          <div>
+                            <h3 className="text-lg font-semibold text-gray-800">{item.destination.city || item.destination.name}</h3>
+                            <div className="text-sm text-gray-500">
+                              {[item.destination.country, item.destination.code].filter(Boolean).join(' · ')}
+                            </div>
+                          </div>
+                          <div className="text-right">
+                            <div className="text-2xl font-bold text-green-600">
+                              {item.price.currency || inspiration.currency} {item.price.total.toFixed(0)}
+                            </div>
+                            <div className="text-xs text-gray-500">{item.returnDate ? 'return' : 'one way'}</div>
+                          </div>
+                        </div>
+                        <div className="flex items-center text-sm text-gray-600 mb-4">
+                          <Calendar size={14} className="mr-2" />
+                          {item.departureDate}{item.returnDate ? ` – ${item.returnDate}` : ''}
+                        </div>
+                        <button
+                          onClick={() => searchInspirationDestination(item)}
+                          className="mt-auto flex items-center justify-center px-4 py-2 text-blue-600 border border-blue-600 rounded-lg hover:bg-blue-50 transition-colors"
+                        >
+                          See flights
+                          <ChevronRight size={16} className="ml-1" />
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+
             {/* Results Tab */}
-            {activeTab === 'results' && (
+            {activeTab === 'results' && !inspiration && (
               <div className="max-w-6xl mx-auto p-6">
                 <div className="flex items-center justify-between mb-6">
                   <h2 className="text-2xl font-bold text-gray-800">
                     {searchType === 'flights' ? 'Flight Results' : 'Hotel Results'} ({filteredResults.length})
+                    {isLoading && (
+                      <span className="ml-3 text-sm font-normal text-gray-500">Searching, more results on the way...</span>
+                    )}
                   </h2>
                   <div className="flex items-center space-x-4">
                     <button 
@@ -696,6 +1226,9 @@ const price = parseFloat(
                                 max="100"
                                 value={sortWeight}
                                 onChange={(e) => setSortWeight(parseInt(e.target.value))}
+                                onMouseUp={(e) => handleSortWeightCommit(e.target.value)}
+                                onTouchEnd={(e) => handleSortWeightCommit(e.target.value)}
+                                onKeyUp={(e) => handleSortWeightCommit(e.target.value)}
                                 className="w-full"
                               />
                               <div className="text-sm text-gray-500 mt-1">
@@ -706,9 +1239,142 @@ const price = parseFloat(
                                   : 'Equal Priority'}
                               </div>
                             </div>
+
+                            <div>
+                              <label className="block text-sm font-medium text-gray-700 mb-2">Max Journey Time</label>
+                              <select
+                                value={filters.maxDuration}
+                                onChange={(e) => handleFilterChange('maxDuration', e.target.value)}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+                              >
+                                <option value="any">Any duration</option>
+                                <option value="6">Up to 6 hours</option>
+                                <option value="12">Up to 12 hours</option>
+                                <option value="18">Up to 18 hours</option>
+                                <option value="24">Up to 24 hours</option>
+                              </select>
+                            </div>
+
+                            <div>
+                              <label className="block text-sm font-medium text-gray-700 mb-2">Max Layover</label>
+                              <select
+                                value={filters.maxLayover}
+                                onChange={(e) => handleFilterChange('maxLayover', e.target.value)}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+                              >
+                                <option value="any">Any layover</option>
+                                <option value="2">Up to 2 hours</option>
+                                <option value="4">Up to 4 hours</option>
+                                <option value="8">Up to 8 hours</option>
+                              </select>
+                            </div>
+
+                            <div>
+                              <label className="block text-sm font-medium text-gray-700 mb-2">Alliance</label>
+                              <select
+                                value={filters.alliance}
+                                onChange={(e) => handleFilterChange('alliance', e.target.value)}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+                              >
+                                <option value="any">Any airline</option>
+                                <option value="star">Star Alliance</option>
+                                <option value="oneworld">oneworld</option>
+                                <option value="skyteam">SkyTeam</option>
+                              </select>
+                            </div>
+
+                            <div className="space-y-2">
+                              <label className="flex items-center text-sm text-gray-700">
+                                <input
+                                  type="checkbox"
+                                  checked={filters.avoidOvernightLayover}
+                                  onChange={(e) => handleFilterChange('avoidOvernightLayover', e.target.checked)}
+                                  className="mr-2"
+                                />
+                                Avoid overnight layovers
+                              </label>
+                              <label className="flex items-center text-sm text-gray-700">
+                                <input
+                                  type="checkbox"
+                                  checked={filters.avoidAirportChange}
+                                  onChange={(e) => handleFilterChange('avoidAirportChange', e.target.checked)}
+                                  className="mr-2"
+                                />
+                                Avoid changing airports
+                              </label>
+                              <label className="flex items-center text-sm text-gray-700">
+                                <input
+                                  type="checkbox"
+                                  checked={filters.checkedBag}
+                                  onChange={(e) => handleFilterChange('checkedBag', e.target.checked)}
+                                  className="mr-2"
+                                />
+                                Checked bag included
+                              </label>
+                              <label className="flex items-center text-sm text-gray-700">
+                                <input
+                                  type="checkbox"
+                                  checked={filters.greenerFirst}
+                                  onChange={(e) => handleFilterChange('greenerFirst', e.target.checked)}
+                                  className="mr-2"
+                                />
+                                Lowest CO2 first
+                              </label>
+                            </div>
+
+                            <div className="flex items-end">
+                              <button
+                                onClick={() => handleSearch()}
+                                disabled={isLoading}
+                                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+                              >
+                                Apply to Search
+                              </button>
+                            </div>
                           </>
                         )}
 
+                      {searchType === 'hotels' && (
+                          <>
+                            <div>
+                              <label className="block text-sm font-medium text-gray-700 mb-2">Guest Rating</label>
+                              <select
+                                value={filters.minRating}
+                                onChange={(e) => handleFilterChange('minRating', e.target.value)}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+                              >
+                                <option value="any">Any rating</option>
+                                <option value="70">70+ Good</option>
+                                <option value="80">80+ Very good</option>
+                                <option value="90">90+ Excellent</option>
+                              </select>
+                            </div>
+
+                            <div>
+                              <label className="block text-sm font-medium text-gray-700 mb-2">Sort By</label>
+                              <select
+                                value={filters.hotelSort}
+                                onChange={(e) => handleFilterChange('hotelSort', e.target.value)}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+                              >
+                                <option value="default">Recommended</option>
+                                <option value="price">Lowest price</option>
+                                <option value="rating">Best rated</option>
+                                <option value="value">Best value</option>
+                              </select>
+                            </div>
+
+                            <div className="flex items-end">
+                              <button
+                                onClick={() => handleSearch()}
+                                disabled={isLoading}
+                                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+                              >
+                                Apply to Search
+                              </button>
+                            </div>
+                          </>
+                        )}
                       
                       <div className="flex items-end">
                         <button
@@ -716,8 +1382,15 @@ const price = parseFloat(
                             priceRange: [0, 5000],
                             stops: 'any',
                             airlines: [],
-                            departureTime: 'any',
-                            duration: 'any'
+                            maxDuration: 'any',
+                            maxLayover: 'any',
+                            avoidOvernightLayover: false,
+                            avoidAirportChange: false,
+                            checkedBag: false,
+                            alliance: 'any',
+                            greenerFirst: false,
+                            minRating: 'any',
+                            hotelSort: 'default'
                           });
                            setSortWeight(50); // ← Add this line
                         }}
@@ -811,12 +1484,37 @@ const price = parseFloat(
                                             hour12: true
                                           }) : 'Time TBD'
                                         }
+                                        {item.outboundJourney?.arrivalDayOffset > 0 && (
+                                          <sup className="ml-1 text-sm text-orange-300">+{item.outboundJourney.arrivalDayOffset}</sup>
+                                        )}
                                       </div>
                                       <div className="text-sm text-gray-300">
                                         Terminal {item.outboundJourney?.segments?.[item.outboundJourney?.segments?.length - 1]?.arrival?.terminal || 'TBD'}
                                       </div>
                                     </div>
                                   </div>
+
+                                  {/* Layovers */}
+                                  {item.outboundJourney?.layovers?.length > 0 && (
+                                    <div className="mt-4 space-y-1">
+                                      {item.outboundJourney.layovers.map((layover, index) => (
+                                        <div key={index} className="flex items-center text-sm text-gray-300">
+                                          <Clock size={14} className="mr-2 text-gray-400" />
+                                          {formatMinutes(layover.minutes)} layover in {layover.arrivalAirport}
+                                          {layover.airportChange && (
+                                            <span className="ml-2 px-2 py-0.5 rounded-full bg-red-600 text-red-100 text-xs">
+                                              Change to {layover.departureAirport}
+                                            </span>
+                                          )}
+                                          {layover.overnight && (
+                                            <span className="ml-2 px-2 py-0.5 rounded-full bg-indigo-600 text-indigo-100 text-xs">
+                                              Overnight
+                                            </span>
+                                          )}
+                                        </div>
+                                      ))}
+                                    </div>
+                                  )}
                                   
                                   {/* Airline Info */}
                                   <div className="flex items-center justify-between mt-4 pt-4 border-t border-gray-600">
@@ -848,15 +1546,15 @@ const price = parseFloat(
                                   <div className="text-center p-3 bg-green-50 rounded-lg border border-green-200">
                                     <div className="text-xs font-medium text-green-800 mb-1">BAGGAGE</div>
                                     <div className="text-sm font-bold text-green-900">
-                                      {item.travelerPricings?.[0]?.fareDetailsBySegment?.[0]?.includedCheckedBags?.quantity > 0 ? 
-                                        `${item.travelerPricings[0].fareDetailsBySegment[0].includedCheckedBags.quantity} checked ✓` : 
+                                      {item.fareSummary?.checkedBags > 0 ? 
+                                        `${item.fareSummary.checkedBags} checked ✓` : 
                                         'Carry-on only ✓'
                                       }
                                     </div>
                                     <div className="text-xs text-green-600">
-                                      {item.travelerPricings?.[0]?.fareDetailsBySegment?.[0]?.includedCheckedBags?.weight ? 
-                                        `${item.travelerPricings[0].fareDetailsBySegment[0].includedCheckedBags.weight}kg included` :
-                                        'Checked bags extra'
+                                      {item.fareSummary?.checkedBagWeight ? 
+                                        `${item.fareSummary.checkedBagWeight}${(item.fareSummary.checkedBagWeightUnit || 'kg').toLowerCase()} included` :
+                                        item.fareSummary?.checkedBags > 0 ? 'Included in fare' : 'Checked bags extra'
                                       }
                                     </div>
                                   </div>
@@ -864,7 +1562,7 @@ const price = parseFloat(
                                   <div className="text-center p-3 bg-blue-50 rounded-lg border border-blue-200">
                                     <div className="text-xs font-medium text-blue-800 mb-1">SEATS</div>
                                     <div className="text-sm font-bold text-blue-900">
-                                      {item.travelerPricings?.[0]?.fareDetailsBySegment?.[0]?.cabin || 'Standard'} ✓
+                                      {item.fareSummary?.cabin || 'Standard'} ✓
                                     </div>
                                     <div className="text-xs text-blue-600">Premium seats extra</div>
                                   </div>
@@ -883,10 +1581,10 @@ const price = parseFloat(
                                   <div className="text-center p-3 bg-gray-50 rounded-lg border border-gray-200">
                                     <div className="text-xs font-medium text-gray-800 mb-1">CLASS</div>
                                     <div className="text-sm font-bold text-gray-900">
-                                      {item.travelerPricings?.[0]?.fareDetailsBySegment?.[0]?.cabin || 'Economy'}
+                                      {item.fareSummary?.cabin || 'Economy'}{item.fareSummary?.mixedCabin ? ' (mixed)' : ''}
                                     </div>
                                     <div className="text-xs text-gray-600">
-                                      {item.travelerPricings?.[0]?.fareDetailsBySegment?.[0]?.fareBasis || 'Standard fare'}
+                                      {item.fareSummary?.bookingClasses?.length ? `Class ${item.fareSummary.bookingClasses.join('/')}` : 'Standard fare'}
                                     </div>
                                   </div>
                                 </div>
@@ -930,18 +1628,35 @@ const price = parseFloat(
                                 <p className="text-sm text-gray-600">
                                   {item.hotel?.address?.lines?.[0] || item.address || searchForm.destination}
                                 </p>
-                                <div className="flex items-center mt-1">
-                                  {[...Array(5)].map((_, i) => (
-                                    <Star
-                                      key={i}
-                                      size={16}
-                                      className={`${i < (item.hotel?.rating || item.rating || 4) ? 'text-yellow-400 fill-current' : 'text-gray-300'}`}
-                                    />
-                                  ))}
-                                  <span className="ml-2 text-sm text-gray-600">
-                                    ({item.hotel?.rating || item.rating || 4}.0 stars)
-                                  </span>
-                                </div>
+                                {item.hotel?.rating && (
+                                  <div className="flex items-center mt-1">
+                                    {[...Array(5)].map((_, i) => (
+                                      <Star
+                                        key={i}
+                                        size={16}
+                                        className={`${i < item.hotel.rating ? 'text-yellow-400 fill-current' : 'text-gray-300'}`}
+                                      />
+                                    ))}
+                                    <span className="ml-2 text-sm text-gray-600">
+                                      ({item.hotel.rating}.0 stars)
+                                    </span>
+                                  </div>
+                                )}
+                                {item.sentiment && (
+                                  <div className="flex items-center gap-2 mt-1 text-sm">
+                                    <span className="px-2 py-0.5 rounded bg-blue-600 text-white font-semibold">
+                                      {item.sentiment.overall.rating}
+                                    </span>
+                                    <span className="text-gray-600">
+                                      Guest rating ({item.sentiment.overall.numberOfReviews} reviews)
+                                    </span>
+                                    {item.valueScore !== null && item.valueScore !== undefined && (
+                                      <span className="px-2 py-0.5 rounded-full bg-green-100 text-green-800 text-xs">
+                                        Value {item.valueScore}
+                                      </span>
+                                    )}
+                                  </div>
+                                )}
                               </div>
                             )}
                           </div>
@@ -949,11 +1664,33 @@ const price = parseFloat(
                           <div className="flex items-center space-x-4">
                             <div className="text-right">
                               <div className="text-2xl font-bold text-blue-600">
-                                ${item.pricing?.total || item.pricing?.grandTotal || item.price || item.offers?.[0]?.price?.total || 'N/A'}
+                                ${item.pricing?.total || item.pricing?.grandTotal || item.price || item.pricePerNight || item.offers?.[0]?.price?.total || 'N/A'}
                               </div>
                               <div className="text-sm text-gray-600">
                                 {item.pricing?.currency || 'USD'} {searchType === 'flights' ? 'per person' : 'per night'}
                               </div>
+                              {searchType === 'flights' && item.fareSummary && (
+                                <div className="flex justify-end flex-wrap gap-1 mt-1">
+                                  {(item.fareSummary.brandedFareLabel || item.fareSummary.brandedFare) && (
+                                    <span className="text-xs px-2 py-0.5 rounded-full bg-blue-100 text-blue-800">
+                                      {item.fareSummary.brandedFareLabel || item.fareSummary.brandedFare}
+                                    </span>
+                                  )}
+                                  <span className={`text-xs px-2 py-0.5 rounded-full ${
+                                    item.fareSummary.checkedBags > 0 ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-700'
+                                  }`}>
+                                    {item.fareSummary.checkedBags > 0
+                                      ? `${item.fareSummary.checkedBags} checked bag${item.fareSummary.checkedBags > 1 ? 's' : ''}`
+                                      : 'No checked bag'}
+                                  </span>
+                                  {item.co2Kg !== null && item.co2Kg !== undefined && (
+                                    <span className="flex items-center text-xs px-2 py-0.5 rounded-full bg-emerald-100 text-emerald-800">
+                                      <Leaf size={12} className="mr-1" />
+                                      {item.co2Kg} kg CO2
+                                    </span>
+                                  )}
+                                </div>
+                              )}
                             </div>
                             
                             <button
@@ -977,6 +1714,39 @@ const price = parseFloat(
                         </div>
                       </div>
                     ))}
+
+                    {resultsPage?.kind === searchType && (
+                      <div className="flex items-center justify-between text-sm text-gray-600">
+                        <span>Showing {searchResults.length} of {resultsPage.total}</span>
+                        {resultsPage.nextCursor && (
+                          <button
+                            onClick={() => loadResultsPage({ cursor: resultsPage.nextCursor })}
+                            disabled={isLoading}
+                            className="px-4 py-2 text-blue-600 border border-blue-600 rounded-lg hover:bg-blue-50 transition-colors disabled:opacity-50"
+                          >
+                            Load more
+                          </button>
+                        )}
+                      </div>
+                    )}
+
+                    {searchType === 'hotels' && unpricedHotels.length > 0 && (
+                      <div className="bg-gray-50 rounded-lg border border-gray-200 p-4">
+                        <h3 className="font-semibold text-gray-700 mb-2">
+                          No rates for your dates ({unpricedHotels.length})
+                        </h3>
+                        <ul className="text-sm text-gray-600 space-y-1">
+                          {unpricedHotels.map(item => (
+                            <li key={item.id} className="flex justify-between">
+                              <span>{item.hotel?.name || item.id}</span>
+                              <span className="text-gray-400">
+                                {item.unpricedReason === 'no-availability' ? 'Sold out or closed' : 'Rates unavailable'}
+                              </span>
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
                   </div>
                 )}
               </div>
@@ -1004,6 +1774,14 @@ const price = parseFloat(
                             </div>
                             <h3 className="text-lg font-semibold">{item.name || `${item.origin} → ${item.destination}`}</h3>
                             <p className="text-sm text-gray-600">{item.location || item.airline}</p>
+                            {item.outboundJourney?.segments?.[0]?.departure?.time && (
+                              <FlightStatusWidget
+                                apiBase={API_BASE}
+                                carrier={item.outboundJourney.segments[0].airline}
+                                flightNumber={item.outboundJourney.segments[0].flightNumber}
+                                date={item.outboundJourney.segments[0].departure.time.slice(0, 10)}
+                              />
+                            )}
                           </div>
                           
                           <div className="flex items-center space-x-4">